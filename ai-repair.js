@@ -1,90 +1,615 @@
 // ai-repair.js
-const fs = require('fs');
-const axios = require('axios');
+// AI repair of failed Flutter builds, run by the build workflow through scripts/repair.js.
+// The failure is classified (see build-logs.js), each affected file is sent to an OpenAI-compatible
+// chat model (or the mock provider in tests) and the answer is only written back when the file is on
+// the allowlist and the new content passes a sanity check. Every change is recorded as a unified diff
+// in a repair report, which the workflow attaches to the build so the user can review or reject it.
+// runRepairLoop repeats repair and rebuild for failures that only show up once the first one is fixed.
+const fs = require('fs').promises;
 const path = require('path');
+const axios = require('axios');
+const { classifyBuildLog } = require('./build-logs');
+const { parsePubspec } = require('./pubspec');
+const { normalizeEntryPath } = require('./safe-extract');
+
+const REPORT_VERSION = 2;
+const DEFAULT_MAX_FILES = 5;
+const DEFAULT_MAX_ROUNDS = 3;
+// Errors listed per round in the report
+const MAX_ROUND_ERRORS = 20;
+// Bigger files would not fit the model's context together with the errors
+const MAX_FILE_SIZE = 200 * 1024;
+const MAX_DIFF_SIZE = 256 * 1024;
+const LOG_EXCERPT_CHARS = 1500;
+const DIFF_CONTEXT = 3;
+// Edit distances above this are shown as a whole-file replacement instead of being diffed line by line
+const MAX_DIFF_DISTANCE = 2000;
+const NO_NEWLINE = '\n\\ No newline at end of file';
+const REPORT_STATUSES = ['applied', 'no_changes', 'skipped'];
+const CHANGE_STATUSES = ['applied', 'unchanged', 'rejected', 'failed'];
+
+const SYSTEM_PROMPT = 'You are an expert Flutter engineer fixing a failed release build of a project migrated to ' +
+  'Flutter 3.x with null safety. You fix one file at a time. Reply with the complete corrected file in a single ' +
+  'fenced code block and nothing else. Change only what the errors require and keep everything else as it is.';
+
+function repairError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
 
-// إعدادات الـ API
-const API_KEY = process.env.AI_API_KEY;
-const API_URL = "https://api.z.ai/v1/chat/completions"; // تأكد من الرابط الصحيح لـ Z.ai
+// =============================================================================
+// Providers: { name, model, complete(messages, context) -> { content, usage } }
+// =============================================================================
 
-async function repairBuild() {
-    console.log("🚑 Starting AI Auto-Repair Sequence...");
+// Any chat-completions API (OpenAI, Zhipu/bigmodel, z.ai, a local llama.cpp server, ...).
+// baseUrl may be the API root or the full .../chat/completions endpoint.
+function createOpenAIProvider(options) {
+  if (!options.baseUrl || !options.model) {
+    throw repairError('REPAIR_UNAVAILABLE', 'An AI base URL and model are required');
+  }
+  const url = /\/chat\/completions\/?$/.test(options.baseUrl)
+    ? options.baseUrl
+    : options.baseUrl.replace(/\/+$/, '') + '/chat/completions';
 
-    // 1. قراءة سجل الخطأ
-    const logPath = path.join(__dirname, 'build_log.txt');
-    if (!fs.existsSync(logPath)) {
-        console.error("❌ No build log found.");
-        process.exit(1);
+  return {
+    name: 'openai',
+    model: options.model,
+    complete: async function(messages) {
+      const response = await axios.post(url, {
+        model: options.model,
+        messages: messages,
+        temperature: options.temperature !== undefined ? options.temperature : 0.1
+      }, {
+        headers: Object.assign({ 'Content-Type': 'application/json' }, options.apiKey ? { 'Authorization': 'Bearer ' + options.apiKey } : {}),
+        timeout: options.timeout || 120000
+      });
+      const choice = response.data && response.data.choices && response.data.choices[0];
+      if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+        throw repairError('PROVIDER_ERROR', 'The AI provider returned no answer');
+      }
+      return { content: choice.message.content, usage: response.data.usage || null };
     }
-    const logContent = fs.readFileSync(logPath, 'utf8');
-    const errorSnippet = logContent.slice(-2000); // نأخذ آخر 2000 حرف حيث يوجد الخطأ عادة
+  };
+}
+
+// Answers from a fixed map of file path -> corrected content (or function(file, messages) -> content).
+// Files without an entry get an empty answer, which counts as "no fix".
+function createMockProvider(responses) {
+  return {
+    name: 'mock',
+    model: 'mock',
+    complete: async function(messages, context) {
+      const entry = responses[context.file];
+      const content = typeof entry === 'function' ? entry(context.file, messages) : entry;
+      return { content: content ? '```\n' + content + '\n```' : '', usage: null };
+    }
+  };
+}
 
-    // 2. قراءة ملفات الإعداد الحالية (للسياق)
-    let pubspec = "";
-    let gradle = "";
-    
+// AI_PROVIDER=openai (default) reads AI_BASE_URL, AI_MODEL and AI_API_KEY;
+// AI_PROVIDER=mock reads the JSON response map from the file named by AI_MOCK_RESPONSES.
+async function createProviderFromEnv(env) {
+  const kind = (env.AI_PROVIDER || 'openai').toLowerCase();
+  if (kind === 'mock') {
+    if (!env.AI_MOCK_RESPONSES) throw repairError('REPAIR_UNAVAILABLE', 'AI_MOCK_RESPONSES must name a JSON file');
+    return createMockProvider(JSON.parse(await fs.readFile(env.AI_MOCK_RESPONSES, 'utf8')));
+  }
+  if (kind !== 'openai') throw repairError('REPAIR_UNAVAILABLE', 'Unknown AI_PROVIDER: ' + kind);
+  if (!env.AI_BASE_URL || !env.AI_MODEL) {
+    throw repairError('REPAIR_UNAVAILABLE', 'AI_BASE_URL and AI_MODEL must be set to enable AI repair');
+  }
+  return createOpenAIProvider({
+    baseUrl: env.AI_BASE_URL,
+    model: env.AI_MODEL,
+    apiKey: env.AI_API_KEY,
+    timeout: parseInt(env.AI_TIMEOUT) || undefined
+  });
+}
+
+// =============================================================================
+// Write allowlist
+// =============================================================================
+
+// Resolves to the absolute path of an existing regular file the repair may rewrite, or throws REPAIR_FORBIDDEN.
+// Only pubspec.yaml, lib/ and android/ are writable, and never through a symlink.
+async function resolveWritable(root, file) {
+  const normalized = normalizeEntryPath(file);
+  const rel = normalized.path;
+  if (!rel || !(rel === 'pubspec.yaml' || rel.startsWith('lib/') || rel.startsWith('android/'))) {
+    throw repairError('REPAIR_FORBIDDEN', 'Repairs may only change pubspec.yaml, lib/ and android/: ' + file,
+      { file: file, reason: normalized.reason || 'not_allowed' });
+  }
+  const realRoot = await fs.realpath(root);
+  const target = path.join(realRoot, rel);
+  let stat;
+  try {
+    stat = await fs.lstat(target);
+  } catch (err) {
+    if (err.code === 'ENOENT') throw repairError('REPAIR_NOT_FOUND', 'File not found in the project: ' + file, { file: file });
+    throw err;
+  }
+  const real = await fs.realpath(target);
+  if (!stat.isFile() || real !== target) {
+    throw repairError('REPAIR_FORBIDDEN', 'Not a regular file inside the project: ' + file, { file: file, reason: 'not_a_file' });
+  }
+  return target;
+}
+
+// =============================================================================
+// Unified diffs
+// =============================================================================
+
+// A missing final newline is folded into the last line, so it shows up as a change like in `diff -u`
+function splitLines(text) {
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  else lines[lines.length - 1] += NO_NEWLINE;
+  return lines;
+}
+
+// Myers' O(ND) diff. Returns [[op, line]] with op ' ', '-' or '+', or null above MAX_DIFF_DISTANCE.
+function diffLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // trace[d] holds v[-d..d] as it was before round d
+  const trace = [];
+
+  for (let d = 0; d <= Math.min(max, MAX_DIFF_DISTANCE); d++) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(a, b, trace, d);
+    }
+  }
+  return null;
+}
+
+function backtrack(a, b, trace, distance) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = distance; d > 0; d--) {
+    const at = function(k) { return trace[d][k + d]; };
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push([' ', a[--x]]);
+      y--;
+    }
+    if (x === prevX) ops.push(['+', b[--y]]);
+    else ops.push(['-', a[--x]]);
+  }
+  while (x > 0) ops.push([' ', a[--x]]);
+  return ops.reverse();
+}
+
+// Returns { diff, additions, deletions }; diff is '' when nothing changed
+function unifiedDiff(file, before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+  const ops = diffLines(a, b) || a.map(function(l) { return ['-', l]; }).concat(b.map(function(l) { return ['+', l]; }));
+
+  const changed = [];
+  ops.forEach(function(op, i) { if (op[0] !== ' ') changed.push(i); });
+  if (changed.length === 0) return { diff: '', additions: 0, deletions: 0 };
+
+  // Position of every op in both files, 1-based
+  const oldLine = [];
+  const newLine = [];
+  let o = 1;
+  let nl = 1;
+  ops.forEach(function(op) {
+    oldLine.push(o);
+    newLine.push(nl);
+    if (op[0] !== '+') o++;
+    if (op[0] !== '-') nl++;
+  });
+
+  const out = ['--- a/' + file, '+++ b/' + file];
+  let i = 0;
+  while (i < changed.length) {
+    const start = Math.max(0, changed[i] - DIFF_CONTEXT);
+    let end = changed[i];
+    // Changes closer than twice the context share a hunk
+    while (i + 1 < changed.length && changed[i + 1] - end <= 2 * DIFF_CONTEXT) end = changed[++i];
+    end = Math.min(ops.length - 1, end + DIFF_CONTEXT);
+    i++;
+
+    const hunk = ops.slice(start, end + 1);
+    const oldCount = hunk.filter(function(op) { return op[0] !== '+'; }).length;
+    const newCount = hunk.filter(function(op) { return op[0] !== '-'; }).length;
+    // Empty ranges point at the line before, as in diff -u
+    const oldStart = oldCount === 0 ? oldLine[start] - 1 : oldLine[start];
+    const newStart = newCount === 0 ? newLine[start] - 1 : newLine[start];
+    out.push('@@ -' + oldStart + ',' + oldCount + ' +' + newStart + ',' + newCount + ' @@');
+    hunk.forEach(function(op) { out.push(op[0] + op[1]); });
+  }
+
+  return {
+    diff: out.join('\n') + '\n',
+    additions: ops.filter(function(op) { return op[0] === '+'; }).length,
+    deletions: ops.filter(function(op) { return op[0] === '-'; }).length
+  };
+}
+
+// =============================================================================
+// Repair
+// =============================================================================
+
+// Files worth sending to the model for a classified failure: [{ file, reason, errors }]
+async function findRepairTargets(root, classification, log) {
+  const targets = [];
+  const add = function(file, reason, error) {
+    let target = targets.find(function(t) { return t.file === file; });
+    if (!target) {
+      target = { file: file, reason: reason, errors: [] };
+      targets.push(target);
+    }
+    if (error && !target.errors.includes(error)) target.errors.push(error);
+  };
+
+  const exists = async function(rel) {
     try {
-        pubspec = fs.readFileSync('pubspec.yaml', 'utf8');
-        gradle = fs.readFileSync('android/app/build.gradle', 'utf8');
+      await fs.access(path.join(root, rel));
+      return true;
     } catch (e) {
-        console.log("⚠️ Could not read config files, proceeding with logs only.");
+      return false;
     }
+  };
+  let appGradle = 'android/app/build.gradle';
+  if (!(await exists(appGradle))) appGradle += '.kts';
 
-    // 3. تجهيز الطلب للذكاء الاصطناعي
-    const prompt = `
-    You are a Senior Flutter DevOps Engineer.
-    My 'flutter build apk' failed. Here is the last part of the log:
-    ---
-    ${errorSnippet}
-    ---
-    
-    Here is my pubspec.yaml:
-    ${pubspec}
-
-    Here is my android/app/build.gradle:
-    ${gradle}
-    
-    ANALYZE the error. If it is a version conflict, minSdk issue, or syntax error, provide the FULL CORRECTED CONTENT of the file that needs changing.
-    
-    Return JSON ONLY in this format:
-    {
-        "filename": "path/to/file",
-        "content": "new full file content"
+  for (const d of classification.diagnostics) {
+    if (d.category === 'version_solving' || d.category === 'missing_asset') {
+      add('pubspec.yaml', d.category, d.message);
+    } else if (d.category === 'dart_compile') {
+      add(d.file, 'dart_compile', d.line + ':' + d.column + ': ' + d.message);
+    } else if (d.category === 'min_sdk' || d.category === 'gradle_mismatch') {
+      add(appGradle, d.category, d.message);
     }
-    If you cannot fix it, return {"error": "unknown"}.
-    `;
+  }
+  // The version solver's full explanation sits just before the failure
+  targets.forEach(function(t) {
+    if (t.file === 'pubspec.yaml' && t.reason === 'version_solving') t.log_excerpt = log.slice(-LOG_EXCERPT_CHARS);
+  });
+  return targets;
+}
+
+function buildPrompt(target, content) {
+  const lang = target.file.endsWith('.dart') ? 'dart' : target.file.endsWith('.yaml') ? 'yaml' : target.file.endsWith('.kts') ? 'kotlin' : 'groovy';
+  return 'The Flutter build failed. Fix ' + target.file + '.\n\nERRORS:\n' + target.errors.join('\n') +
+    (target.log_excerpt ? '\n\nBUILD LOG (end):\n' + target.log_excerpt : '') +
+    '\n\nFILE ' + target.file + ':\n```' + lang + '\n' + content + '\n```';
+}
 
+function extractCode(answer) {
+  const match = answer.match(/```[\w-]*\n([\s\S]*?)\n?```/);
+  return (match ? match[1] : answer).replace(/\s+$/, '') + '\n';
+}
+
+// Reason the new content must not be written, or null
+function rejectReason(file, before, after) {
+  if (after.trim() === '') return 'empty answer';
+  // Models tend to abbreviate long files ("// rest unchanged"); such answers would delete code
+  if (after.length < before.length * 0.5) return 'answer is less than half the size of the file, probably truncated';
+  if (file === 'pubspec.yaml') {
+    try {
+      if (parsePubspec(after).name !== parsePubspec(before).name) return 'answer renames the package';
+    } catch (err) {
+      return err.message;
+    }
+  }
+  return null;
+}
+
+function tokensUsed(usage) {
+  return usage.prompt_tokens + usage.completion_tokens;
+}
+
+function sumChanges(report) {
+  const applied = report.changes.filter(function(c) { return c.status === 'applied'; });
+  report.files_changed = applied.length;
+  report.additions = applied.reduce(function(sum, c) { return sum + c.additions; }, 0);
+  report.deletions = applied.reduce(function(sum, c) { return sum + c.deletions; }, 0);
+}
+
+// Runs one repair pass over the project in options.root for the failure in options.log.
+// options: { root, log, provider, maxFiles, dryRun, tokenBudget, originals }; originals (a Map) collects
+// the content of every file before its first change. Resolves to the repair report:
+// { version, created_at, provider, category, status, files_changed, additions, deletions, usage,
+//   changes: [{ file, reason, errors, status, diff, additions, deletions, message }] }
+// where status is applied (at least one file changed), no_changes or skipped (nothing to repair).
+async function repairProject(options) {
+  const provider = options.provider;
+  const classification = options.classification || classifyBuildLog(options.log, []);
+  const report = {
+    version: REPORT_VERSION,
+    created_at: new Date().toISOString(),
+    provider: { name: provider.name, model: provider.model },
+    category: classification.category,
+    status: 'skipped',
+    dry_run: !!options.dryRun,
+    files_changed: 0,
+    additions: 0,
+    deletions: 0,
+    usage: { prompt_tokens: 0, completion_tokens: 0 },
+    changes: []
+  };
+
+  const targets = (await findRepairTargets(options.root, classification, options.log)).slice(0, options.maxFiles || DEFAULT_MAX_FILES);
+  for (const target of targets) {
+    const change = { file: target.file, reason: target.reason, errors: target.errors, status: 'unchanged', diff: '', additions: 0, deletions: 0, message: null };
+    report.changes.push(change);
     try {
-        console.log("📡 Consulting AI Architect...");
-        const response = await axios.post(API_URL, {
-            model: "model-id-here", // استبدل باسم الموديل المناسب في Z.ai
-            messages: [{ role: "user", content: prompt }],
-            temperature: 0.1
-        }, {
-            headers: { "Authorization": `Bearer ${API_KEY}`, "Content-Type": "application/json" }
-        });
-
-        const aiResponse = response.data.choices[0].message.content;
-        
-        // تنظيف الرد (لضمان أنه JSON فقط)
-        const jsonString = aiResponse.replace(/```json/g, '').replace(/```/g, '').trim();
-        const fix = JSON.parse(jsonString);
-
-        if (fix.error) {
-            console.error("❌ AI could not determine a fix.");
-            process.exit(1);
-        }
-
-        // 4. تطبيق الإصلاح
-        console.log(`✅ Applying fix to: ${fix.filename}`);
-        fs.writeFileSync(fix.filename, fix.content);
-        console.log("🔧 File patched successfully!");
-
-    } catch (error) {
-        console.error("❌ AI Repair failed:", error.message);
-        if(error.response) console.error(error.response.data);
-        process.exit(1);
+      const fullPath = await resolveWritable(options.root, target.file);
+      const before = await fs.readFile(fullPath, 'utf8');
+      if (before.length > MAX_FILE_SIZE) {
+        change.status = 'rejected';
+        change.message = 'file is larger than ' + (MAX_FILE_SIZE / 1024) + ' KB';
+        continue;
+      }
+
+      if (options.tokenBudget && tokensUsed(report.usage) >= options.tokenBudget) {
+        change.message = 'token budget exhausted';
+        continue;
+      }
+      const answer = await provider.complete([
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: buildPrompt(target, before) }
+      ], { file: target.file });
+      if (answer.usage) {
+        report.usage.prompt_tokens += answer.usage.prompt_tokens || 0;
+        report.usage.completion_tokens += answer.usage.completion_tokens || 0;
+      }
+      if (!answer.content.trim()) {
+        change.message = 'no fix proposed';
+        continue;
+      }
+
+      const after = extractCode(answer.content);
+      const rejected = rejectReason(target.file, before, after);
+      if (rejected) {
+        change.status = 'rejected';
+        change.message = rejected;
+        continue;
+      }
+      const diff = unifiedDiff(target.file, before, after);
+      if (!diff.diff) continue;
+
+      Object.assign(change, diff, { status: 'applied' });
+      if (diff.diff.length > MAX_DIFF_SIZE) {
+        change.diff = null;
+        change.message = 'diff larger than ' + (MAX_DIFF_SIZE / 1024) + ' KB, not included';
+      }
+      if (options.dryRun) continue;
+      if (options.originals && !options.originals.has(target.file)) options.originals.set(target.file, { path: fullPath, content: before });
+      await fs.writeFile(fullPath, after);
+    } catch (err) {
+      change.status = err.code === 'REPAIR_FORBIDDEN' ? 'rejected' : 'failed';
+      change.message = err.message;
+    }
+  }
+
+  sumChanges(report);
+  if (targets.length > 0) report.status = report.files_changed > 0 ? 'applied' : 'no_changes';
+  return report;
+}
+
+// =============================================================================
+// Repair loop
+// =============================================================================
+
+function describeDiagnostic(d) {
+  return (d.file ? d.file + ':' + d.line + ':' + d.column + ': ' : '') + d.message;
+}
+
+// The errors of one failed build, compared between rounds
+function errorSet(classification) {
+  return {
+    category: classification.category,
+    keys: classification.diagnostics.map(function(d) { return d.category + ' ' + describeDiagnostic(d); })
+  };
+}
+
+// A round helped when the build got past its blocker (e.g. a pubspec fix that uncovers Dart errors)
+// or when the errors of the same blocker became fewer
+function madeProgress(previous, current) {
+  return current.category !== previous.category || current.keys.length < previous.keys.length;
+}
+
+// One diff per changed file, from its content before the first round to now
+async function cumulativeChanges(report, originals) {
+  const changes = [];
+  for (const [file, original] of originals) {
+    const diff = unifiedDiff(file, original.content, await fs.readFile(original.path, 'utf8'));
+    // A later round may have put the file back as it was
+    if (!diff.diff) continue;
+    const reasons = [];
+    report.rounds.forEach(function(r) {
+      r.changes.forEach(function(c) {
+        if (c.file === file && c.status === 'applied' && !reasons.includes(c.reason)) reasons.push(c.reason);
+      });
+    });
+    const change = Object.assign({ file: file, reason: reasons.join(', '), errors: [], status: 'applied', message: null }, diff);
+    if (diff.diff.length > MAX_DIFF_SIZE) {
+      change.diff = null;
+      change.message = 'diff larger than ' + (MAX_DIFF_SIZE / 1024) + ' KB, not included';
+    }
+    changes.push(change);
+  }
+  report.changes = changes;
+  sumChanges(report);
+}
+
+// Repair, rebuild, repeat. options: { root, log, provider, rebuild, maxRounds, tokenBudget, maxFiles, onRound }
+// where rebuild(round) resolves to { ok, log } and onRound(report, round) is called as each round starts.
+// Stops when the build succeeds, a pass changes nothing, the errors stop shrinking, the token budget is
+// spent or maxRounds is reached (stop_reason). The report's changes are cumulative, one diff per file;
+// rounds[] keeps what each round saw and changed: { round, category, error_count, errors, status,
+// files_changed, changes, usage, build: 'succeeded' | 'failed' | null }.
+async function runRepairLoop(options) {
+  const maxRounds = options.maxRounds || DEFAULT_MAX_ROUNDS;
+  const originals = new Map();
+  const report = {
+    version: REPORT_VERSION,
+    created_at: new Date().toISOString(),
+    provider: { name: options.provider.name, model: options.provider.model },
+    category: null,
+    status: 'skipped',
+    max_rounds: maxRounds,
+    token_budget: options.tokenBudget || null,
+    stop_reason: null,
+    build_succeeded: false,
+    files_changed: 0,
+    additions: 0,
+    deletions: 0,
+    usage: { prompt_tokens: 0, completion_tokens: 0 },
+    changes: [],
+    rounds: []
+  };
+
+  let log = options.log;
+  let previous = null;
+  for (let round = 1; round <= maxRounds && !report.stop_reason; round++) {
+    const classification = classifyBuildLog(log, []);
+    const errors = errorSet(classification);
+    if (round === 1) report.category = classification.category;
+    if (previous && !madeProgress(previous, errors)) {
+      report.stop_reason = 'not_improving';
+      break;
+    }
+    const used = tokensUsed(report.usage);
+    if (options.tokenBudget && used >= options.tokenBudget) {
+      report.stop_reason = 'token_budget';
+      break;
     }
+    if (options.onRound) await options.onRound(report, round);
+
+    const pass = await repairProject({
+      root: options.root,
+      log: log,
+      classification: classification,
+      provider: options.provider,
+      maxFiles: options.maxFiles,
+      tokenBudget: options.tokenBudget ? options.tokenBudget - used : 0,
+      originals: originals
+    });
+    report.usage.prompt_tokens += pass.usage.prompt_tokens;
+    report.usage.completion_tokens += pass.usage.completion_tokens;
+    const entry = {
+      round: round,
+      category: classification.category,
+      error_count: errors.keys.length,
+      errors: classification.diagnostics.slice(0, MAX_ROUND_ERRORS).map(describeDiagnostic),
+      status: pass.status,
+      files_changed: pass.files_changed,
+      changes: pass.changes,
+      usage: pass.usage,
+      build: null
+    };
+    report.rounds.push(entry);
+    await cumulativeChanges(report, originals);
+    if (pass.files_changed === 0) {
+      report.stop_reason = 'no_changes';
+      break;
+    }
+
+    const result = await options.rebuild(round);
+    entry.build = result.ok ? 'succeeded' : 'failed';
+    if (result.ok) {
+      report.build_succeeded = true;
+      report.stop_reason = 'build_succeeded';
+    }
+    log = result.log;
+    previous = errors;
+  }
+
+  if (!report.stop_reason) report.stop_reason = 'max_rounds';
+  report.status = report.files_changed > 0 ? 'applied' : report.rounds.length > 0 ? 'no_changes' : 'skipped';
+  return report;
+}
+
+// All applied diffs of a report as one patch, applicable with `git apply` or `patch -p1`
+function reportPatch(report) {
+  return (report.changes || [])
+    .filter(function(c) { return c.status === 'applied' && c.diff; })
+    .map(function(c) { return c.diff; })
+    .join('');
+}
+
+// Reports posted back by the workflow are reduced to the known fields before the server stores or serves them
+function sanitizeReport(body) {
+  const text = function(value, max) { return typeof value === 'string' ? value.slice(0, max) : null; };
+  const count = function(value) { return Number.isInteger(value) && value >= 0 ? value : 0; };
+  const list = function(value, max) { return (Array.isArray(value) ? value : []).slice(0, max); };
+  const usageOf = function(value) {
+    const usage = value && typeof value === 'object' ? value : {};
+    return { prompt_tokens: count(usage.prompt_tokens), completion_tokens: count(usage.completion_tokens) };
+  };
+  const sanitizeChange = function(c) {
+    return {
+      file: text(c.file, 500),
+      reason: text(c.reason, 100),
+      errors: list(c.errors, 50).map(function(e) { return String(e).slice(0, 1000); }),
+      status: CHANGE_STATUSES.includes(c.status) ? c.status : 'failed',
+      diff: text(c.diff, 512 * 1024),
+      additions: count(c.additions),
+      deletions: count(c.deletions),
+      message: text(c.message, 1000)
+    };
+  };
+  const changes = list(body.changes, 50).map(sanitizeChange);
+  const rounds = list(body.rounds, 20).map(function(r) {
+    return {
+      round: count(r.round),
+      category: text(r.category, 50),
+      error_count: count(r.error_count),
+      errors: list(r.errors, 50).map(function(e) { return String(e).slice(0, 1000); }),
+      status: REPORT_STATUSES.includes(r.status) ? r.status : 'skipped',
+      files_changed: count(r.files_changed),
+      changes: list(r.changes, 50).map(sanitizeChange),
+      usage: usageOf(r.usage),
+      build: ['succeeded', 'failed'].includes(r.build) ? r.build : null
+    };
+  });
+  const provider = body.provider && typeof body.provider === 'object' ? body.provider : {};
+  return {
+    version: count(body.version),
+    created_at: text(body.created_at, 40),
+    provider: { name: text(provider.name, 50), model: text(provider.model, 200) },
+    category: text(body.category, 50),
+    status: REPORT_STATUSES.includes(body.status) ? body.status : 'skipped',
+    message: text(body.message, 1000),
+    files_changed: changes.filter(function(c) { return c.status === 'applied'; }).length,
+    additions: count(body.additions),
+    deletions: count(body.deletions),
+    usage: usageOf(body.usage),
+    max_rounds: count(body.max_rounds) || null,
+    stop_reason: text(body.stop_reason, 50),
+    build_succeeded: body.build_succeeded === true,
+    changes: changes,
+    rounds: rounds
+  };
 }
 
-repairBuild();
+module.exports = {
+  createOpenAIProvider,
+  createMockProvider,
+  createProviderFromEnv,
+  resolveWritable,
+  unifiedDiff,
+  repairProject,
+  runRepairLoop,
+  reportPatch,
+  sanitizeReport
+};
@@ -0,0 +1,272 @@
+// app-metadata.js
+// Version, SDK levels, screen orientation and permissions of the generated app.
+// The build workflow starts from a fresh `flutter create` project, so these are read from the
+// uploaded project (AndroidManifest.xml, app/build.gradle, pubspec.yaml), overridden by what the
+// client sends in the `metadata` field, and handed to the workflow as one resolved block.
+const fs = require('fs').promises;
+const path = require('path');
+
+// Flutter's own minimum; the fresh project does not build below it
+const MIN_SDK = 21;
+const MAX_SDK = 36;
+// Google Play rejects larger version codes
+const MAX_VERSION_CODE = 2100000000;
+const MAX_PERMISSIONS = 100;
+const FIELDS = ['versionName', 'versionCode', 'minSdk', 'targetSdk', 'orientation', 'permissions'];
+const ORIENTATIONS = [
+  'unspecified', 'portrait', 'landscape', 'sensorPortrait', 'sensorLandscape', 'reversePortrait', 'reverseLandscape',
+  'userPortrait', 'userLandscape', 'sensor', 'fullSensor', 'nosensor', 'user', 'fullUser', 'locked', 'behind'
+];
+const VERSION_NAME_PATTERN = /^[0-9A-Za-z][0-9A-Za-z._-]{0,63}$/;
+const PERMISSION_PATTERN = /^[A-Za-z][A-Za-z0-9_]*(\.[A-Za-z][A-Za-z0-9_]*)*$/;
+
+function metadataError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+async function readOptional(file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// android/app/build.gradle, or build.gradle.kts for projects created by newer Flutter versions.
+// Resolves to { content, dialect: 'groovy' | 'kotlin' } or null.
+async function readAppGradle(projectRoot) {
+  const androidApp = path.join(projectRoot, 'android', 'app');
+  const groovy = await readOptional(path.join(androidApp, 'build.gradle'));
+  if (groovy !== null) return { content: groovy, dialect: 'groovy' };
+  const kotlin = await readOptional(path.join(androidApp, 'build.gradle.kts'));
+  return kotlin !== null ? { content: kotlin, dialect: 'kotlin' } : null;
+}
+
+// Bare names such as CAMERA are shorthand for android.permission.CAMERA
+function normalizePermission(name) {
+  return name.indexOf('.') === -1 ? 'android.permission.' + name : name;
+}
+
+function parseSdk(value) {
+  return value !== undefined && value !== null ? parseInt(value, 10) : null;
+}
+
+// Only literal values count: `minSdk = flutter.minSdkVersion` means "whatever Flutter defaults to"
+function gradleValue(gradle, names, pattern) {
+  const match = gradle && gradle.match(new RegExp('\\b(?:' + names + ')\\s*[=(]?\\s*' + pattern));
+  return match ? match[1] : null;
+}
+
+// What the uploaded project already declares. Every field is null when not found.
+async function detectMetadata(projectRoot, pubspec) {
+  const manifest = await readOptional(path.join(projectRoot, 'android', 'app', 'src', 'main', 'AndroidManifest.xml'));
+  const appGradle = await readAppGradle(projectRoot);
+  const gradle = appGradle ? appGradle.content : null;
+
+  const detected = {
+    version_name: null,
+    version_code: null,
+    min_sdk: parseSdk(gradleValue(gradle, 'minSdkVersion|minSdk', '(\\d+)')),
+    target_sdk: parseSdk(gradleValue(gradle, 'targetSdkVersion|targetSdk', '(\\d+)')),
+    orientation: null,
+    permissions: [],
+    sources: {}
+  };
+  if (detected.min_sdk !== null) detected.sources.min_sdk = 'gradle';
+  if (detected.target_sdk !== null) detected.sources.target_sdk = 'gradle';
+
+  // pubspec `version: 1.2.3+4` is what flutter.versionName / flutter.versionCode resolve to
+  const pubspecVersion = pubspec && pubspec.version ? pubspec.version.match(/^([^+\s]+)(?:\+(\d+))?$/) : null;
+  if (pubspecVersion) {
+    detected.version_name = pubspecVersion[1];
+    detected.sources.version_name = 'pubspec';
+    if (pubspecVersion[2]) {
+      detected.version_code = parseInt(pubspecVersion[2], 10);
+      detected.sources.version_code = 'pubspec';
+    }
+  }
+  const gradleName = gradleValue(gradle, 'versionName', '"([^"$]+)"');
+  const gradleCode = gradleValue(gradle, 'versionCode', '(\\d+)');
+  if (gradleName) {
+    detected.version_name = gradleName;
+    detected.sources.version_name = 'gradle';
+  }
+  if (gradleCode) {
+    detected.version_code = parseInt(gradleCode, 10);
+    detected.sources.version_code = 'gradle';
+  }
+
+  if (manifest) {
+    const permissionPattern = /<uses-permission\s[^>]*android:name\s*=\s*"([^"]+)"/g;
+    let match;
+    while ((match = permissionPattern.exec(manifest)) !== null) {
+      if (!detected.permissions.includes(match[1])) detected.permissions.push(match[1]);
+    }
+    if (detected.permissions.length > 0) detected.sources.permissions = 'manifest';
+
+    const orientation = manifest.match(/<activity\s[^>]*android:screenOrientation\s*=\s*"([^"]+)"/);
+    if (orientation) {
+      detected.orientation = orientation[1];
+      detected.sources.orientation = 'manifest';
+    }
+  }
+
+  return detected;
+}
+
+// Validates the client's metadata block (a JSON string from the multipart form, or an object).
+// Resolves to the requested values with snake_case keys, only for the fields that were sent.
+function parseMetadata(raw) {
+  if (raw === undefined || raw === null || raw === '') return {};
+
+  let input = raw;
+  if (typeof raw === 'string') {
+    try {
+      input = JSON.parse(raw);
+    } catch (err) {
+      throw metadataError('INVALID_METADATA', 'metadata must be a JSON object');
+    }
+  }
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw metadataError('INVALID_METADATA', 'metadata must be a JSON object');
+  }
+
+  const unknown = Object.keys(input).filter(function(k) { return !FIELDS.includes(k); });
+  if (unknown.length > 0) {
+    throw metadataError('INVALID_METADATA', 'Unknown metadata field: ' + unknown[0], { field: unknown[0], allowed: FIELDS });
+  }
+
+  const fail = function(field, message, extra) {
+    return metadataError('INVALID_METADATA', message, Object.assign({ field: field }, extra));
+  };
+  const integer = function(field, min, max) {
+    const value = input[field];
+    const n = typeof value === 'string' && /^\d+$/.test(value.trim()) ? parseInt(value, 10) : value;
+    if (!Number.isInteger(n) || n < min || n > max) {
+      throw fail(field, field + ' must be a whole number between ' + min + ' and ' + max, { min: min, max: max });
+    }
+    return n;
+  };
+
+  const requested = {};
+  if (input.versionName != null) {
+    const name = String(input.versionName).trim();
+    if (!VERSION_NAME_PATTERN.test(name)) {
+      throw fail('versionName', 'versionName may only contain letters, digits, dots, dashes and underscores (max 64)');
+    }
+    requested.version_name = name;
+  }
+  if (input.versionCode != null) requested.version_code = integer('versionCode', 1, MAX_VERSION_CODE);
+  if (input.minSdk != null) requested.min_sdk = integer('minSdk', MIN_SDK, MAX_SDK);
+  if (input.targetSdk != null) requested.target_sdk = integer('targetSdk', MIN_SDK, MAX_SDK);
+  if (input.orientation != null) {
+    if (!ORIENTATIONS.includes(input.orientation)) {
+      throw fail('orientation', 'Unknown screen orientation: ' + input.orientation, { allowed: ORIENTATIONS });
+    }
+    requested.orientation = input.orientation;
+  }
+  if (input.permissions != null) {
+    if (!Array.isArray(input.permissions) || input.permissions.length > MAX_PERMISSIONS) {
+      throw fail('permissions', 'permissions must be a list of at most ' + MAX_PERMISSIONS + ' permission names');
+    }
+    requested.permissions = [];
+    input.permissions.forEach(function(p) {
+      const name = typeof p === 'string' ? p.trim() : '';
+      if (!PERMISSION_PATTERN.test(name)) throw fail('permissions', 'Invalid permission name: ' + String(p));
+      const full = normalizePermission(name);
+      if (!requested.permissions.includes(full)) requested.permissions.push(full);
+    });
+  }
+  return requested;
+}
+
+// Requested values win over detected ones; permissions are the union of both.
+// Returns { version_name, version_code, min_sdk, target_sdk, orientation, permissions, sources, warnings },
+// where min_sdk / target_sdk stay null to keep Flutter's defaults.
+function resolveMetadata(requested, detected) {
+  const effective = {};
+  const sources = {};
+  const warnings = [];
+  const pick = function(field, fallback) {
+    if (requested[field] !== undefined) {
+      effective[field] = requested[field];
+      sources[field] = 'request';
+    } else if (detected[field] !== null && detected[field] !== undefined) {
+      effective[field] = detected[field];
+      sources[field] = detected.sources[field];
+    } else {
+      effective[field] = fallback;
+      sources[field] = 'default';
+    }
+  };
+
+  pick('version_name', '1.0.0');
+  pick('version_code', 1);
+  pick('min_sdk', null);
+  pick('target_sdk', null);
+  pick('orientation', 'unspecified');
+
+  // Values copied from an old project are advisory: ones the fresh project cannot use are dropped
+  ['min_sdk', 'target_sdk'].forEach(function(field) {
+    const value = effective[field];
+    if (sources[field] !== 'request' && value !== null && (value < MIN_SDK || value > MAX_SDK)) {
+      warnings.push({ severity: 'warning', code: 'SDK_OUT_OF_RANGE', field: field,
+        message: 'Ignoring ' + field + ' ' + value + ' from the project, supported range is ' + MIN_SDK + '-' + MAX_SDK });
+      effective[field] = null;
+      sources[field] = 'default';
+    }
+  });
+  // Same formats as parseMetadata: these end up on the `flutter build` command line and in the manifest
+  if (sources.version_name !== 'request' && !VERSION_NAME_PATTERN.test(String(effective.version_name))) {
+    warnings.push({ severity: 'warning', code: 'INVALID_VERSION_NAME', field: 'version_name',
+      message: 'Ignoring version name "' + String(effective.version_name).slice(0, 100) + '" from the project' });
+    effective.version_name = '1.0.0';
+    sources.version_name = 'default';
+  }
+  if (sources.version_code !== 'request' && !(effective.version_code >= 1 && effective.version_code <= MAX_VERSION_CODE)) {
+    warnings.push({ severity: 'warning', code: 'INVALID_VERSION_CODE', field: 'version_code',
+      message: 'Ignoring version code ' + effective.version_code + ' from the project, allowed range is 1-' + MAX_VERSION_CODE });
+    effective.version_code = 1;
+    sources.version_code = 'default';
+  }
+  if (sources.orientation === 'manifest' && !ORIENTATIONS.includes(effective.orientation)) {
+    warnings.push({ severity: 'warning', code: 'UNKNOWN_ORIENTATION', field: 'orientation',
+      message: 'Ignoring screen orientation "' + effective.orientation + '" from the project manifest' });
+    effective.orientation = 'unspecified';
+    sources.orientation = 'default';
+  }
+
+  if (effective.min_sdk !== null && effective.target_sdk !== null && effective.target_sdk < effective.min_sdk) {
+    throw metadataError('INVALID_METADATA', 'targetSdk (' + effective.target_sdk + ') is lower than minSdk (' + effective.min_sdk + ')',
+      { field: sources.target_sdk === 'request' ? 'targetSdk' : 'minSdk', min_sdk: effective.min_sdk, target_sdk: effective.target_sdk,
+        sources: { min_sdk: sources.min_sdk, target_sdk: sources.target_sdk } });
+  }
+
+  effective.permissions = [];
+  detected.permissions.forEach(function(p) {
+    if (!PERMISSION_PATTERN.test(p) || effective.permissions.length >= MAX_PERMISSIONS) {
+      warnings.push({ severity: 'warning', code: 'INVALID_PERMISSION', field: 'permissions',
+        message: 'Ignoring permission "' + String(p).slice(0, 200) + '" from the project manifest' });
+    } else if (!effective.permissions.includes(p)) {
+      effective.permissions.push(p);
+    }
+  });
+  const fromManifest = effective.permissions.length;
+  (requested.permissions || []).forEach(function(p) {
+    if (!effective.permissions.includes(p)) effective.permissions.push(p);
+  });
+  sources.permissions = [
+    fromManifest > 0 ? 'manifest' : null,
+    requested.permissions && requested.permissions.length > 0 ? 'request' : null
+  ].filter(Boolean).join('+') || 'default';
+
+  effective.sources = sources;
+  effective.warnings = warnings;
+  return effective;
+}
+
+module.exports = { detectMetadata, parseMetadata, resolveMetadata, readAppGradle, ORIENTATIONS };
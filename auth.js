@@ -0,0 +1,92 @@
+// auth.js
+// Bearer token verifiers. A verifier is an async function (token) -> { uid, email, name }
+// that throws an error with code INVALID_TOKEN when the token is not acceptable. canAccessBuild
+// decides which of those users may see a given build.
+const crypto = require('crypto');
+const axios = require('axios');
+
+const FIREBASE_CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+const CLOCK_SKEW_SECONDS = 300;
+
+function authError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_TOKEN';
+  return err;
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (e) {
+    throw authError('Malformed token');
+  }
+}
+
+// Verifies Firebase Auth ID tokens (RS256, signed by Google's rotating securetoken certificates)
+function createFirebaseVerifier(projectId) {
+  let certs = null;
+  let certsExpireAt = 0;
+
+  async function getCerts() {
+    if (certs && Date.now() < certsExpireAt) return certs;
+    const resp = await axios.get(FIREBASE_CERTS_URL, { timeout: 10000 });
+    const maxAge = /max-age=(\d+)/.exec(resp.headers['cache-control'] || '');
+    certs = resp.data;
+    certsExpireAt = Date.now() + (maxAge ? parseInt(maxAge[1]) * 1000 : 3600000);
+    return certs;
+  }
+
+  return async function verifyFirebaseToken(token) {
+    if (!projectId) throw new Error('FIREBASE_PROJECT_ID is not configured');
+
+    const parts = String(token).split('.');
+    if (parts.length !== 3) throw authError('Malformed token');
+    const header = decodeSegment(parts[0]);
+    const payload = decodeSegment(parts[1]);
+
+    if (header.alg !== 'RS256') throw authError('Unexpected token algorithm');
+    const cert = (await getCerts())[header.kid];
+    if (!cert) throw authError('Token signed by an unknown key');
+
+    const signed = crypto.verify('RSA-SHA256', Buffer.from(parts[0] + '.' + parts[1]),
+      crypto.createPublicKey(cert), Buffer.from(parts[2], 'base64url'));
+    if (!signed) throw authError('Invalid token signature');
+
+    const now = Math.floor(Date.now() / 1000);
+    if (payload.aud !== projectId) throw authError('Token audience mismatch');
+    if (payload.iss !== 'https://securetoken.google.com/' + projectId) throw authError('Token issuer mismatch');
+    if (!payload.sub) throw authError('Token has no subject');
+    if (payload.exp <= now) throw authError('Token expired');
+    if (payload.iat > now + CLOCK_SKEW_SECONDS) throw authError('Token issued in the future');
+
+    return { uid: payload.sub, email: payload.email || null, name: payload.name || null };
+  };
+}
+
+// Stand-in for development and tests: fixed tokens mapped to users, e.g. { 'dev-token': { uid: 'dev' } }
+function createLocalVerifier(users) {
+  return async function verifyLocalToken(token) {
+    // A token such as "constructor" must not resolve through Object.prototype
+    const user = Object.prototype.hasOwnProperty.call(users, token) ? users[token] : null;
+    if (!user) throw authError('Unknown token');
+    return { uid: user.uid, email: user.email || null, name: user.name || null };
+  };
+}
+
+// LOCAL_AUTH_TOKENS="token:uid,token2:uid2"
+function parseLocalTokens(spec) {
+  const users = Object.create(null);
+  String(spec || '').split(',').filter(Boolean).forEach(function(pair) {
+    const idx = pair.indexOf(':');
+    const uid = pair.slice(idx + 1).trim();
+    if (idx > 0 && uid) users[pair.slice(0, idx).trim()] = { uid: uid };
+  });
+  return users;
+}
+
+// Builds recorded before ownership existed stay reachable by ID
+function canAccessBuild(build, user) {
+  return !build.owner || build.owner.uid === user.uid;
+}
+
+module.exports = { createFirebaseVerifier, createLocalVerifier, parseLocalTokens, canAccessBuild };
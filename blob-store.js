@@ -0,0 +1,169 @@
+// blob-store.js
+// Content-addressed file store behind incremental (manifest) uploads.
+// Blobs are keyed by SHA-256 and kept per owner, so nobody can probe for or reuse another user's files.
+// A blob's mtime is refreshed whenever a manifest references it, which lets cleanup expire cold blobs.
+// The manifests themselves are files in the same directory, so every instance behind the load balancer
+// (and a restarted one) sees them.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+const MANIFEST_ID_PATTERN = /^[a-f0-9]{32}$/;
+// Owner directories never contain a dot (see blobPath), so this cannot collide with one
+const MANIFESTS_DIR = '.manifests';
+
+function blobError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+function hashFile(filePath) {
+  return new Promise(function(resolve, reject) {
+    const hash = crypto.createHash('sha256');
+    fsSync.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', function(chunk) { hash.update(chunk); })
+      .on('end', function() { resolve(hash.digest('hex')); });
+  });
+}
+
+class BlobStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  blobPath(ownerId, hash) {
+    if (!HASH_PATTERN.test(hash)) throw blobError('INVALID_HASH', 'Invalid SHA-256 hash: ' + hash);
+    return path.join(this.dir, String(ownerId).replace(/[^A-Za-z0-9_-]/g, '_'), hash.slice(0, 2), hash);
+  }
+
+  // Returns the hashes not stored yet
+  async missing(ownerId, hashes) {
+    const now = new Date();
+    const missing = [];
+    for (const hash of new Set(hashes)) {
+      try {
+        await fs.utimes(this.blobPath(ownerId, hash), now, now);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        missing.push(hash);
+      }
+    }
+    return missing;
+  }
+
+  // Copies an uploaded file into the store. `hash` must come from hashFile(filePath), never from the client.
+  // The temp file + rename keeps concurrent uploads of the same blob from seeing a partial file.
+  async put(ownerId, filePath, hash) {
+    const dest = this.blobPath(ownerId, hash);
+    await fs.mkdir(path.dirname(dest), { recursive: true });
+    const tmpPath = dest + '.' + process.pid + '.' + crypto.randomBytes(4).toString('hex') + '.tmp';
+    await fs.copyFile(filePath, tmpPath);
+    await fs.rename(tmpPath, dest);
+    return hash;
+  }
+
+  // Checks manifest entries ({ path, sha256, size }) against the stored blobs before anything is copied:
+  // every declared size must be the blob's real size, and the real total (a blob counts once per path
+  // it is listed under) and the paths per blob must stay within limits ({ maxTotalSize, maxReferences }).
+  async measure(ownerId, files, limits) {
+    const sizes = new Map();
+    const references = new Map();
+    let totalSize = 0;
+    for (const file of files) {
+      if (!sizes.has(file.sha256)) {
+        try {
+          sizes.set(file.sha256, (await fs.stat(this.blobPath(ownerId, file.sha256))).size);
+        } catch (err) {
+          if (err.code === 'ENOENT') throw blobError('BLOB_MISSING', 'Blob for ' + file.path + ' has not been uploaded', { path: file.path, sha256: file.sha256 });
+          throw err;
+        }
+      }
+      const size = sizes.get(file.sha256);
+      if (size !== file.size) {
+        throw blobError('SIZE_MISMATCH', 'Declared size of ' + file.path + ' does not match its blob', { path: file.path, declared: file.size, actual: size });
+      }
+      const count = (references.get(file.sha256) || 0) + 1;
+      references.set(file.sha256, count);
+      if (limits.maxReferences && count > limits.maxReferences) {
+        throw blobError('TOO_MANY_REFERENCES', 'Blob ' + file.sha256 + ' is listed under more than ' + limits.maxReferences + ' paths', { sha256: file.sha256 });
+      }
+      totalSize += size;
+      if (limits.maxTotalSize && totalSize > limits.maxTotalSize) {
+        throw blobError('UPLOAD_TOO_LARGE', 'Project is larger than ' + limits.maxTotalSize + ' bytes', { total_size: totalSize });
+      }
+    }
+    return totalSize;
+  }
+
+  // Recreates a project tree from manifest entries ({ path, sha256, size }) under destDir, after measure()
+  async materialize(ownerId, files, destDir, limits) {
+    await this.measure(ownerId, files, limits || {});
+    for (const file of files) {
+      const target = path.join(destDir, file.path);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      try {
+        await fs.copyFile(this.blobPath(ownerId, file.sha256), target);
+      } catch (err) {
+        if (err.code === 'ENOENT') throw blobError('BLOB_MISSING', 'Blob for ' + file.path + ' has not been uploaded', { path: file.path, sha256: file.sha256 });
+        throw err;
+      }
+    }
+  }
+}
+
+// Upload manifests ({ id, owner, files, expires_at }), one JSON file each under <blob dir>/.manifests
+class ManifestStore {
+  // options: { ttl (ms) }
+  constructor(blobDir, options) {
+    this.dir = path.join(blobDir, MANIFESTS_DIR);
+    this.ttl = options.ttl;
+  }
+
+  manifestPath(id) {
+    return path.join(this.dir, id + '.json');
+  }
+
+  async create(ownerId, files) {
+    const manifest = {
+      id: crypto.randomBytes(16).toString('hex'),
+      owner: ownerId,
+      files: files,
+      expires_at: new Date(Date.now() + this.ttl).toISOString()
+    };
+    await fs.mkdir(this.dir, { recursive: true });
+    const target = this.manifestPath(manifest.id);
+    const tmpPath = target + '.' + process.pid + '.tmp';
+    await fs.writeFile(tmpPath, JSON.stringify(manifest));
+    await fs.rename(tmpPath, target);
+    return manifest;
+  }
+
+  // Resolves to the manifest, or null when unknown or expired
+  async get(id) {
+    if (!MANIFEST_ID_PATTERN.test(String(id))) return null;
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.readFile(this.manifestPath(id), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error('[ManifestStore] Could not read manifest ' + id + ': ' + err.message);
+      return null;
+    }
+    if (Date.now() > new Date(manifest.expires_at).getTime()) {
+      await this.remove(id);
+      return null;
+    }
+    return manifest;
+  }
+
+  async remove(id) {
+    if (!MANIFEST_ID_PATTERN.test(String(id))) return;
+    await fs.rm(this.manifestPath(id), { force: true });
+  }
+}
+
+module.exports = { BlobStore, ManifestStore, hashFile, HASH_PATTERN, MANIFESTS_DIR };
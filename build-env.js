@@ -0,0 +1,197 @@
+// build-env.js
+// Build flavors and --dart-define values for Flutter builds.
+// Flavors are read from the uploaded android/app/build.gradle(.kts) and re-declared by the workflow in
+// the fresh project it builds from. Dart define values are treated as secrets: only their keys are ever
+// logged, stored or returned, and the values reach the workflow sealed (see signing.js).
+const fs = require('fs').promises;
+const path = require('path');
+const { readAppGradle } = require('./app-metadata');
+
+const FLAVOR_PATTERN = /^[a-z][A-Za-z0-9]{0,63}$/;
+const DEFINE_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_.]{0,127}$/;
+const MAX_DEFINES = 100;
+const MAX_DEFINE_VALUE_LENGTH = 8 * 1024;
+const MAX_DEFINE_FILE_SIZE = 64 * 1024;
+// Per-flavor settings the workflow knows how to re-declare
+const FLAVOR_PROPERTIES = ['dimension', 'applicationId', 'applicationIdSuffix', 'versionNameSuffix'];
+
+function buildEnvError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+// Index just past the `}` closing the block whose `{` is at `open`, skipping strings and comments
+function blockEnd(source, open) {
+  let depth = 0;
+  for (let i = open; i < source.length; i++) {
+    const c = source[i];
+    if (c === '"' || c === "'") {
+      const close = source.indexOf(c, i + 1);
+      if (close === -1) return -1;
+      i = close;
+    } else if (c === '/' && source[i + 1] === '/') {
+      const eol = source.indexOf('\n', i);
+      if (eol === -1) return -1;
+      i = eol;
+    } else if (c === '/' && source[i + 1] === '*') {
+      const close = source.indexOf('*/', i + 2);
+      if (close === -1) return -1;
+      i = close + 1;
+    } else if (c === '{') {
+      depth++;
+    } else if (c === '}') {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return -1;
+}
+
+// Top-level `name { ... }` entries of a block body; Kotlin DSL spells them create("name") / register("name")
+function blockEntries(body) {
+  const entries = [];
+  const pattern = /(?:\b(?:create|register|maybeCreate)\s*\(\s*"(\w+)"\s*\)|\b(\w+))\s*\{/g;
+  let match;
+  while ((match = pattern.exec(body)) !== null) {
+    const open = match.index + match[0].length - 1;
+    const end = blockEnd(body, open);
+    if (end === -1) break;
+    entries.push({ name: match[1] || match[2], body: body.slice(open + 1, end - 1) });
+    pattern.lastIndex = end;
+  }
+  return entries;
+}
+
+function snake(name) {
+  return name.replace(/[A-Z]/g, function(c) { return '_' + c.toLowerCase(); });
+}
+
+function parseFlavors(gradle) {
+  const start = gradle.search(/\bproductFlavors\s*\{/);
+  if (start === -1) return { dimensions: [], flavors: [] };
+  const open = gradle.indexOf('{', start);
+  const end = blockEnd(gradle, open);
+  if (end === -1) return { dimensions: [], flavors: [] };
+
+  const flavors = blockEntries(gradle.slice(open + 1, end - 1)).map(function(entry) {
+    const flavor = { name: entry.name };
+    FLAVOR_PROPERTIES.forEach(function(prop) {
+      // Values are written back into a build script by the workflow, so only plain identifiers are kept
+      const match = entry.body.match(new RegExp('\\b' + prop + '\\s*[=(]?\\s*"([\\w.-]*)"'));
+      flavor[snake(prop)] = match ? match[1] : null;
+    });
+    return flavor;
+  }).filter(function(f) { return FLAVOR_PATTERN.test(f.name); });
+
+  // flavorDimensions "a", "b" | flavorDimensions += listOf("a", "b") | flavorDimensions.addAll(listOf(...))
+  const declared = gradle.match(/\bflavorDimensions\b[^\n]*/);
+  const dimensions = declared ? (declared[0].match(/"([^"]+)"/g) || []).map(function(d) { return d.slice(1, -1); }) : [];
+  flavors.forEach(function(f) {
+    if (f.dimension && !dimensions.includes(f.dimension)) dimensions.push(f.dimension);
+  });
+  return { dimensions: dimensions, flavors: flavors };
+}
+
+// Flavors declared by the uploaded project. Resolves to { dialect, dimensions, flavors: [{ name, dimension,
+// application_id, application_id_suffix, version_name_suffix, entrypoint }] }; flavors is empty without any.
+async function detectFlavors(projectRoot) {
+  const appGradle = await readAppGradle(projectRoot);
+  if (!appGradle) return { dialect: null, dimensions: [], flavors: [] };
+
+  const parsed = parseFlavors(appGradle.content);
+  for (const flavor of parsed.flavors) {
+    // Projects generated by very_good_cli and similar keep one entrypoint per flavor
+    const entrypoint = 'lib/main_' + flavor.name + '.dart';
+    try {
+      await fs.access(path.join(projectRoot, entrypoint));
+      flavor.entrypoint = entrypoint;
+    } catch (e) {
+      flavor.entrypoint = null;
+    }
+  }
+  return { dialect: appGradle.dialect, dimensions: parsed.dimensions, flavors: parsed.flavors };
+}
+
+// Checks the requested flavor against the detected ones; resolves to the flavor entry or null when none was asked for
+function resolveFlavor(requested, detected, packageName) {
+  if (requested === undefined || requested === null || requested === '') return null;
+  const name = String(requested).trim();
+  const available = detected.flavors.map(function(f) { return f.name; });
+  if (!FLAVOR_PATTERN.test(name)) {
+    throw buildEnvError('INVALID_FLAVOR', 'Flavor names start with a lowercase letter and contain only letters and digits', { available: available });
+  }
+  const flavor = detected.flavors.find(function(f) { return f.name === name; });
+  if (!flavor) {
+    throw buildEnvError('UNKNOWN_FLAVOR', available.length > 0
+      ? 'Flavor ' + name + ' is not declared in android/app/build.gradle'
+      : 'The project declares no product flavors in android/app/build.gradle', { flavor: name, available: available });
+  }
+  return Object.assign({}, flavor, {
+    effective_application_id: (flavor.application_id || packageName) + (flavor.application_id_suffix || '')
+  });
+}
+
+// A flat JSON object of key -> string | number | boolean, as accepted by --dart-define-from-file
+function checkDefines(input, source) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw buildEnvError('INVALID_DART_DEFINES', source + ' must be a JSON object of KEY: value pairs', { source: source });
+  }
+  const defines = {};
+  Object.keys(input).forEach(function(key) {
+    if (!DEFINE_KEY_PATTERN.test(key)) {
+      throw buildEnvError('INVALID_DART_DEFINES', 'Invalid dart-define key in ' + source + ': ' + key.slice(0, 128), { source: source, key: key.slice(0, 128) });
+    }
+    const value = input[key];
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      throw buildEnvError('INVALID_DART_DEFINES', 'dart-define ' + key + ' must be a string, number or boolean', { source: source, key: key });
+    }
+    // The value itself never goes into an error message
+    if (String(value).length > MAX_DEFINE_VALUE_LENGTH) {
+      throw buildEnvError('INVALID_DART_DEFINES', 'dart-define ' + key + ' is longer than ' + MAX_DEFINE_VALUE_LENGTH + ' characters', { source: source, key: key });
+    }
+    defines[key] = value;
+  });
+  return defines;
+}
+
+function parseDefinesJson(text, source) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    // JSON.parse messages quote the offending input, which may be a secret
+    throw buildEnvError('INVALID_DART_DEFINES', source + ' is not valid JSON', { source: source });
+  }
+}
+
+// Merges the dartDefines form field (JSON object) over the optional uploaded --dart-define-from-file JSON.
+// Resolves to { defines, summary } where summary only lists keys, or null when neither was sent.
+async function resolveDartDefines(field, file) {
+  if ((field === undefined || field === null || field === '') && !file) return null;
+
+  let fromFile = {};
+  if (file) {
+    if (file.size > MAX_DEFINE_FILE_SIZE) {
+      throw buildEnvError('INVALID_DART_DEFINES', 'dart-define file is larger than ' + (MAX_DEFINE_FILE_SIZE / 1024) + ' KB', { source: 'dartDefineFile' });
+    }
+    fromFile = checkDefines(parseDefinesJson(await fs.readFile(file.path, 'utf8'), 'dartDefineFile'), 'dartDefineFile');
+  }
+  const fromField = field ? checkDefines(typeof field === 'string' ? parseDefinesJson(field, 'dartDefines') : field, 'dartDefines') : {};
+
+  const defines = Object.assign({}, fromFile, fromField);
+  const keys = Object.keys(defines);
+  if (keys.length > MAX_DEFINES) {
+    throw buildEnvError('INVALID_DART_DEFINES', 'At most ' + MAX_DEFINES + ' dart-defines are allowed', { count: keys.length });
+  }
+  return {
+    defines: defines,
+    summary: {
+      keys: keys.sort(),
+      from_file: Object.keys(fromFile).length,
+      overridden: Object.keys(fromFile).filter(function(k) { return Object.prototype.hasOwnProperty.call(fromField, k); })
+    }
+  };
+}
+
+module.exports = { detectFlavors, resolveFlavor, resolveDartDefines, blockEnd };
@@ -0,0 +1,61 @@
+// build-events.js
+// Signed callbacks from the build workflows (POST /builds/:id/events and /builds/:id/repair).
+// The signature covers the build ID, the timestamp and the raw body, and only holds for EVENT_MAX_SKEW.
+// Within that window a captured request could be sent again, so each signature is accepted once, and
+// an event may not step back in time or reopen a build that already has its final status.
+const crypto = require('crypto');
+
+// The build ID is part of the signed text, so an event captured for one build cannot be replayed to another
+function signBuildEvent(secret, buildId, timestamp, rawBody) {
+  return 'sha256=' + crypto.createHmac('sha256', secret)
+    .update(buildId + '.' + timestamp + '.').update(rawBody).digest('hex');
+}
+
+// request: { buildId, timestamp, signature, rawBody } as received (timestamp in seconds, as a string)
+function verifyBuildEventSignature(secret, request, maxSkew, now) {
+  const signature = request.signature || '';
+  const timestamp = request.timestamp || '';
+  if (!secret || !signature || !/^\d{1,12}$/.test(timestamp) || !request.rawBody) return false;
+  if (Math.abs((now || Date.now()) - parseInt(timestamp, 10) * 1000) > maxSkew) return false;
+
+  const expected = Buffer.from(signBuildEvent(secret, request.buildId, timestamp, request.rawBody));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Signatures seen in the last 2 x maxSkew: a timestamp up to maxSkew ahead stays valid that long
+class EventReplayGuard {
+  constructor(maxSkew) {
+    this.ttl = 2 * maxSkew;
+    this.seen = new Map();
+  }
+
+  // False when the signature was already accepted
+  claim(signature, now) {
+    now = now || Date.now();
+    // Entries go in with the same ttl, so the oldest are first
+    for (const [seen, expiresAt] of this.seen) {
+      if (expiresAt > now) break;
+      this.seen.delete(seen);
+    }
+    if (this.seen.has(signature)) return false;
+    this.seen.set(signature, now + this.ttl);
+    return true;
+  }
+}
+
+// Null when the event may be applied to the build, otherwise { code, message } for a 409.
+// timestamp is the event's signed timestamp in seconds, terminal the stage's final status (if any);
+// log-only events pass null for both stage and terminal.
+function checkEventOrder(build, timestamp, stage, terminal) {
+  if (build.event_timestamp && timestamp < build.event_timestamp) {
+    return { code: 'EVENT_OUT_OF_ORDER', message: 'Event is older than the last one received for this build' };
+  }
+  // Only the same final status may be reported again (a success then carries the release URL)
+  if (stage && build.completed_at && terminal !== build.status) {
+    return { code: 'BUILD_FINISHED', message: 'Build already finished as ' + build.status };
+  }
+  return null;
+}
+
+module.exports = { signBuildEvent, verifyBuildEventSignature, EventReplayGuard, checkEventOrder };
@@ -0,0 +1,329 @@
+// build-logs.js
+// Job logs of finished workflow runs, fetched from the GitHub API and cached on disk (a finished run's
+// logs never change), plus a rule-based classifier that turns them into structured diagnostics so
+// users without access to the build repository can see why a build failed.
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+
+// Only the end of a huge log is kept: that is where failures are
+const MAX_LOG_BYTES = 8 * 1024 * 1024;
+const MAX_DIAGNOSTICS = 50;
+const BUILD_ID_PATTERN = /^[0-9]+-[a-f0-9]+$/;
+
+// Most specific root cause first: a failed `pub get` or a timeout explains everything logged after it
+const CATEGORY_PRIORITY = ['timeout', 'version_solving', 'missing_asset', 'dart_compile', 'min_sdk', 'gradle_mismatch', 'unknown'];
+
+// Same pattern the AI Code Doctor in build-flutter.yml uses to pick files to repair
+const DART_ERROR_PATTERN = /lib\/([^:]+):(\d+):(\d+): Error: (.*)/g;
+
+const GRADLE_MISMATCH_PATTERNS = [
+  { pattern: /Minimum supported Gradle version is (\d+(?:\.\d+)*)\. Current version is (\d+(?:\.\d+)*)/, component: 'gradle',
+    details: function(m) { return { required: m[1], current: m[2] }; } },
+  { pattern: /The Android Gradle plugin supports only Kotlin Gradle plugin version (\d+(?:\.\d+)*) and higher/, component: 'kotlin',
+    details: function(m) { return { required: m[1] }; } },
+  { pattern: /Module was compiled with an incompatible version of Kotlin\. The binary version of its metadata is (\d+(?:\.\d+)*), expected version is (\d+(?:\.\d+)*)/, component: 'kotlin',
+    details: function(m) { return { found: m[1], expected: m[2] }; } },
+  { pattern: /Your project requires a newer version of the Kotlin Gradle plugin/, component: 'kotlin' },
+  { pattern: /Dependency '([^']+)' requires Android Gradle plugin (\d+(?:\.\d+)*) or higher/, component: 'agp',
+    details: function(m) { return { dependency: m[1], required: m[2] }; } },
+  { pattern: /Dependency '([^']+)' requires libraries and applications that\s+depend on it to compile against version (\d+) or later/, component: 'compile_sdk',
+    details: function(m) { return { dependency: m[1], required: m[2] }; } },
+  { pattern: /Namespace not specified/, component: 'agp' },
+  { pattern: /Unsupported class file major version (\d+)/, component: 'java',
+    details: function(m) { return { class_file_version: m[1] }; } },
+  { pattern: /requires Java (\d+) to run|Android Gradle plugin requires Java (\d+)/, component: 'java',
+    details: function(m) { return { required: m[1] || m[2] }; } }
+];
+
+function logError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+// GitHub prefixes every line with an ISO timestamp; tools add ANSI colours
+function cleanLogText(text) {
+  return text
+    .replace(/\u001b\[[0-9;]*[A-Za-z]/g, '')
+    .split(/\r?\n/)
+    .map(function(line) { return line.replace(/^\d{4}-\d\d-\d\dT[\d:.]+Z ?/, ''); })
+    .join('\n');
+}
+
+function githubGet(url, token, options) {
+  return axios.get(url, Object.assign({ headers: { 'Authorization': 'token ' + token }, timeout: 15000 }, options));
+}
+
+// Resolves to { jobs: [{ id, name, conclusion, started_at, completed_at, failed_steps }], text }
+async function fetchRunLogs(owner, repo, token, runId) {
+  const base = 'https://api.github.com/repos/' + owner + '/' + repo + '/actions';
+  const jobsResp = await githubGet(base + '/runs/' + runId + '/jobs?per_page=100', token);
+
+  const jobs = [];
+  const parts = [];
+  for (const job of jobsResp.data.jobs || []) {
+    jobs.push({
+      id: job.id,
+      name: job.name,
+      conclusion: job.conclusion,
+      started_at: job.started_at,
+      completed_at: job.completed_at,
+      failed_steps: (job.steps || []).filter(function(s) { return s.conclusion === 'failure'; }).map(function(s) { return s.name; })
+    });
+    // Redirects to a short-lived download URL; axios drops the Authorization header on the way
+    const logResp = await githubGet(base + '/jobs/' + job.id + '/logs', token, {
+      responseType: 'text', transformResponse: [function(data) { return data; }], maxContentLength: 64 * 1024 * 1024, validateStatus: null
+    });
+    if (logResp.status === 200) {
+      parts.push('===== ' + job.name + ' =====\n' + cleanLogText(String(logResp.data)));
+    } else if (logResp.status !== 404 && logResp.status !== 410) {
+      throw logError('LOGS_FETCH_FAILED', 'GitHub returned ' + logResp.status + ' for the logs of job ' + job.id, { status: logResp.status });
+    }
+  }
+
+  let text = parts.join('\n');
+  if (Buffer.byteLength(text) > MAX_LOG_BYTES) {
+    text = '[log truncated to the last ' + (MAX_LOG_BYTES / 1048576) + ' MB]\n' + text.slice(-MAX_LOG_BYTES);
+  }
+  return { jobs: jobs, text: text };
+}
+
+// =============================================================================
+// Classification
+// =============================================================================
+
+function lineNumberAt(text, index) {
+  let line = 1;
+  for (let i = text.indexOf('\n'); i !== -1 && i < index; i = text.indexOf('\n', i + 1)) line++;
+  return line;
+}
+
+// Lines from the first "Because ..." up to "version solving failed."
+function versionSolvingDiagnostics(text) {
+  const end = text.indexOf('version solving failed');
+  if (end === -1) return [];
+  const before = text.slice(0, end);
+  const start = before.lastIndexOf('Because ');
+  const explanation = start !== -1 && end - start < 8000 ? text.slice(start, end).replace(/\s+/g, ' ').trim() : '';
+  const packages = [];
+  const pattern = /\b(?:Because|depends on|requires)\s+([a-z][a-z0-9_]*)\b/g;
+  let match;
+  while ((match = pattern.exec(explanation)) !== null) {
+    if (!packages.includes(match[1]) && match[1] !== 'every' && match[1] !== 'no') packages.push(match[1]);
+  }
+  return [{
+    category: 'version_solving',
+    message: explanation ? explanation + ' version solving failed.' : 'Dependency version solving failed',
+    details: { packages: packages },
+    log_line: lineNumberAt(text, start !== -1 ? start : end)
+  }];
+}
+
+function dartCompileDiagnostics(text) {
+  const found = [];
+  const seen = new Set();
+  const pattern = new RegExp(DART_ERROR_PATTERN.source, 'g');
+  let match;
+  while ((match = pattern.exec(text)) !== null && found.length < MAX_DIAGNOSTICS) {
+    const key = match[1] + ':' + match[2] + ':' + match[3] + ':' + match[4];
+    if (seen.has(key)) continue;
+    seen.add(key);
+    found.push({
+      category: 'dart_compile',
+      message: match[4].trim(),
+      file: 'lib/' + match[1],
+      line: parseInt(match[2], 10),
+      column: parseInt(match[3], 10),
+      log_line: lineNumberAt(text, match.index)
+    });
+  }
+  return found;
+}
+
+function minSdkDiagnostics(text) {
+  const found = [];
+  const manifestMerger = /uses-sdk:minSdkVersion (\d+) cannot be smaller than version (\d+) declared in library \[([^\]]+)\]/g;
+  let match;
+  while ((match = manifestMerger.exec(text)) !== null) {
+    found.push({
+      category: 'min_sdk',
+      message: 'minSdkVersion ' + match[1] + ' is lower than ' + match[2] + ', required by ' + match[3],
+      details: { current: parseInt(match[1], 10), required: parseInt(match[2], 10), library: match[3] },
+      log_line: lineNumberAt(text, match.index)
+    });
+  }
+  // Flutter's own hint, printed when a plugin raises the minimum
+  const flutterHint = /The plugin (\S+) requires a higher Android SDK version/g;
+  while ((match = flutterHint.exec(text)) !== null) {
+    found.push({
+      category: 'min_sdk',
+      message: 'Plugin ' + match[1].replace(/[`'"]/g, '') + ' requires a higher minSdkVersion',
+      details: { plugin: match[1].replace(/[`'"]/g, '') },
+      log_line: lineNumberAt(text, match.index)
+    });
+  }
+  return found;
+}
+
+function gradleMismatchDiagnostics(text) {
+  const found = [];
+  GRADLE_MISMATCH_PATTERNS.forEach(function(rule) {
+    const match = rule.pattern.exec(text);
+    if (!match) return;
+    found.push({
+      category: 'gradle_mismatch',
+      message: match[0].replace(/\s+/g, ' ').trim(),
+      details: Object.assign({ component: rule.component }, rule.details ? rule.details(match) : {}),
+      log_line: lineNumberAt(text, match.index)
+    });
+  });
+  return found;
+}
+
+function missingAssetDiagnostics(text) {
+  const found = [];
+  const patterns = [
+    /unable to find directory entry in pubspec\.yaml: (\S+)/g,
+    /No file or variants found for asset: (\S+)/g
+  ];
+  const seen = new Set();
+  patterns.forEach(function(pattern) {
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const asset = match[1].replace(/[.,]$/, '');
+      if (seen.has(asset)) continue;
+      seen.add(asset);
+      found.push({ category: 'missing_asset', message: 'Asset ' + asset + ' is declared in pubspec.yaml but was not found',
+        details: { asset: asset }, log_line: lineNumberAt(text, match.index) });
+    }
+  });
+  return found;
+}
+
+function timeoutDiagnostics(text, jobs) {
+  const found = [];
+  const exceeded = /has exceeded the maximum execution time of (\d+) minutes/.exec(text);
+  if (exceeded || jobs.some(function(j) { return j.conclusion === 'timed_out'; })) {
+    found.push({
+      category: 'timeout',
+      message: exceeded ? 'The build exceeded the maximum execution time of ' + exceeded[1] + ' minutes' : 'The build timed out',
+      details: exceeded ? { limit_minutes: parseInt(exceeded[1], 10) } : {},
+      log_line: exceeded ? lineNumberAt(text, exceeded.index) : null
+    });
+  }
+  const network = /(?:Read timed out|Connect(?:ion)? timed out|SocketTimeoutException|TimeoutException after [\d:.]+)[^\n]*/.exec(text);
+  if (network) {
+    found.push({ category: 'timeout', message: 'Network timeout while downloading dependencies: ' + network[0].trim().slice(0, 300),
+      details: { network: true }, log_line: lineNumberAt(text, network.index) });
+  }
+  return found;
+}
+
+// Gradle's "* What went wrong:" block, used when no rule matched
+function fallbackDiagnostic(text) {
+  const wrong = /\* What went wrong:\n([\s\S]*?)(?:\n\s*\n|\n\* Try:)/.exec(text);
+  if (wrong) {
+    return { category: 'unknown', message: wrong[1].replace(/\s+/g, ' ').trim().slice(0, 1000), log_line: lineNumberAt(text, wrong.index) };
+  }
+  const lines = text.split('\n');
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (/\b(error|failed|exception)\b/i.test(lines[i]) && !/^##\[/.test(lines[i])) {
+      return { category: 'unknown', message: lines[i].trim().slice(0, 1000), log_line: i + 1 };
+    }
+  }
+  return null;
+}
+
+// Returns { category, message, diagnostics: [{ category, message, file?, line?, column?, details?, log_line }] }.
+// category is the most likely root cause, or null when the log shows no failure.
+function classifyBuildLog(text, jobs) {
+  const diagnostics = [].concat(
+    timeoutDiagnostics(text, jobs || []),
+    versionSolvingDiagnostics(text),
+    missingAssetDiagnostics(text),
+    dartCompileDiagnostics(text),
+    minSdkDiagnostics(text),
+    gradleMismatchDiagnostics(text)
+  );
+  if (diagnostics.length === 0) {
+    const fallback = fallbackDiagnostic(text);
+    if (fallback) diagnostics.push(fallback);
+  }
+  diagnostics.sort(function(a, b) {
+    return CATEGORY_PRIORITY.indexOf(a.category) - CATEGORY_PRIORITY.indexOf(b.category) || (a.log_line || 0) - (b.log_line || 0);
+  });
+  const primary = diagnostics[0] || null;
+  return {
+    category: primary ? primary.category : null,
+    message: primary ? primary.message : null,
+    diagnostics: diagnostics.slice(0, MAX_DIAGNOSTICS)
+  };
+}
+
+// =============================================================================
+// Cache
+// =============================================================================
+
+// <dir>/<buildId>.log holds the log text, <buildId>.json the jobs and classification
+class BuildLogCache {
+  constructor(dir) {
+    this.dir = dir;
+    // Concurrent requests for the same build share one fetch
+    this.pending = new Map();
+  }
+
+  paths(buildId) {
+    if (!BUILD_ID_PATTERN.test(buildId)) throw logError('INVALID_BUILD_ID', 'Invalid build ID');
+    return { log: path.join(this.dir, buildId + '.log'), meta: path.join(this.dir, buildId + '.json') };
+  }
+
+  async get(buildId) {
+    try {
+      return JSON.parse(await fs.readFile(this.paths(buildId).meta, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async readText(buildId) {
+    return fs.readFile(this.paths(buildId).log, 'utf8');
+  }
+
+  // Resolves to the cached entry, fetching and classifying the run's logs on the first call
+  async load(buildId, fetcher) {
+    const cached = await this.get(buildId);
+    if (cached) return cached;
+    if (this.pending.has(buildId)) return this.pending.get(buildId);
+
+    const work = (async () => {
+      const fetched = await fetcher();
+      const entry = Object.assign({
+        build_id: buildId,
+        run_id: fetched.run_id,
+        conclusion: fetched.conclusion,
+        fetched_at: new Date().toISOString(),
+        jobs: fetched.jobs,
+        line_count: fetched.text ? fetched.text.split('\n').length : 0
+      }, classifyBuildLog(fetched.text, fetched.jobs));
+
+      const p = this.paths(buildId);
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(p.log, fetched.text);
+      // meta last: its presence means the entry is complete
+      await fs.writeFile(p.meta + '.' + process.pid + '.tmp', JSON.stringify(entry, null, 2));
+      await fs.rename(p.meta + '.' + process.pid + '.tmp', p.meta);
+      return entry;
+    })();
+    this.pending.set(buildId, work);
+    try {
+      return await work;
+    } finally {
+      this.pending.delete(buildId);
+    }
+  }
+}
+
+module.exports = { fetchRunLogs, classifyBuildLog, BuildLogCache };
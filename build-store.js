@@ -0,0 +1,168 @@
+// build-store.js
+// File-backed registry of every build the server has dispatched.
+// Keeps the request ID -> GitHub run mapping so status checks stay deterministic across restarts.
+// Emits 'update' (buildId, record) after every change so live streams can follow a build.
+// A write that fails rejects the change that caused it (BUILD_STORE_WRITE_FAILED): on a read-only
+// filesystem builds would otherwise only live in memory and vanish with the next restart.
+// A file that exists but cannot be read or parsed fails every call (BUILD_STORE_READ_FAILED) instead of
+// starting over empty, which the next save would write over the real records.
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+function storeError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+class BuildStore extends EventEmitter {
+  constructor(filePath) {
+    super();
+    this.setMaxListeners(0);
+    this.filePath = filePath;
+    this.builds = null;
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+    this.lockPath = filePath + '.lock';
+    this.locked = false;
+  }
+
+  // Concurrent first calls share one read. Records are keyed on a prototype-less object so IDs such as
+  // __proto__ or constructor never resolve to Object.prototype members.
+  load() {
+    if (!this.loading) {
+      this.loading = fs.readFile(this.filePath, 'utf8').then(function(raw) {
+        return Object.assign(Object.create(null), JSON.parse(raw).builds);
+      }, function(err) {
+        if (err.code === 'ENOENT') return Object.create(null);
+        throw err;
+      }).then((builds) => {
+        this.builds = builds;
+        return builds;
+      }, (err) => {
+        throw storeError('BUILD_STORE_READ_FAILED', 'Could not read ' + this.filePath + ': ' + err.message, { path: this.filePath });
+      });
+    }
+    return this.loading;
+  }
+
+  // Writes are serialized and go through a temp file + rename so a crash never leaves half a JSON file
+  persist() {
+    const write = this.writeQueue.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = this.filePath + '.' + process.pid + '.tmp';
+      await fs.writeFile(tmpPath, JSON.stringify({ version: 1, builds: this.builds }, null, 2));
+      await fs.rename(tmpPath, this.filePath);
+    }).catch((err) => {
+      console.error('[BuildStore] Persist failed: ' + err.message);
+      throw storeError('BUILD_STORE_WRITE_FAILED', 'Could not save ' + this.filePath + ': ' + err.message, { path: this.filePath });
+    });
+    // The next write still runs after a failed one
+    this.writeQueue = write.catch(function() {});
+    return write;
+  }
+
+  // Rejects with BUILD_STORE_WRITE_FAILED unless the store's directory can be written; run at startup
+  async checkWritable() {
+    const probe = path.join(path.dirname(this.filePath), '.write-test-' + process.pid);
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(probe, '');
+      await fs.rm(probe, { force: true });
+    } catch (err) {
+      throw storeError('BUILD_STORE_WRITE_FAILED', 'Cannot write to ' + path.dirname(this.filePath) + ': ' + err.message, { path: this.filePath });
+    }
+  }
+
+  // The records are cached in memory, so a second writer's changes are lost with the owner's next save.
+  // <file>.lock holds the pid of the process that may write; a lock whose process is gone is taken over.
+  // Rejects with BUILD_STORE_LOCKED (details.pid) while another live process holds it.
+  async acquireLock() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        await fs.writeFile(this.lockPath, String(process.pid), { flag: 'wx' });
+        this.locked = true;
+        return;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+      const pid = parseInt(await fs.readFile(this.lockPath, 'utf8').catch(function() { return ''; }), 10);
+      if (pid && pid !== process.pid && isAlive(pid)) {
+        throw storeError('BUILD_STORE_LOCKED', this.filePath + ' is in use by process ' + pid, { pid: pid });
+      }
+      await fs.rm(this.lockPath, { force: true });
+    }
+    throw storeError('BUILD_STORE_LOCKED', 'Could not lock ' + this.filePath);
+  }
+
+  // Synchronous so it can run from an 'exit' handler
+  releaseLock() {
+    if (!this.locked) return;
+    this.locked = false;
+    try {
+      if (fsSync.readFileSync(this.lockPath, 'utf8') === String(process.pid)) fsSync.unlinkSync(this.lockPath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error('[BuildStore] Could not release ' + this.lockPath + ': ' + err.message);
+    }
+  }
+
+  async create(record) {
+    const builds = await this.load();
+    const now = new Date().toISOString();
+    builds[record.build_id] = Object.assign({
+      status: 'dispatched',
+      run_id: null,
+      run_url: null,
+      download_url: null,
+      created_at: now,
+      updated_at: now,
+      completed_at: null
+    }, record);
+    await this.persist();
+    this.emit('update', record.build_id, builds[record.build_id]);
+    return builds[record.build_id];
+  }
+
+  async get(buildId) {
+    const builds = await this.load();
+    return builds[buildId] || null;
+  }
+
+  async update(buildId, patch) {
+    const builds = await this.load();
+    if (!builds[buildId]) return null;
+    Object.assign(builds[buildId], patch, { updated_at: new Date().toISOString() });
+    await this.persist();
+    this.emit('update', buildId, builds[buildId]);
+    return builds[buildId];
+  }
+
+  async list(filter) {
+    const builds = await this.load();
+    const all = Object.values(builds);
+    return filter ? all.filter(filter) : all;
+  }
+
+  async remove(buildId) {
+    const builds = await this.load();
+    if (!builds[buildId]) return false;
+    delete builds[buildId];
+    await this.persist();
+    return true;
+  }
+}
+
+module.exports = { BuildStore };
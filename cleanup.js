@@ -0,0 +1,222 @@
+// cleanup.js
+// Housekeeping shared by `npm run cleanup` (scripts/cleanup.js) and the periodic job in server.js:
+// orphaned temp dirs, expired resumable uploads and upload manifests, cold incremental-upload blobs, and the stored icon
+// and source ZIP of builds that finished long ago (or were dispatched even longer ago and never finished), and cached
+// build logs and repair reports. With dryRun nothing is touched, only reported.
+const fs = require('fs').promises;
+const path = require('path');
+const { MANIFESTS_DIR } = require('./blob-store');
+
+const DAY = 24 * 60 * 60 * 1000;
+// Used by server.js CONFIG and scripts/cleanup.js when the CLEANUP_* env vars are not set
+const CLEANUP_DEFAULTS = {
+  tempMaxAge: 6 * 60 * 60 * 1000,
+  blobMaxAge: 30 * DAY,
+  artifactRetentionDays: 30,
+  // Builds that never reported an end (lost callbacks, cancelled runs) keep their artifacts this long after dispatch
+  unfinishedRetentionDays: 90
+};
+
+// Resumable upload sessions live here and expire on their own schedule
+const UPLOAD_SESSIONS_DIR = 'uploads';
+
+// Builds dispatched before the storage interface only kept Cloudinary public IDs in this folder
+const LEGACY_CLOUDINARY_FOLDER = 'aite_studio/';
+
+async function readDirSafe(dir) {
+  try {
+    return await fs.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+// Requests clean up their own temp dirs concurrently, so entries may vanish mid-scan
+async function lstatSafe(target) {
+  try {
+    return await fs.lstat(target);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+async function sizeOf(target) {
+  const stat = await lstatSafe(target);
+  if (!stat) return 0;
+  if (!stat.isDirectory()) return stat.size;
+  let total = 0;
+  for (const entry of await readDirSafe(target)) total += await sizeOf(path.join(target, entry.name));
+  return total;
+}
+
+// Request temp dirs (and S3 spool files) whose last change is older than maxAge
+async function findStaleTemp(tempDir, maxAge, now) {
+  const stale = [];
+  for (const entry of await readDirSafe(tempDir)) {
+    if (entry.name === UPLOAD_SESSIONS_DIR) continue;
+    const fullPath = path.join(tempDir, entry.name);
+    const stat = await lstatSafe(fullPath);
+    if (stat && now - stat.mtimeMs > maxAge) stale.push({ path: fullPath, bytes: await sizeOf(fullPath), modified_at: stat.mtime.toISOString() });
+  }
+  return stale;
+}
+
+async function findExpiredUploads(tempDir, graceMs, now) {
+  const expired = [];
+  const dir = path.join(tempDir, UPLOAD_SESSIONS_DIR);
+  for (const entry of await readDirSafe(dir)) {
+    const sessionDir = path.join(dir, entry.name);
+    let expiresAt = 0;
+    try {
+      expiresAt = new Date(JSON.parse(await fs.readFile(path.join(sessionDir, 'meta.json'), 'utf8')).expires_at).getTime();
+    } catch (err) {
+      // No readable meta.json: a session that crashed during creation, judge it by age like a temp dir
+      const stat = await lstatSafe(sessionDir);
+      if (!stat) continue;
+      expiresAt = stat.mtimeMs + graceMs;
+    }
+    if (now > expiresAt) expired.push({ path: sessionDir, bytes: await sizeOf(sessionDir), expired_at: new Date(expiresAt).toISOString() });
+  }
+  return expired;
+}
+
+// Upload manifests in the blob dir, past their expires_at (unreadable ones are judged by age)
+async function findExpiredManifests(blobDir, graceMs, now) {
+  const expired = [];
+  const dir = path.join(blobDir, MANIFESTS_DIR);
+  for (const entry of await readDirSafe(dir)) {
+    const fullPath = path.join(dir, entry.name);
+    const stat = await lstatSafe(fullPath);
+    if (!stat) continue;
+    let expiresAt;
+    try {
+      expiresAt = new Date(JSON.parse(await fs.readFile(fullPath, 'utf8')).expires_at).getTime();
+    } catch (err) {
+      expiresAt = NaN;
+    }
+    if (isNaN(expiresAt)) expiresAt = stat.mtimeMs + graceMs;
+    if (now > expiresAt) expired.push({ path: fullPath, bytes: stat.size, expired_at: new Date(expiresAt).toISOString() });
+  }
+  return expired;
+}
+
+// Blobs get their mtime refreshed whenever a manifest references them
+async function findColdBlobs(blobDir, maxAge, now) {
+  const cold = [];
+  const walk = async (dir) => {
+    for (const entry of await readDirSafe(dir)) {
+      const fullPath = path.join(dir, entry.name);
+      if (dir === blobDir && entry.name === MANIFESTS_DIR) continue;
+      if (entry.isDirectory()) {
+        await walk(fullPath);
+        continue;
+      }
+      const stat = await lstatSafe(fullPath);
+      if (stat && now - stat.mtimeMs > maxAge) cold.push({ path: fullPath, bytes: stat.size });
+    }
+  };
+  await walk(blobDir);
+  return cold;
+}
+
+// Returns { storage, keys } for a build record, or null when nothing is stored for it
+function buildArtifacts(build) {
+  if (build.storage) {
+    const keys = [build.icon_key, build.icon_bundle_key, build.zip_key].filter(Boolean);
+    return keys.length > 0 ? { storage: build.storage, keys: keys } : null;
+  }
+  const keys = [];
+  if (build.icon_public_id && build.icon_public_id.startsWith(LEGACY_CLOUDINARY_FOLDER)) {
+    keys.push(build.icon_public_id.slice(LEGACY_CLOUDINARY_FOLDER.length) + '.png');
+  }
+  if (build.zip_public_id && build.zip_public_id.startsWith(LEGACY_CLOUDINARY_FOLDER)) {
+    keys.push(build.zip_public_id.slice(LEGACY_CLOUDINARY_FOLDER.length));
+  }
+  return keys.length > 0 ? { storage: 'cloudinary', keys: keys } : null;
+}
+
+// options: { tempDir, tempMaxAge, blobDir, blobMaxAge, logDir, artifactMaxAge, unfinishedMaxAge, buildStore, storage, dryRun, now }
+// Ages are in ms; a falsy max age skips that step (unfinishedMaxAge falls back to the default instead).
+// Resolves to a report of what was (or would be) deleted.
+async function runCleanup(options) {
+  const now = options.now || Date.now();
+  const dryRun = !!options.dryRun;
+  const report = { dry_run: dryRun, temp: [], uploads: [], manifests: [], blobs: [], logs: [], artifacts: [], errors: [] };
+
+  const removeAll = async (items) => {
+    if (dryRun) return;
+    for (const item of items) {
+      try {
+        await fs.rm(item.path, { recursive: true, force: true });
+      } catch (err) {
+        report.errors.push({ path: item.path, error: err.message });
+      }
+    }
+  };
+
+  if (options.tempDir && options.tempMaxAge) {
+    report.temp = await findStaleTemp(options.tempDir, options.tempMaxAge, now);
+    await removeAll(report.temp);
+  }
+  if (options.tempDir) {
+    report.uploads = await findExpiredUploads(options.tempDir, options.tempMaxAge || CLEANUP_DEFAULTS.tempMaxAge, now);
+    await removeAll(report.uploads);
+  }
+  if (options.blobDir) {
+    report.manifests = await findExpiredManifests(options.blobDir, options.tempMaxAge || CLEANUP_DEFAULTS.tempMaxAge, now);
+    await removeAll(report.manifests);
+  }
+  if (options.blobDir && options.blobMaxAge) {
+    report.blobs = await findColdBlobs(options.blobDir, options.blobMaxAge, now);
+    await removeAll(report.blobs);
+  }
+  // Cached logs and repair reports are written once per build, so they share the artifacts' retention
+  if (options.logDir && options.artifactMaxAge) {
+    report.logs = await findColdBlobs(options.logDir, options.artifactMaxAge, now);
+    await removeAll(report.logs);
+  }
+
+  if (options.buildStore && options.storage && options.artifactMaxAge) {
+    const unfinishedMaxAge = options.unfinishedMaxAge || CLEANUP_DEFAULTS.unfinishedRetentionDays * DAY;
+    const expired = await options.buildStore.list(function(b) {
+      if (b.artifacts_deleted_at) return false;
+      if (b.completed_at) return now - new Date(b.completed_at).getTime() > options.artifactMaxAge;
+      const started = new Date(b.dispatched_at || b.created_at).getTime();
+      return now - started > Math.max(unfinishedMaxAge, options.artifactMaxAge);
+    });
+    for (const build of expired) {
+      const artifacts = buildArtifacts(build);
+      // Objects in another backend than the configured one are left for a run configured for it
+      if (!artifacts || artifacts.storage !== options.storage.name) continue;
+      report.artifacts.push({ build_id: build.build_id, completed_at: build.completed_at, dispatched_at: build.dispatched_at || build.created_at, keys: artifacts.keys });
+      if (dryRun) continue;
+
+      try {
+        for (const key of artifacts.keys) await options.storage.delete(key);
+        await options.buildStore.update(build.build_id, { artifacts_deleted_at: new Date(now).toISOString() });
+      } catch (err) {
+        report.errors.push({ build_id: build.build_id, error: err.message });
+      }
+    }
+  }
+
+  return report;
+}
+
+function summarizeCleanup(report) {
+  const mb = function(items) {
+    return (items.reduce(function(sum, i) { return sum + i.bytes; }, 0) / 1048576).toFixed(1) + ' MB';
+  };
+  return (report.dry_run ? 'would delete ' : 'deleted ') +
+    report.temp.length + ' temp entries (' + mb(report.temp) + '), ' +
+    report.uploads.length + ' expired uploads (' + mb(report.uploads) + '), ' +
+    report.manifests.length + ' expired manifests, ' +
+    report.blobs.length + ' cold blobs (' + mb(report.blobs) + '), ' +
+    report.logs.length + ' cached logs (' + mb(report.logs) + '), ' +
+    'artifacts of ' + report.artifacts.length + ' builds' +
+    (report.errors.length > 0 ? ', ' + report.errors.length + ' errors' : '');
+}
+
+module.exports = { runCleanup, summarizeCleanup, CLEANUP_DEFAULTS };
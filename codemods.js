@@ -0,0 +1,569 @@
+// codemods.js
+// Deterministic migrations applied to an uploaded Flutter project before it is dispatched.
+// Old projects mostly break in the same mechanical ways: removed Material buttons, ThemeData.accentColor,
+// WillPopScope, Dart 2 SDK constraints, Gradle files AGP 8 no longer accepts. These rules fix them up front,
+// so the build's first attempt already has them and the AI repair (ai-repair.js) is left with the rest.
+// Each rule is a text transform of one file that leaves comments and string literals alone and skips
+// (with a note) any call it cannot rewrite faithfully. The report lists the rules applied to every file.
+const fs = require('fs').promises;
+const path = require('path');
+const { readAppGradle } = require('./app-metadata');
+
+const MAX_FILE_SIZE = 1024 * 1024;
+const MANIFEST_PATH = 'android/app/src/main/AndroidManifest.xml';
+// Plugins built with recent Flutter versions need at least this compileSdk
+const MIN_COMPILE_SDK = 34;
+const DART_SDK_CONSTRAINT = '>=3.0.0 <4.0.0';
+const DART_FILES = /^lib\/.+\.dart$/;
+const APP_GRADLE_FILES = /^android\/app\/build\.gradle(\.kts)?$/;
+const ROOT_GRADLE_FILES = /^android\/build\.gradle(\.kts)?$/;
+
+// Old button -> replacement, and the old constructor arguments that become ButtonStyle properties
+const BUTTON_MIGRATIONS = {
+  FlatButton: { to: 'TextButton', style: {} },
+  RaisedButton: { to: 'ElevatedButton', style: { elevation: 'elevation' } },
+  OutlineButton: { to: 'OutlinedButton', style: { borderSide: 'side' } }
+};
+const BUTTON_STYLE = {
+  color: 'backgroundColor',
+  textColor: 'foregroundColor',
+  disabledColor: 'disabledBackgroundColor',
+  disabledTextColor: 'disabledForegroundColor',
+  padding: 'padding',
+  shape: 'shape',
+  materialTapTargetSize: 'tapTargetSize',
+  visualDensity: 'visualDensity',
+  animationDuration: 'animationDuration',
+  enableFeedback: 'enableFeedback'
+};
+// Arguments the new buttons take unchanged
+const BUTTON_ARGUMENTS = ['key', 'onPressed', 'onLongPress', 'onHover', 'onFocusChange', 'focusNode', 'autofocus', 'clipBehavior', 'child', 'icon', 'label'];
+// Cosmetic arguments with no ButtonStyle equivalent: dropped, and named in the report
+const BUTTON_DROPPED = [
+  'splashColor', 'highlightColor', 'hoverColor', 'focusColor', 'colorBrightness', 'highlightElevation', 'disabledElevation',
+  'focusElevation', 'hoverElevation', 'highlightedBorderColor', 'disabledBorderColor', 'mouseCursor', 'textTheme'
+];
+// ButtonTheme's defaults, for a FlatButton that only set one of minWidth / height
+const BUTTON_MIN_SIZE = { minWidth: '88', height: '36' };
+// ThemeData arguments removed along with accentColor
+const ACCENT_ARGUMENTS = ['accentColorBrightness', 'accentTextTheme', 'accentIconTheme'];
+
+function codemodError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+async function readOptional(file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Source scanning (Dart, and Groovy / Kotlin build scripts, which quote and comment the same way)
+// ---------------------------------------------------------------------------
+
+// Dart block comments nest
+function skipBlockComment(source, start) {
+  let depth = 0;
+  let i = start;
+  while (i < source.length) {
+    if (source.startsWith('/*', i)) {
+      depth++;
+      i += 2;
+    } else if (source.startsWith('*/', i)) {
+      depth--;
+      i += 2;
+      if (depth === 0) return i;
+    } else {
+      i++;
+    }
+  }
+  return i;
+}
+
+// Index just past the `}` of the ${...} interpolation whose `{` is at `open`
+function skipInterpolation(source, open) {
+  let depth = 0;
+  let i = open;
+  while (i < source.length) {
+    const c = source[i];
+    if (c === '"' || c === "'") {
+      i = skipString(source, i);
+      continue;
+    }
+    if (c === '{') depth++;
+    else if (c === '}' && --depth === 0) return i + 1;
+    i++;
+  }
+  return i;
+}
+
+// Index just past the string literal opening at `start`: single, double, triple-quoted and r'raw' strings
+function skipString(source, start) {
+  const quote = source[start];
+  const triple = source.startsWith(quote + quote + quote, start);
+  const close = triple ? quote + quote + quote : quote;
+  const raw = source[start - 1] === 'r' && !/[\w$]/.test(source[start - 2] || '');
+  let i = start + close.length;
+  while (i < source.length) {
+    if (!raw && source[i] === '\\') {
+      i += 2;
+    } else if (source.startsWith(close, i)) {
+      return i + close.length;
+    } else if (!triple && source[i] === '\n') {
+      return i;
+    } else if (!raw && source[i] === '$' && source[i + 1] === '{') {
+      i = skipInterpolation(source, i + 1);
+    } else {
+      i++;
+    }
+  }
+  return i;
+}
+
+// 1 for every character of code, 0 inside comments and string literals
+function codeMask(source) {
+  const mask = new Uint8Array(source.length);
+  let i = 0;
+  while (i < source.length) {
+    const c = source[i];
+    if (c === '/' && source[i + 1] === '/') {
+      const eol = source.indexOf('\n', i);
+      i = eol === -1 ? source.length : eol;
+    } else if (c === '/' && source[i + 1] === '*') {
+      i = skipBlockComment(source, i);
+    } else if (c === '"' || c === "'") {
+      i = skipString(source, i);
+    } else {
+      mask[i++] = 1;
+    }
+  }
+  return mask;
+}
+
+// `name: value` with its leading whitespace and comments kept in `lead`; positional arguments have no name
+function describeArgument(raw) {
+  const match = raw.match(/^((?:\s|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*)([A-Za-z_$][\w$]*)\s*:(?!:)\s*([\s\S]*?)\s*$/);
+  if (!match) return { raw: raw, lead: '', name: null, value: raw.trim() };
+  return { raw: raw, lead: match[1], name: match[2], value: match[3] };
+}
+
+// Top-level arguments of the call whose `(` is at `open`, and the index just past its `)`.
+// A trailing comma shows up as a last argument with an empty value.
+function parseArguments(source, mask, open) {
+  const args = [];
+  let depth = 0;
+  let start = open + 1;
+  for (let i = open; i < source.length; i++) {
+    if (!mask[i]) continue;
+    const c = source[i];
+    if (c === '(' || c === '[' || c === '{') {
+      depth++;
+    } else if (c === ')' || c === ']' || c === '}') {
+      if (--depth === 0) {
+        args.push(source.slice(start, i));
+        return { end: i + 1, args: args.map(describeArgument) };
+      }
+    } else if (c === ',' && depth === 1) {
+      args.push(source.slice(start, i));
+      start = i + 1;
+    }
+  }
+  return null;
+}
+
+function findArgument(args, name) {
+  return args.find(function(a) { return a.name === name; }) || null;
+}
+
+// Rebuilds an argument list from the kept arguments (original text, so formatting survives) and new
+// `name: value` entries, which go before `child` as the Flutter style guide wants it last
+function joinArguments(args, kept, added) {
+  const last = args[args.length - 1];
+  const trailer = last && last.name === null && last.value === '' ? last.raw : null;
+  const multiline = args.find(function(a) { return a.lead.includes('\n'); });
+  const lead = multiline ? multiline.lead.replace(/^[\s\S]*\n/, '\n') : ' ';
+
+  const parts = kept.map(function(a) { return a.raw; });
+  const child = kept.findIndex(function(a) { return a.name === 'child'; });
+  parts.splice.apply(parts, [child === -1 ? parts.length : child, 0].concat(added.map(function(a) { return lead + a; })));
+  // On one line, an argument that was first in the call needs a space once something goes before it
+  if (!multiline) parts.forEach(function(part, i) { parts[i] = i === 0 ? part.replace(/^\s+/, '') : part.replace(/^(?!\s)/, ' '); });
+  if (trailer !== null) parts.push(trailer);
+  return parts.join(',');
+}
+
+// Runs `rewrite(match, args)` on every call matched by `pattern` (which must end with the call's `(`).
+// rewrite returns the replacement text, { skip: message } to leave the call alone, or null when the
+// call needs nothing. Calls nested in a rewritten call are handled by the next pass.
+function rewriteCalls(source, pattern, rewrite) {
+  let count = 0;
+  for (;;) {
+    const mask = codeMask(source);
+    const notes = [];
+    let out = '';
+    let last = 0;
+    let rewritten = 0;
+    let match;
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(source)) !== null) {
+      if (!mask[match.index]) continue;
+      const call = parseArguments(source, mask, match.index + match[0].length - 1);
+      if (!call) break;
+      const result = rewrite(match, call.args);
+      if (result === null) continue;
+      if (typeof result === 'object') {
+        if (!notes.includes(result.skip)) notes.push(result.skip);
+        continue;
+      }
+      out += source.slice(last, match.index) + result;
+      last = call.end;
+      pattern.lastIndex = call.end;
+      rewritten++;
+    }
+    if (rewritten === 0) return { source: source, count: count, notes: notes };
+    // Skipped calls come up again on the next pass, so only the last pass's notes are reported
+    source = out + source.slice(last);
+    count += rewritten;
+  }
+}
+
+// Replaces every match of `pattern` that starts in code
+function replaceInCode(source, pattern, replacement) {
+  const mask = codeMask(source);
+  let count = 0;
+  const result = source.replace(pattern, function() {
+    const args = Array.prototype.slice.call(arguments);
+    const offset = args[args.length - 2];
+    if (!mask[offset]) return args[0];
+    const text = typeof replacement === 'function' ? replacement.apply(null, args) : replacement;
+    if (text !== args[0]) count++;
+    return text;
+  });
+  return { source: result, count: count, notes: [] };
+}
+
+// ---------------------------------------------------------------------------
+// Rules
+// ---------------------------------------------------------------------------
+
+// Dart 3 needs null safety (>=2.12) and an upper bound above 3.0.0
+function admitsDart3(constraint) {
+  if (constraint.startsWith('^')) return false;
+  const lower = constraint.match(/>=\s*2\.(\d+)/);
+  if (lower && parseInt(lower[1], 10) < 12) return false;
+  return !/<\s*3(?:\.0){0,2}(?![.\d])/.test(constraint);
+}
+
+// environment.sdk constraints of Dart 2 projects: Flutter 3 ships Dart 3
+function raiseSdkConstraint(source) {
+  let inEnvironment = false;
+  let count = 0;
+  const lines = source.split('\n').map(function(line) {
+    if (/^\S/.test(line)) inEnvironment = /^environment\s*:/.test(line);
+    if (!inEnvironment) return line;
+    const match = line.match(/^(\s+sdk\s*:\s*)(["']?)((?:>=\s*|\^)2\.[^"'#]*?)\2(\s*(?:#.*)?)$/);
+    if (!match || admitsDart3(match[3])) return line;
+    count++;
+    const quote = match[2] || '"';
+    return match[1] + quote + DART_SDK_CONSTRAINT + quote + match[4];
+  });
+  return { source: lines.join('\n'), count: count, notes: [] };
+}
+
+function migrateButtons(source) {
+  const notes = [];
+  const result = rewriteCalls(source, /\b(FlatButton|RaisedButton|OutlineButton)(\.icon)?\s*\(/g, function(match, args) {
+    const migration = BUTTON_MIGRATIONS[match[1]];
+    const kept = [];
+    const style = [];
+    const dropped = [];
+    const size = {};
+    for (const arg of args) {
+      if (arg.name === null && arg.value === '') continue;
+      if (arg.name === null) return { skip: match[1] + ' has a positional argument' };
+      const property = migration.style[arg.name] || BUTTON_STYLE[arg.name];
+      if (BUTTON_ARGUMENTS.includes(arg.name)) kept.push(arg);
+      else if (property) style.push(property + ': ' + arg.value);
+      else if (BUTTON_MIN_SIZE[arg.name]) size[arg.name] = arg.value;
+      else if (BUTTON_DROPPED.includes(arg.name)) dropped.push(arg.name);
+      else return { skip: match[1] + '(' + arg.name + ': ...) has no ' + migration.to + ' equivalent' };
+    }
+    if (size.minWidth || size.height) {
+      style.push('minimumSize: Size(' + (size.minWidth || BUTTON_MIN_SIZE.minWidth) + ', ' + (size.height || BUTTON_MIN_SIZE.height) + ')');
+    }
+    if (dropped.length > 0) {
+      const note = 'dropped ' + dropped.join(', ') + ' from ' + match[1];
+      if (!notes.includes(note)) notes.push(note);
+    }
+    const added = style.length > 0 ? ['style: ' + migration.to + '.styleFrom(' + style.join(', ') + ')'] : [];
+    return migration.to + (match[2] || '') + '(' + joinArguments(args, kept, added) + ')';
+  });
+  return { source: result.source, count: result.count, notes: notes.concat(result.notes) };
+}
+
+// Wraps an expression in parentheses unless a method call can be chained onto it as it is
+function chainable(expression) {
+  const call = expression.match(/^(?!const\b)[\w$.]+\s*\(/);
+  if (/^[\w$.]+$/.test(expression)) return expression;
+  if (call) {
+    const args = parseArguments(expression, codeMask(expression), call[0].length - 1);
+    if (args && args.end === expression.length) return expression;
+  }
+  return '(' + expression + ')';
+}
+
+// ThemeData(accentColor: c) -> colorScheme secondary: c; theme.accentColor -> theme.colorScheme.secondary
+function migrateAccentColor(source) {
+  const notes = [];
+  const themes = rewriteCalls(source, /\bThemeData\s*\(/g, function(match, args) {
+    const accent = findArgument(args, 'accentColor');
+    const removed = args.filter(function(a) { return ACCENT_ARGUMENTS.includes(a.name); });
+    if (!accent && removed.length === 0) return null;
+
+    const scheme = findArgument(args, 'colorScheme');
+    const kept = args.filter(function(a) {
+      return a.name !== null && a !== accent && !removed.includes(a) && !(accent && a === scheme);
+    });
+    const added = [];
+    if (accent && scheme) {
+      added.push('colorScheme: ' + chainable(scheme.value) + '.copyWith(secondary: ' + accent.value + ')');
+    } else if (accent) {
+      // ThemeData asserts that its brightness matches the scheme's
+      const swatch = findArgument(args, 'primarySwatch');
+      const brightness = findArgument(args, 'brightness');
+      added.push('colorScheme: ColorScheme.fromSwatch(' + [
+        swatch ? 'primarySwatch: ' + swatch.value : null,
+        'accentColor: ' + accent.value,
+        brightness ? 'brightness: ' + brightness.value : null
+      ].filter(Boolean).join(', ') + ')');
+    }
+    if (removed.length > 0) {
+      const note = 'dropped ' + removed.map(function(a) { return a.name; }).join(', ');
+      if (!notes.includes(note)) notes.push(note);
+    }
+    return 'ThemeData(' + joinArguments(args, kept, added) + ')';
+  });
+  const getters = replaceInCode(themes.source, /\.accentColor\b(?!\s*:)/g, '.colorScheme.secondary');
+  return { source: getters.source, count: themes.count + getters.count, notes: notes.concat(themes.notes) };
+}
+
+// onWillPop callbacks that always give the same answer
+function constantWillPop(value) {
+  const compact = value.replace(/\s+/g, ' ').trim();
+  if (compact === 'null') return 'true';
+  const match = compact.match(/^\(\) ?(?:async ?)?(?:=> ?(?:Future\.value\((true|false)\)|(true|false))|\{ ?return (?:Future\.value\((true|false)\)|(true|false)) ?; ?\})$/);
+  return match ? match[1] || match[2] || match[3] || match[4] : null;
+}
+
+// WillPopScope(onWillPop: f) -> PopScope; a callback with a constant answer becomes canPop, anything else
+// runs from onPopInvokedWithResult and pops when it agrees
+function migrateWillPopScope(source) {
+  return rewriteCalls(source, /\bWillPopScope\s*\(/g, function(match, args) {
+    const named = args.filter(function(a) { return !(a.name === null && a.value === ''); });
+    const other = named.find(function(a) { return !['key', 'child', 'onWillPop'].includes(a.name); });
+    if (other) return { skip: 'WillPopScope has an unexpected argument ' + (other.name || other.value.slice(0, 40)) };
+
+    const onWillPop = findArgument(args, 'onWillPop');
+    const kept = named.filter(function(a) { return a !== onWillPop; });
+    const constant = onWillPop ? constantWillPop(onWillPop.value) : 'true';
+    if (constant !== null) return 'PopScope(' + joinArguments(args, kept, ['canPop: ' + constant]) + ')';
+
+    // The callback may need the BuildContext it was written against; only rewrite where one is in scope
+    if (!/\bBuildContext\s+context\b/.test(source.slice(0, match.index))) {
+      return { skip: 'onWillPop needs a BuildContext named context to pop with' };
+    }
+    return 'PopScope(' + joinArguments(args, kept, [
+      'canPop: false',
+      'onPopInvokedWithResult: (didPop, result) async { if (didPop) return; final navigator = Navigator.of(context); ' +
+        'if (await ' + chainable(onWillPop.value) + '()) navigator.pop(result); }'
+    ]) + ')';
+  });
+}
+
+// compileSdkVersion N -> compileSdk N, with levels too old for current plugins left to the Flutter default
+function migrateCompileSdk(source) {
+  const level = function(value) {
+    return /^\d+$/.test(value) && parseInt(value, 10) < MIN_COMPILE_SDK ? 'flutter.compileSdkVersion' : value;
+  };
+  const kotlin = replaceInCode(source, /\bcompileSdk(?:Version)?\s*(?:=\s*|\(\s*)([\w.]+)\s*\)?/g, function(text, value) {
+    return 'compileSdk = ' + level(value);
+  });
+  const groovy = replaceInCode(kotlin.source, /\bcompileSdk(?:Version)?([ \t]+)([\w.]+)/g, function(text, space, value) {
+    return 'compileSdk' + space + level(value);
+  });
+  return { source: groovy.source, count: kotlin.count + groovy.count, notes: [] };
+}
+
+// AGP 8 takes the namespace from the build script; projects older than that only had it in the manifest
+function addNamespace(source, context, file) {
+  if (context.declaresNamespace) return { source: source, count: 0, notes: [] };
+  if (!context.namespace) {
+    return { source: source, count: 0, notes: ['no namespace: neither AndroidManifest.xml nor applicationId names the package'] };
+  }
+  const mask = codeMask(source);
+  const pattern = /^([ \t]*)android\s*\{[ \t]*\n([ \t]*)/gm;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    if (!mask[match.index + match[1].length]) continue;
+    const indent = match[2] || match[1] + '    ';
+    const line = indent + (file.endsWith('.kts') ? 'namespace = "' : 'namespace "') + context.namespace + '"\n';
+    const at = match.index + match[0].length - match[2].length;
+    return { source: source.slice(0, at) + line + source.slice(at), count: 1, notes: [] };
+  }
+  return { source: source, count: 0, notes: ['no android { } block to add the namespace to'] };
+}
+
+// The package attribute is an error once the build script declares the namespace
+function removeManifestPackage(source, context) {
+  if (!context.declaresNamespace && !(context.addsNamespace && context.namespace)) return { source: source, count: 0, notes: [] };
+  const notes = [];
+  let count = 0;
+  const result = source.replace(/(<manifest\b[^>]*?)\s+package\s*=\s*"([^"]*)"/, function(text, head, pkg) {
+    count++;
+    if (pkg !== context.namespace) notes.push('package ' + pkg + ' differs from the namespace ' + context.namespace);
+    return head;
+  });
+  return { source: result, count: count, notes: notes };
+}
+
+// JCenter is read-only and no longer serves new artifacts
+function replaceJcenter(source) {
+  return replaceInCode(source, /\bjcenter\s*\(\s*\)/g, 'mavenCentral()');
+}
+
+// The catalog, applied in this order. `files` matches paths relative to the project root.
+const RULES = [
+  { id: 'sdk-constraint', files: /^pubspec\.yaml$/, apply: raiseSdkConstraint,
+    description: 'Dart 2 SDK constraint raised to ' + DART_SDK_CONSTRAINT },
+  { id: 'material-buttons', files: DART_FILES, apply: migrateButtons,
+    description: 'FlatButton, RaisedButton and OutlineButton replaced by TextButton, ElevatedButton and OutlinedButton' },
+  { id: 'accent-color', files: DART_FILES, apply: migrateAccentColor,
+    description: 'ThemeData.accentColor moved to colorScheme.secondary' },
+  { id: 'will-pop-scope', files: DART_FILES, apply: migrateWillPopScope,
+    description: 'WillPopScope replaced by PopScope' },
+  { id: 'gradle-compile-sdk', files: APP_GRADLE_FILES, apply: migrateCompileSdk,
+    description: 'compileSdkVersion renamed to compileSdk, levels below ' + MIN_COMPILE_SDK + ' raised to the Flutter default' },
+  { id: 'gradle-namespace', files: APP_GRADLE_FILES, apply: addNamespace,
+    description: 'namespace declared in android/app/build.gradle, as AGP 8 requires' },
+  { id: 'manifest-package', files: /^android\/app\/src\/main\/AndroidManifest\.xml$/, apply: removeManifestPackage,
+    description: 'package attribute removed from AndroidManifest.xml in favor of the Gradle namespace' },
+  { id: 'gradle-jcenter', files: ROOT_GRADLE_FILES, apply: replaceJcenter,
+    description: 'jcenter() repositories replaced by mavenCentral()' }
+];
+
+// ---------------------------------------------------------------------------
+// Engine
+// ---------------------------------------------------------------------------
+
+// What the Android rules need to agree on: the namespace comes from the build script, else from the
+// manifest's package attribute, else from applicationId. Without an android { } block there is nowhere to put it.
+async function projectContext(root, rules) {
+  const manifest = await readOptional(path.join(root, MANIFEST_PATH));
+  const gradle = await readAppGradle(root);
+  const pkg = manifest && manifest.match(/<manifest\b[^>]*?\spackage\s*=\s*"([\w.]+)"/);
+  const namespace = gradle && gradle.content.match(/\bnamespace\s*=?\s*["']([\w.]+)["']/);
+  const applicationId = gradle && gradle.content.match(/\bapplicationId\s*=?\s*["']([\w.]+)["']/);
+  const hasAndroidBlock = !!gradle && /\bandroid\s*\{/.test(gradle.content);
+  return {
+    declaresNamespace: !!namespace,
+    addsNamespace: rules.some(function(r) { return r.id === 'gradle-namespace'; }),
+    namespace: hasAndroidBlock ? ((namespace || pkg || applicationId || [])[1] || null) : null
+  };
+}
+
+// Dart sources under lib/ plus the fixed files the other rules look at, as posix paths
+async function listTargets(root) {
+  const targets = [];
+  const walk = async function(dir) {
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(root, dir), { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    entries.sort(function(a, b) { return a.name < b.name ? -1 : 1; });
+    for (const entry of entries) {
+      if (entry.isDirectory()) await walk(dir + '/' + entry.name);
+      else if (entry.isFile() && entry.name.endsWith('.dart')) targets.push(dir + '/' + entry.name);
+    }
+  };
+  await walk('lib');
+  return ['pubspec.yaml', 'android/build.gradle', 'android/build.gradle.kts', 'android/app/build.gradle',
+    'android/app/build.gradle.kts', MANIFEST_PATH].concat(targets);
+}
+
+// The codemods form field: empty for the whole catalog, "off" for none, or a comma-separated list of rule ids
+function parseRuleSelection(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return RULES.map(function(r) { return r.id; });
+  const text = String(value).trim();
+  if (['off', 'none', 'false'].includes(text.toLowerCase())) return [];
+  const ids = text.split(',').map(function(s) { return s.trim(); }).filter(Boolean);
+  const unknown = ids.filter(function(id) { return !RULES.some(function(r) { return r.id === id; }); });
+  if (unknown.length > 0) {
+    throw codemodError('UNKNOWN_CODEMOD', 'Unknown codemod rule: ' + unknown[0].slice(0, 64), {
+      available: RULES.map(function(r) { return r.id; })
+    });
+  }
+  return ids;
+}
+
+// Applies the rules (all of them, or options.rules) to the project at root; options.dryRun leaves the files alone.
+// Resolves to { dry_run, files_changed, applied, rules: [{ id, description, count }],
+//   files: [{ file, rules: [{ id, count }], notes: [{ rule, message }] }] } listing only files with rules or notes.
+async function runCodemods(root, options) {
+  const opts = options || {};
+  const rules = opts.rules ? RULES.filter(function(r) { return opts.rules.includes(r.id); }) : RULES;
+  const context = await projectContext(root, rules);
+  const report = { dry_run: !!opts.dryRun, files_changed: 0, applied: 0, rules: [], files: [] };
+  const totals = {};
+
+  for (const file of await listTargets(root)) {
+    const matching = rules.filter(function(r) { return r.files.test(file); });
+    if (matching.length === 0) continue;
+    const full = path.join(root, file);
+    let stat;
+    try {
+      stat = await fs.lstat(full);
+    } catch (err) {
+      if (err.code === 'ENOENT') continue;
+      throw err;
+    }
+    if (!stat.isFile() || stat.size > MAX_FILE_SIZE) continue;
+    const original = await fs.readFile(full, 'utf8');
+    // Not UTF-8: writing it back would mangle it
+    if (original.includes('\uFFFD')) continue;
+
+    let source = original;
+    const entry = { file: file, rules: [], notes: [] };
+    for (const rule of matching) {
+      const result = rule.apply(source, context, file);
+      result.notes.forEach(function(message) { entry.notes.push({ rule: rule.id, message: message }); });
+      if (result.count > 0 && result.source !== source) {
+        source = result.source;
+        entry.rules.push({ id: rule.id, count: result.count });
+        totals[rule.id] = (totals[rule.id] || 0) + result.count;
+        report.applied += result.count;
+      }
+    }
+    if (source !== original) {
+      report.files_changed++;
+      if (!opts.dryRun) await fs.writeFile(full, source);
+    }
+    if (entry.rules.length > 0 || entry.notes.length > 0) report.files.push(entry);
+  }
+
+  report.rules = rules.filter(function(r) { return totals[r.id]; }).map(function(r) {
+    return { id: r.id, description: r.description, count: totals[r.id] };
+  });
+  return report;
+}
+
+module.exports = { runCodemods, parseRuleSelection, RULES };
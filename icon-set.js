@@ -0,0 +1,136 @@
+// icon-set.js
+// Turns the uploaded launcher icon (plus optional adaptive foreground/background layers or a
+// background colour) into a complete Android resource set: legacy and round icons for every mipmap
+// density, adaptive-icon XML for Android 8+, and the 512px Play Store icon. The workflows unzip the
+// bundle over android/app/src/main/res instead of resizing a single PNG themselves.
+const sharp = require('sharp');
+const AdmZip = require('adm-zip');
+
+const DENSITIES = { mdpi: 1, hdpi: 1.5, xhdpi: 2, xxhdpi: 3, xxxhdpi: 4 };
+const LEGACY_DP = 48;
+// Adaptive layers are 108dp, of which the launcher mask shows the middle 72dp
+const ADAPTIVE_DP = 108;
+const ADAPTIVE_VIEWPORT_DP = 72;
+const PLAY_STORE_SIZE = 512;
+// Refuse decompression bombs before sharp allocates anything (8192 x 8192)
+const MAX_INPUT_PIXELS = 8192 * 8192;
+// A project may already define ic_launcher_background (flutter_launcher_icons does), so ours gets its own name
+const BACKGROUND_COLOR_NAME = 'aite_launcher_background';
+const COLOR_PATTERN = /^#([0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+function iconError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+function load(input) {
+  return sharp(input, { limitInputPixels: MAX_INPUT_PIXELS });
+}
+
+// Checks that an uploaded image can be decoded, is square and is at least minSize pixels wide
+async function inspectIcon(input, minSize, field) {
+  let meta;
+  try {
+    meta = await load(input).metadata();
+  } catch (err) {
+    throw iconError('INVALID_ICON', field + ' is not a readable image', { field: field });
+  }
+  // EXIF orientations 5-8 swap width and height, which does not matter for a square check
+  const details = { field: field, width: meta.width, height: meta.height, min_size: minSize };
+  if (meta.width !== meta.height) {
+    throw iconError('ICON_NOT_SQUARE', field + ' must be square, got ' + meta.width + 'x' + meta.height, details);
+  }
+  if (meta.width < minSize) {
+    throw iconError('ICON_TOO_SMALL', field + ' must be at least ' + minSize + 'x' + minSize + ', got ' + meta.width + 'x' + meta.height, details);
+  }
+  return { width: meta.width, height: meta.height, format: meta.format };
+}
+
+function normalizeColor(value) {
+  if (!value) return null;
+  const color = String(value).trim();
+  if (!COLOR_PATTERN.test(color)) {
+    throw iconError('INVALID_ICON_COLOR', 'Icon background colour must look like #RRGGBB or #AARRGGBB', { value: color });
+  }
+  return color.toUpperCase();
+}
+
+function resized(input, size) {
+  return load(input).rotate().resize(size, size, { fit: 'cover' }).png().toBuffer();
+}
+
+async function roundIcon(input, size) {
+  const mask = Buffer.from('<svg width="' + size + '" height="' + size + '"><circle cx="' + size / 2 + '" cy="' + size / 2 + '" r="' + size / 2 + '"/></svg>');
+  return load(await resized(input, size)).composite([{ input: mask, blend: 'dest-in' }]).png().toBuffer();
+}
+
+// Without a foreground layer the whole icon is fitted into the visible 72dp of the 108dp canvas
+async function paddedForeground(input, size) {
+  const inner = Math.round(size * ADAPTIVE_VIEWPORT_DP / ADAPTIVE_DP);
+  const before = Math.floor((size - inner) / 2);
+  const after = size - inner - before;
+  return load(await resized(input, inner))
+    .extend({ top: before, bottom: after, left: before, right: after, background: { r: 0, g: 0, b: 0, alpha: 0 } })
+    .png()
+    .toBuffer();
+}
+
+async function dominantColor(input) {
+  const stats = await load(input).stats();
+  const hex = function(n) { return n.toString(16).padStart(2, '0'); };
+  return ('#' + hex(stats.dominant.r) + hex(stats.dominant.g) + hex(stats.dominant.b)).toUpperCase();
+}
+
+function adaptiveIconXml(background) {
+  return '<?xml version="1.0" encoding="utf-8"?>\n' +
+    '<adaptive-icon xmlns:android="http://schemas.android.com/apk/res/android">\n' +
+    '    <background android:drawable="' + background + '"/>\n' +
+    '    <foreground android:drawable="@mipmap/ic_launcher_foreground"/>\n' +
+    '</adaptive-icon>\n';
+}
+
+// layers: { icon, foreground?, background?, backgroundColor? } (file paths or buffers, already inspected).
+// Resolves to { bundle: zip Buffer, playStoreIcon: PNG Buffer, summary }
+async function buildIconSet(layers) {
+  const zip = new AdmZip();
+  const add = function(name, data) { zip.addFile(name, Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8')); };
+
+  const backgroundColor = layers.background ? null : (normalizeColor(layers.backgroundColor) || await dominantColor(layers.icon));
+
+  for (const density of Object.keys(DENSITIES)) {
+    const legacy = Math.round(LEGACY_DP * DENSITIES[density]);
+    const adaptive = Math.round(ADAPTIVE_DP * DENSITIES[density]);
+    const dir = 'res/mipmap-' + density + '/';
+    add(dir + 'ic_launcher.png', await resized(layers.icon, legacy));
+    add(dir + 'ic_launcher_round.png', await roundIcon(layers.icon, legacy));
+    add(dir + 'ic_launcher_foreground.png', layers.foreground
+      ? await resized(layers.foreground, adaptive)
+      : await paddedForeground(layers.icon, adaptive));
+    if (layers.background) add(dir + 'ic_launcher_background.png', await resized(layers.background, adaptive));
+  }
+
+  const backgroundRef = layers.background ? '@mipmap/ic_launcher_background' : '@color/' + BACKGROUND_COLOR_NAME;
+  add('res/mipmap-anydpi-v26/ic_launcher.xml', adaptiveIconXml(backgroundRef));
+  add('res/mipmap-anydpi-v26/ic_launcher_round.xml', adaptiveIconXml(backgroundRef));
+  if (backgroundColor) {
+    add('res/values/' + BACKGROUND_COLOR_NAME + '.xml', '<?xml version="1.0" encoding="utf-8"?>\n<resources>\n' +
+      '    <color name="' + BACKGROUND_COLOR_NAME + '">' + backgroundColor + '</color>\n</resources>\n');
+  }
+
+  const playStoreIcon = await resized(layers.icon, PLAY_STORE_SIZE);
+  add('playstore-icon.png', playStoreIcon);
+
+  return {
+    bundle: zip.toBuffer(),
+    playStoreIcon: playStoreIcon,
+    summary: {
+      densities: Object.keys(DENSITIES),
+      foreground: layers.foreground ? 'layer' : 'icon',
+      background: layers.background ? 'layer' : backgroundColor
+    }
+  };
+}
+
+module.exports = { inspectIcon, buildIconSet, normalizeColor };
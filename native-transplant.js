@@ -0,0 +1,664 @@
+// native-transplant.js
+// Carries the native Android side of an uploaded Flutter project into the fresh `flutter create` project
+// the build workflow compiles ("Transplant Native Android" in build-flutter.yml): AndroidManifest.xml
+// entries, MainActivity and other Kotlin / Java sources, res/ files and values, proguard rules, Gradle
+// dependencies and repositories. Manifests and resource values are merged as XML, element by element.
+// Without a target the same pass only reports, which is the analyzer's preview. Pieces that belong to the
+// old project's toolchain (v1 embedding, launcher icons, SDK levels, Gradle plugins) are dropped with a reason.
+const fs = require('fs').promises;
+const path = require('path');
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+const { readAppGradle } = require('./app-metadata');
+const { blockEnd } = require('./build-env');
+
+const ANDROID_NS = 'http://schemas.android.com/apk/res/android';
+const TOOLS_NS = 'http://schemas.android.com/tools';
+const MAIN_DIR = 'android/app/src/main';
+const MANIFEST_PATH = MAIN_DIR + '/AndroidManifest.xml';
+const SOURCE_DIRS = ['kotlin', 'java'];
+// v1 embedding classes, gone from Flutter
+const V1_CLASS_PATTERN = /^io\.flutter\.app\./;
+// Set from the build form (app name, uploaded icon) rather than the old manifest
+const FORM_APPLICATION_ATTRIBUTES = ['label', 'icon', 'roundIcon'];
+// Kept from the fresh project's MainActivity: they track what the current Flutter embedding needs
+const FRESH_ACTIVITY_ATTRIBUTES = ['name', 'exported', 'configChanges', 'hardwareAccelerated'];
+// Flutter template values, not worth reporting as customizations
+const TEMPLATE_ACTIVITY_ATTRIBUTES = { launchMode: 'singleTop', theme: '@style/LaunchTheme', windowSoftInputMode: 'adjustResize', taskAffinity: '' };
+const COMPONENTS = ['activity', 'activity-alias', 'service', 'receiver', 'provider'];
+const DROPPED_ACTIVITY_META = {
+  'io.flutter.app.android.SplashScreenUntilFirstFrame': 'v1 embedding setting',
+  'io.flutter.embedding.android.SplashScreenDrawable': 'no longer read by Flutter, the launch theme draws the splash screen'
+};
+// Templates of the fresh project that are not customizations when they show up unchanged
+const TEMPLATE_ACTIVITY_META = ['io.flutter.embedding.android.NormalTheme'];
+const TEMPLATE_MAIN_ACTIVITIES = [
+  'classMainActivity:FlutterActivity()', 'classMainActivity:FlutterActivity(){}', 'publicclassMainActivityextendsFlutterActivity{}'
+];
+const DEPENDENCY_CONFIGURATIONS = ['implementation', 'api', 'compileOnly', 'runtimeOnly', 'coreLibraryDesugaring', 'annotationProcessor'];
+// Applied by the fresh project itself, or by the workflow (google-services, when google-services.json is uploaded)
+const KNOWN_PLUGINS = [
+  'com.android.application', 'kotlin-android', 'org.jetbrains.kotlin.android', 'dev.flutter.flutter-gradle-plugin',
+  'com.google.gms.google-services'
+];
+// Repositories every Flutter build already has
+const DEFAULT_REPOSITORY_PATTERN = /(dl\.google\.com|maven\.google\.com|repo1?\.maven\.(apache\.)?org|download\.flutter\.io)/;
+
+function transplantError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+async function readOptional(file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// Regular files under dir as posix paths relative to it; symlinks are never followed
+async function listFiles(dir, prefix) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return [];
+    throw err;
+  }
+  const files = [];
+  entries.sort(function(a, b) { return a.name < b.name ? -1 : 1; });
+  for (const entry of entries) {
+    const rel = (prefix ? prefix + '/' : '') + entry.name;
+    if (entry.isDirectory()) files.push.apply(files, await listFiles(path.join(dir, entry.name), rel));
+    else if (entry.isFile()) files.push(rel);
+  }
+  return files;
+}
+
+async function writeFile(file, content) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, content);
+}
+
+// ---------------------------------------------------------------------------
+// XML
+// ---------------------------------------------------------------------------
+
+function parseXml(text) {
+  const problems = [];
+  let doc = null;
+  try {
+    doc = new DOMParser({ onError: function(level, message) { if (level !== 'warning') problems.push(message); } })
+      .parseFromString(text, 'text/xml');
+  } catch (err) {
+    problems.push(err.message);
+  }
+  if (problems.length > 0 || !doc || !doc.documentElement) {
+    throw transplantError('INVALID_XML', String(problems[0] || 'no root element').split('\n')[0].trim());
+  }
+  return doc;
+}
+
+function serializeXml(doc) {
+  return new XMLSerializer().serializeToString(doc).replace(/\s*$/, '\n');
+}
+
+function elements(parent, tag) {
+  const list = [];
+  for (let node = parent.firstChild; node; node = node.nextSibling) {
+    if (node.nodeType === 1 && (!tag || node.tagName === tag)) list.push(node);
+  }
+  return list;
+}
+
+function androidAttr(el, name) {
+  return el.getAttributeNS(ANDROID_NS, name) || '';
+}
+
+function canonical(el) {
+  return new XMLSerializer().serializeToString(el).replace(/>\s+</g, '><').replace(/\s+/g, ' ');
+}
+
+// Elements that name themselves (permissions, components, meta-data, resources) match by tag and name, others by content
+function elementKey(el) {
+  const name = androidAttr(el, 'name') || el.getAttribute('name');
+  return el.tagName + ' ' + (name ? name + ' ' + (el.getAttribute('type') || '') : canonical(el));
+}
+
+// Leading whitespace of the line el starts on
+function indentOf(el) {
+  const prev = el.previousSibling;
+  const match = prev && prev.nodeType === 3 ? prev.data.match(/\n([ \t]*)$/) : null;
+  return match ? match[1] : '';
+}
+
+// Adds a copy of el to parent on a line of its own, before `before` or at the end
+function insertElement(parent, el, before) {
+  const doc = parent.ownerDocument;
+  const copy = doc.importNode(el, true);
+  const first = elements(parent)[0];
+  const indent = first ? indentOf(first) : indentOf(parent) + '    ';
+  if (before) {
+    parent.insertBefore(copy, before);
+    parent.insertBefore(doc.createTextNode('\n' + indent), before);
+    return copy;
+  }
+  let closing = parent.lastChild;
+  if (!closing || closing.nodeType !== 3 || !closing.data.includes('\n')) {
+    closing = parent.appendChild(doc.createTextNode('\n' + indentOf(parent)));
+  }
+  parent.insertBefore(doc.createTextNode('\n' + indent), closing);
+  parent.insertBefore(copy, closing);
+  return copy;
+}
+
+// Replaces the element parent already has with the same key, or adds el
+function mergeElement(parent, el, before) {
+  const key = elementKey(el);
+  const existing = elements(parent).find(function(e) { return elementKey(e) === key; });
+  if (!existing) return insertElement(parent, el, before);
+  const copy = parent.ownerDocument.importNode(el, true);
+  parent.replaceChild(copy, existing);
+  return copy;
+}
+
+function isLauncherFilter(filter) {
+  const actions = elements(filter, 'action').map(function(a) { return androidAttr(a, 'name'); });
+  const categories = elements(filter, 'category').map(function(c) { return androidAttr(c, 'name'); });
+  return actions.includes('android.intent.action.MAIN') && categories.includes('android.intent.category.LAUNCHER');
+}
+
+function isMainActivity(el) {
+  return el.tagName === 'activity' && /(^|\.)MainActivity$/.test(androidAttr(el, 'name'));
+}
+
+// "VIEW https://example.com/path" for a deep link, the action names otherwise
+function describeIntent(el) {
+  const actions = elements(el, 'action').map(function(a) { return androidAttr(a, 'name').replace(/^android\.intent\.action\./, ''); });
+  const data = elements(el, 'data').map(function(d) {
+    const scheme = androidAttr(d, 'scheme');
+    const host = androidAttr(d, 'host');
+    const pathPart = androidAttr(d, 'path') || androidAttr(d, 'pathPrefix') || androidAttr(d, 'pathPattern');
+    return (scheme ? scheme + '://' : '') + host + pathPart || androidAttr(d, 'mimeType');
+  }).filter(Boolean);
+  return (actions.join(', ') || 'intent') + (data.length > 0 ? ' ' + data.join(', ') : '');
+}
+
+function describeElement(el) {
+  if (el.tagName === 'intent-filter' || el.tagName === 'intent') return el.tagName + ' ' + describeIntent(el);
+  const name = androidAttr(el, 'name') || androidAttr(el, 'authorities');
+  return el.tagName + (name ? ' ' + name : '');
+}
+
+// ---------------------------------------------------------------------------
+// AndroidManifest.xml
+// ---------------------------------------------------------------------------
+
+function mergeMainActivity(ctx, activity, target) {
+  for (let i = 0; i < activity.attributes.length; i++) {
+    const attr = activity.attributes[i];
+    if (attr.namespaceURI !== ANDROID_NS || FRESH_ACTIVITY_ATTRIBUTES.includes(attr.localName)) continue;
+    if (TEMPLATE_ACTIVITY_ATTRIBUTES[attr.localName] !== attr.value) ctx.carry('activity', 'MainActivity android:' + attr.localName + '=' + attr.value);
+    if (target) target.setAttributeNS(ANDROID_NS, 'android:' + attr.localName, attr.value);
+  }
+  for (const child of elements(activity)) {
+    const name = androidAttr(child, 'name');
+    if (child.tagName === 'intent-filter' && isLauncherFilter(child)) continue;
+    if (child.tagName === 'meta-data' && TEMPLATE_ACTIVITY_META.includes(name)) continue;
+    if (child.tagName === 'meta-data' && DROPPED_ACTIVITY_META[name]) {
+      ctx.drop('meta-data', 'MainActivity ' + name, DROPPED_ACTIVITY_META[name]);
+      continue;
+    }
+    if (child.tagName === 'intent-filter') ctx.carry('intent-filter', 'MainActivity ' + describeIntent(child));
+    else ctx.carry(child.tagName === 'meta-data' ? 'meta-data' : 'activity', 'MainActivity ' + (name || child.tagName));
+    if (target) mergeElement(target, child);
+  }
+}
+
+function mergeApplication(ctx, app, target) {
+  for (let i = 0; i < app.attributes.length; i++) {
+    const attr = app.attributes[i];
+    if (attr.namespaceURI === TOOLS_NS) {
+      ctx.drop('application', 'tools:' + attr.localName, 'merge rules for attributes the fresh project sets differently');
+      continue;
+    }
+    if (attr.namespaceURI !== ANDROID_NS || FORM_APPLICATION_ATTRIBUTES.includes(attr.localName)) continue;
+    if (attr.localName === 'name' && (attr.value === '${applicationName}' || V1_CLASS_PATTERN.test(attr.value))) {
+      if (attr.value !== '${applicationName}') ctx.drop('application', 'android:name=' + attr.value, 'v1 embedding class');
+      continue;
+    }
+    ctx.carry('application', 'android:' + attr.localName + '=' + attr.value);
+    if (target) target.setAttributeNS(ANDROID_NS, 'android:' + attr.localName, attr.value);
+  }
+
+  const targetMain = target ? elements(target, 'activity').find(isMainActivity) : null;
+  for (const child of elements(app)) {
+    const name = androidAttr(child, 'name');
+    if (isMainActivity(child)) {
+      mergeMainActivity(ctx, child, targetMain);
+    } else if (child.tagName === 'meta-data' && name === 'flutterEmbedding') {
+      continue;
+    } else if (V1_CLASS_PATTERN.test(name)) {
+      ctx.drop('component', describeElement(child), 'v1 embedding class');
+    } else if (child.tagName === 'meta-data') {
+      ctx.carry('meta-data', name);
+      if (target) mergeElement(target, child);
+    } else {
+      ctx.carry(COMPONENTS.includes(child.tagName) ? 'component' : 'application', describeElement(child));
+      if (target) mergeElement(target, child);
+    }
+  }
+}
+
+// Permissions and screen orientation asked for in the build form (app-metadata.js), on top of the merge
+function applyFormMetadata(doc, metadata) {
+  const root = doc.documentElement;
+  const app = elements(root, 'application')[0];
+  (metadata.permissions || []).forEach(function(permission) {
+    const el = doc.createElement('uses-permission');
+    el.setAttributeNS(ANDROID_NS, 'android:name', permission);
+    mergeElement(root, el, app);
+  });
+  const main = app ? elements(app, 'activity').find(isMainActivity) : null;
+  if (main && metadata.orientation && metadata.orientation !== 'unspecified') {
+    main.setAttributeNS(ANDROID_NS, 'android:screenOrientation', metadata.orientation);
+  }
+}
+
+async function transplantManifest(ctx) {
+  const text = await readOptional(path.join(ctx.source, MANIFEST_PATH));
+  let source = null;
+  if (text !== null) {
+    try {
+      source = parseXml(text);
+    } catch (err) {
+      ctx.drop('manifest', 'AndroidManifest.xml', 'not valid XML: ' + err.message);
+    }
+  }
+
+  const targetFile = ctx.target ? path.join(ctx.target, MANIFEST_PATH) : null;
+  const target = targetFile ? parseXml(await fs.readFile(targetFile, 'utf8')) : null;
+  const targetRoot = target ? target.documentElement : null;
+  const targetApp = targetRoot ? elements(targetRoot, 'application')[0] : null;
+
+  if (source) {
+    const root = source.documentElement;
+    if (targetRoot && root.getAttribute('xmlns:tools') && !targetRoot.getAttribute('xmlns:tools')) {
+      targetRoot.setAttribute('xmlns:tools', TOOLS_NS);
+    }
+    for (const el of elements(root)) {
+      if (el.tagName === 'application') {
+        mergeApplication(ctx, el, targetApp);
+      } else if (el.tagName === 'uses-sdk') {
+        ctx.drop('manifest', 'uses-sdk', 'SDK levels come from minSdk / targetSdk in the build settings');
+      } else if (el.tagName === 'queries') {
+        let queries = targetRoot ? elements(targetRoot, 'queries')[0] : null;
+        if (targetRoot && !queries) queries = insertElement(targetRoot, target.createElement('queries'));
+        elements(el).forEach(function(query) {
+          ctx.carry('manifest', 'queries ' + describeElement(query));
+          if (queries) mergeElement(queries, query);
+        });
+      } else {
+        ctx.carry('manifest', describeElement(el));
+        if (targetRoot) mergeElement(targetRoot, el, targetApp);
+      }
+    }
+  }
+
+  if (target) {
+    applyFormMetadata(target, ctx.metadata);
+    await fs.writeFile(targetFile, serializeXml(target));
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Kotlin / Java sources
+// ---------------------------------------------------------------------------
+
+function packageOf(source) {
+  const match = source.match(/^\s*package\s+([\w.]+)/m);
+  return match ? match[1] : null;
+}
+
+// A MainActivity that only extends FlutterActivity is what the fresh project has already
+function isTemplateActivity(source) {
+  const body = source
+    .replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, '')
+    .replace(/^\s*(?:package|import)\s[^\n]*$/gm, '')
+    .replace(/\s+/g, '');
+  return TEMPLATE_MAIN_ACTIVITIES.includes(body);
+}
+
+async function findMainActivity(androidMain) {
+  for (const dir of SOURCE_DIRS) {
+    const file = (await listFiles(path.join(androidMain, dir))).find(function(f) { return /(^|\/)MainActivity\.(kt|java)$/.test(f); });
+    if (file) return { dir: dir, rel: file };
+  }
+  return null;
+}
+
+// Sources next to MainActivity move with it into the new package; R, BuildConfig and the moved classes are re-imported from there
+async function transplantSources(ctx) {
+  const sourceMain = path.join(ctx.source, MAIN_DIR);
+  const files = [];
+  for (const dir of SOURCE_DIRS) {
+    (await listFiles(path.join(sourceMain, dir))).forEach(function(rel) {
+      if (/\.(kt|java)$/.test(rel) && rel !== 'io/flutter/plugins/GeneratedPluginRegistrant.java') files.push({ dir: dir, rel: rel });
+    });
+  }
+  if (files.length === 0) return;
+
+  const main = files.find(function(f) { return /(^|\/)MainActivity\.(kt|java)$/.test(f.rel); }) || null;
+  const mainSource = main ? await fs.readFile(path.join(sourceMain, main.dir, main.rel), 'utf8') : null;
+  let skipMain = false;
+  if (mainSource && /\bimport\s+io\.flutter\.app\./.test(mainSource)) {
+    ctx.drop('source', main.dir + '/' + main.rel, 'v1 embedding MainActivity, the fresh project\'s is used');
+    skipMain = true;
+  } else if (mainSource && isTemplateActivity(mainSource)) {
+    skipMain = true;
+  }
+
+  const targetMain = ctx.target ? await findMainActivity(path.join(ctx.target, MAIN_DIR)) : null;
+  const targetPackage = targetMain
+    ? packageOf(await fs.readFile(path.join(ctx.target, MAIN_DIR, targetMain.dir, targetMain.rel), 'utf8'))
+    : ctx.packageName;
+  const oldPackage = mainSource ? packageOf(mainSource) : null;
+  const moves = !!(oldPackage && targetPackage && oldPackage !== targetPackage);
+  const mainDir = main ? path.posix.dirname(main.rel) : null;
+  const moved = files.filter(function(f) { return path.posix.dirname(f.rel) === mainDir; })
+    .map(function(f) { return path.posix.basename(f.rel).replace(/\.\w+$/, ''); });
+
+  for (const file of files) {
+    if (file === main && skipMain) continue;
+    ctx.carry('source', file.dir + '/' + file.rel);
+    if (!ctx.target) continue;
+
+    let content = await fs.readFile(path.join(sourceMain, file.dir, file.rel), 'utf8');
+    let rel = file.rel;
+    if (moves) {
+      if (path.posix.dirname(file.rel) === mainDir) {
+        rel = targetPackage.split('.').join('/') + '/' + path.posix.basename(file.rel);
+        content = content.replace(/^(\s*package\s+)[\w.]+/m, '$1' + targetPackage);
+      }
+      const names = ['R', 'BuildConfig'].concat(moved).join('|');
+      content = content.replace(new RegExp('\\b' + oldPackage.replace(/\./g, '\\.') + '\\.(' + names + ')\\b', 'g'), targetPackage + '.$1');
+    }
+    // The fresh MainActivity may be in the other language; two classes of the same name do not compile
+    if (file === main && targetMain) await fs.rm(path.join(ctx.target, MAIN_DIR, targetMain.dir, targetMain.rel), { force: true });
+    await writeFile(path.join(ctx.target, MAIN_DIR, file.dir, rel), content);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// res/
+// ---------------------------------------------------------------------------
+
+function removeElement(el) {
+  const prev = el.previousSibling;
+  if (prev && prev.nodeType === 3) el.parentNode.removeChild(prev);
+  el.parentNode.removeChild(el);
+}
+
+// Values of a res/values* directory, merged resource by resource: the upload's win, as those are the
+// customizations, and move to the upload's file so no resource ends up defined twice
+async function mergeValues(ctx, dir, files) {
+  const sources = [];
+  for (const file of files.filter(function(f) { return f.endsWith('.xml') && f.split('/').length === 2; })) {
+    try {
+      const doc = parseXml(await fs.readFile(path.join(ctx.source, MAIN_DIR, 'res', file), 'utf8'));
+      ctx.carry('resource', 'res/' + file + ' (' + elements(doc.documentElement).length + ' values)');
+      sources.push({ name: path.posix.basename(file), doc: doc });
+    } catch (err) {
+      if (err.code !== 'INVALID_XML') throw err;
+      ctx.drop('resource', 'res/' + file, 'not valid XML: ' + err.message);
+    }
+  }
+  if (!ctx.target || sources.length === 0) return;
+
+  const targetDir = path.join(ctx.target, MAIN_DIR, 'res', dir);
+  const targets = {};
+  for (const name of (await listFiles(targetDir)).filter(function(f) { return f.endsWith('.xml') && !f.includes('/'); })) {
+    targets[name] = parseXml(await fs.readFile(path.join(targetDir, name), 'utf8'));
+  }
+  const changed = [];
+  sources.forEach(function(source) {
+    const values = elements(source.doc.documentElement);
+    const keys = values.map(elementKey);
+    Object.keys(targets).filter(function(name) { return name !== source.name; }).forEach(function(name) {
+      elements(targets[name].documentElement).filter(function(el) { return keys.includes(elementKey(el)); }).forEach(function(el) {
+        removeElement(el);
+        if (!changed.includes(name)) changed.push(name);
+      });
+    });
+    if (targets[source.name]) values.forEach(function(value) { mergeElement(targets[source.name].documentElement, value); });
+    else targets[source.name] = source.doc;
+    if (!changed.includes(source.name)) changed.push(source.name);
+  });
+  for (const name of changed) await writeFile(path.join(targetDir, name), serializeXml(targets[name]));
+}
+
+async function transplantResources(ctx) {
+  const files = await listFiles(path.join(ctx.source, MAIN_DIR, 'res'));
+  const dirs = [];
+  files.forEach(function(f) {
+    const dir = f.split('/')[0];
+    if (f.includes('/') && !dirs.includes(dir)) dirs.push(dir);
+  });
+
+  for (const dir of dirs) {
+    const inDir = files.filter(function(f) { return f.startsWith(dir + '/'); });
+    if (/^mipmap(-|$)/.test(dir)) {
+      ctx.drop('resource', 'res/' + dir, 'launcher icons are generated from the uploaded icon');
+    } else if (/^values(-|$)/.test(dir)) {
+      await mergeValues(ctx, dir, inDir);
+    } else {
+      ctx.carry('resource', 'res/' + dir + ' (' + inDir.length + ' files)');
+      if (!ctx.target) continue;
+      for (const f of inDir) {
+        const dest = path.join(ctx.target, MAIN_DIR, 'res', f);
+        await fs.mkdir(path.dirname(dest), { recursive: true });
+        await fs.copyFile(path.join(ctx.source, MAIN_DIR, 'res', f), dest);
+      }
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Proguard rules and Gradle
+// ---------------------------------------------------------------------------
+
+// Flutter's Gradle plugin adds android/app/proguard-rules.pro to release builds, so every rules file goes there
+async function transplantProguard(ctx) {
+  const names = (await listFiles(path.join(ctx.source, 'android', 'app')))
+    .filter(function(f) { return !f.includes('/') && f.endsWith('.pro'); });
+  const parts = [];
+  for (const name of names) {
+    ctx.carry('proguard', 'android/app/' + name);
+    if (ctx.target) parts.push('# From ' + name + '\n' + (await fs.readFile(path.join(ctx.source, 'android', 'app', name), 'utf8')).replace(/\s*$/, '\n'));
+  }
+  if (parts.length === 0 || !ctx.target) return;
+  const file = path.join(ctx.target, 'android', 'app', 'proguard-rules.pro');
+  const existing = await readOptional(file);
+  await fs.writeFile(file, (existing ? existing.replace(/\s*$/, '\n\n') : '') + parts.join('\n'));
+}
+
+// Bodies of the top-level `name { }` blocks of a build script
+function gradleBlocks(source, name) {
+  const bodies = [];
+  const pattern = new RegExp('(^|\\n)[ \\t]*' + name + '\\s*\\{', 'g');
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const open = match.index + match[0].length - 1;
+    const end = blockEnd(source, open);
+    if (end === -1) break;
+    bodies.push(source.slice(open + 1, end - 1));
+    pattern.lastIndex = end;
+  }
+  return bodies;
+}
+
+// `implementation "g:a:v"`, `implementation("g:a:v")`, `implementation platform("g:a:v")` and the Kotlin DSL forms
+function parseDependency(statement) {
+  const match = statement.match(/^(\w+)\s*\(?\s*(?:(platform|enforcedPlatform)\s*\(\s*)?(["'])([^"'\s]+)\3\s*\)?\s*\)?$/);
+  if (!match || (match[2] && !/\)\s*\)?$/.test(statement))) return null;
+  return { configuration: match[1], platform: match[2] || null, coordinates: match[4] };
+}
+
+function formatDependency(dep, kotlin) {
+  const notation = JSON.stringify(dep.coordinates);
+  const value = dep.platform ? dep.platform + '(' + notation + ')' : notation;
+  return kotlin ? dep.configuration + '(' + value + ')' : dep.configuration + ' ' + value;
+}
+
+// Dependency statements of the uploaded app/build.gradle, each carried or dropped
+function collectDependencies(ctx, gradle) {
+  const carried = [];
+  gradleBlocks(gradle, 'dependencies').forEach(function(body) {
+    const lines = body.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+      let statement = lines[i].replace(/\s\/\/.*$/, '').trim();
+      if (!statement || statement.startsWith('//')) continue;
+      // A dependency with a configuration closure spans lines: drop it whole
+      let depth = (statement.match(/\{/g) || []).length - (statement.match(/\}/g) || []).length;
+      if (depth > 0) {
+        while (depth > 0 && ++i < lines.length) depth += (lines[i].match(/\{/g) || []).length - (lines[i].match(/\}/g) || []).length;
+        ctx.drop('dependency', statement.replace(/\s*\{$/, ''), 'has a configuration block such as exclude');
+        continue;
+      }
+      const dep = parseDependency(statement);
+      if (!dep) {
+        ctx.drop('dependency', statement.slice(0, 120), 'not a plain "group:name:version" dependency');
+      } else if (/test/i.test(dep.configuration)) {
+        ctx.drop('dependency', dep.coordinates, 'test dependencies are not transplanted');
+      } else if (!DEPENDENCY_CONFIGURATIONS.includes(dep.configuration)) {
+        ctx.drop('dependency', dep.coordinates, dep.configuration + ' needs a Gradle plugin the fresh project does not apply');
+      } else if (/^org\.jetbrains\.kotlin:kotlin-stdlib/.test(dep.coordinates)) {
+        ctx.drop('dependency', dep.coordinates, 'provided by the Kotlin Gradle plugin');
+      } else if (dep.coordinates.includes('$')) {
+        ctx.drop('dependency', dep.coordinates, 'the version comes from a Gradle property');
+      } else {
+        ctx.carry('dependency', dep.configuration + ' ' + (dep.platform ? dep.platform + ' ' : '') + dep.coordinates);
+        carried.push(dep);
+      }
+    }
+  });
+  return carried;
+}
+
+function collectPlugins(ctx, gradle) {
+  const names = [];
+  const applied = /\bapply\s+plugin\s*:\s*["']([^"']+)["']/g;
+  let match;
+  while ((match = applied.exec(gradle)) !== null) names.push(match[1]);
+  gradleBlocks(gradle, 'plugins').forEach(function(body) {
+    const declared = /\bid\s*\(?\s*["']([^"']+)["']/g;
+    while ((match = declared.exec(body)) !== null) names.push(match[1]);
+  });
+  names.filter(function(name, i) { return names.indexOf(name) === i && !KNOWN_PLUGINS.includes(name); }).forEach(function(name) {
+    ctx.drop('plugin', name, 'Gradle plugins are not transplanted');
+  });
+}
+
+// Extra maven { url } repositories of the uploaded android/build.gradle
+function collectRepositories(ctx, gradle) {
+  const urls = [];
+  const pattern = /\bmaven\s*(?:\(\s*(?:url\s*=\s*)?|\{[^{}]*?\burl\s*(?:=\s*)?(?:uri\s*\(\s*)?)(["'])([^"']+)\1/g;
+  let match;
+  while ((match = pattern.exec(gradle)) !== null) {
+    const url = match[2];
+    if (DEFAULT_REPOSITORY_PATTERN.test(url) || urls.includes(url)) continue;
+    if (url.includes('$')) {
+      ctx.drop('repository', url, 'the URL comes from a Gradle property');
+      continue;
+    }
+    ctx.carry('repository', url);
+    urls.push(url);
+  }
+  return urls;
+}
+
+// Inserts `line` right after the `{` of the first `name {` block, indented one level deeper
+function insertIntoBlock(source, name, line) {
+  const match = source.match(new RegExp('(^|\\n)([ \\t]*)' + name + '\\s*\\{'));
+  if (!match) return null;
+  const at = match.index + match[0].length;
+  return source.slice(0, at) + '\n' + match[2] + '    ' + line + source.slice(at);
+}
+
+async function readTargetGradle(file) {
+  for (const candidate of [file + '.kts', file]) {
+    const content = await readOptional(candidate);
+    if (content !== null) return { file: candidate, content: content, kotlin: candidate.endsWith('.kts') };
+  }
+  return null;
+}
+
+async function transplantGradle(ctx) {
+  const appGradle = await readAppGradle(ctx.source);
+  const deps = appGradle ? collectDependencies(ctx, appGradle.content) : [];
+  if (appGradle) collectPlugins(ctx, appGradle.content);
+  const rootGradle = (await readOptional(path.join(ctx.source, 'android', 'build.gradle'))) ||
+    (await readOptional(path.join(ctx.source, 'android', 'build.gradle.kts')));
+  const repositories = rootGradle ? collectRepositories(ctx, rootGradle) : [];
+  if (!ctx.target) return;
+
+  if (deps.length > 0) {
+    const target = await readTargetGradle(path.join(ctx.target, 'android', 'app', 'build.gradle'));
+    if (!target) throw transplantError('TARGET_GRADLE_MISSING', 'android/app/build.gradle not found in the fresh project');
+    let content = target.content.replace(/\s*$/, '\n\n') + 'dependencies {\n' +
+      deps.map(function(d) { return '    ' + formatDependency(d, target.kotlin) + '\n'; }).join('') + '}\n';
+    // The desugaring library only works with desugaring switched on
+    if (deps.some(function(d) { return d.configuration === 'coreLibraryDesugaring'; }) && !/oreLibraryDesugaringEnabled/.test(content)) {
+      const line = target.kotlin ? 'isCoreLibraryDesugaringEnabled = true' : 'coreLibraryDesugaringEnabled true';
+      content = insertIntoBlock(content, 'compileOptions', line) || insertIntoBlock(content, 'android', 'compileOptions { ' + line + ' }') || content;
+    }
+    await fs.writeFile(target.file, content);
+  }
+
+  if (repositories.length > 0) {
+    const target = await readTargetGradle(path.join(ctx.target, 'android', 'build.gradle'));
+    if (!target) throw transplantError('TARGET_GRADLE_MISSING', 'android/build.gradle not found in the fresh project');
+    let content = target.content;
+    repositories.filter(function(url) { return !content.includes(url); }).forEach(function(url) {
+      const line = target.kotlin ? 'maven { url = uri(' + JSON.stringify(url) + ') }' : 'maven { url ' + JSON.stringify(url) + ' }';
+      const allprojects = content.search(/(^|\n)[ \t]*allprojects\s*\{/);
+      const inserted = allprojects === -1 ? null : insertIntoBlock(content.slice(allprojects), 'repositories', line);
+      content = inserted !== null
+        ? content.slice(0, allprojects) + inserted
+        : content.replace(/\s*$/, '\n\n') + 'allprojects {\n    repositories {\n        ' + line + '\n    }\n}\n';
+    });
+    await fs.writeFile(target.file, content);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Entry point
+// ---------------------------------------------------------------------------
+
+// Transplants the native Android pieces of options.source into options.target, a fresh `flutter create`
+// project whose package is options.packageName; options.metadata adds the form's permissions and orientation.
+// Without a target nothing is written. Resolves to { carried: [{ kind, name }], dropped: [{ kind, name, reason }] }.
+async function transplantNative(options) {
+  const carried = [];
+  const dropped = [];
+  const ctx = {
+    source: options.source,
+    target: options.target || null,
+    packageName: options.packageName || null,
+    metadata: options.metadata || {},
+    carry: function(kind, name) { carried.push({ kind: kind, name: name }); },
+    drop: function(kind, name, reason) { dropped.push({ kind: kind, name: name, reason: reason }); }
+  };
+
+  await transplantManifest(ctx);
+  await transplantSources(ctx);
+  await transplantResources(ctx);
+  await transplantProguard(ctx);
+  await transplantGradle(ctx);
+  return { carried: carried, dropped: dropped };
+}
+
+module.exports = { transplantNative };
@@ -0,0 +1,113 @@
+// project-ignore.js
+// Decides which files of an uploaded project get packaged for the build.
+// Built-in defaults always apply. On top of them come the project's .gitignore files (root and nested)
+// and an optional root .aiteignore, all with gitignore semantics; .aiteignore is evaluated last,
+// so a `!pattern` there brings back something git ignores (e.g. an uncommitted google-services.json).
+const fs = require('fs').promises;
+const path = require('path');
+const ignore = require('ignore');
+
+const FLUTTER_DEFAULT_EXCLUDES = [
+  '.git/', 'node_modules/', '.dart_tool/', '.pub-cache/', '.idea/', '.gradle/',
+  '/build/', '/ios/', '/android/build/', '/android/app/build/'
+];
+const WEB_DEFAULT_EXCLUDES = ['.git/', 'node_modules/', '.idea/', '.vscode/'];
+
+// The response lists at most this many excluded paths; the totals always cover everything
+const MAX_REPORTED_EXCLUSIONS = 200;
+
+async function readRules(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (e) {
+    return null;
+  }
+}
+
+// Files and folders a later rule can never remove, e.g. declared pubspec assets
+function isKept(name, keep) {
+  return keep.some(function(k) {
+    return name === k || k.startsWith(name + '/') || name.startsWith(k + '/');
+  });
+}
+
+// Later rule sets override earlier ones, like a deeper .gitignore overrides its parent
+function matchRules(name, isDir, ruleSets) {
+  let source = null;
+  for (const rules of ruleSets) {
+    if (rules.base && !name.startsWith(rules.base + '/')) continue;
+    const rel = rules.base ? name.slice(rules.base.length + 1) : name;
+    const result = rules.matcher.test(isDir ? rel + '/' : rel);
+    if (result.ignored) source = rules.source;
+    else if (result.unignored) source = null;
+  }
+  return source;
+}
+
+async function measureDir(dir) {
+  let files = 0;
+  let bytes = 0;
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      const sub = await measureDir(fullPath);
+      files += sub.files;
+      bytes += sub.bytes;
+    } else if (entry.isFile()) {
+      files++;
+      bytes += (await fs.stat(fullPath)).size;
+    }
+  }
+  return { files: files, bytes: bytes };
+}
+
+// Resolves to { files: [{ fullPath, name, size }], excluded: [{ path, source, files, bytes }],
+// excludedFiles, excludedBytes }. options: { defaults: [patterns], keep: [relative paths] }
+async function scanProject(rootDir, options) {
+  const defaults = ignore().add((options && options.defaults) || []);
+  const keep = ((options && options.keep) || []).map(function(k) { return k.replace(/\/+$/, ''); });
+  const aiteRules = await readRules(path.join(rootDir, '.aiteignore'));
+  const aite = aiteRules !== null ? { base: '', matcher: ignore().add(aiteRules), source: '.aiteignore' } : null;
+
+  const result = { files: [], excluded: [], excludedFiles: 0, excludedBytes: 0 };
+
+  const exclude = async (name, fullPath, isDir, source) => {
+    const size = isDir ? await measureDir(fullPath) : { files: 1, bytes: (await fs.stat(fullPath)).size };
+    result.excludedFiles += size.files;
+    result.excludedBytes += size.bytes;
+    if (result.excluded.length < MAX_REPORTED_EXCLUSIONS) {
+      result.excluded.push({ path: isDir ? name + '/' : name, source: source, files: size.files, bytes: size.bytes });
+    }
+  };
+
+  const walk = async (dir, base, gitRules) => {
+    const rules = gitRules.slice();
+    const gitignore = await readRules(path.join(dir, '.gitignore'));
+    if (gitignore !== null) {
+      rules.push({ base: base, matcher: ignore().add(gitignore), source: base ? base + '/.gitignore' : '.gitignore' });
+    }
+    const ruleSets = aite ? rules.concat([aite]) : rules;
+
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const isDir = entry.isDirectory();
+      if (!isDir && !entry.isFile()) continue;
+      const name = base ? base + '/' + entry.name : entry.name;
+      const fullPath = path.join(dir, entry.name);
+
+      const source = defaults.ignores(isDir ? name + '/' : name) ? 'default'
+        : (isKept(name, keep) ? null : matchRules(name, isDir, ruleSets));
+      if (source) {
+        await exclude(name, fullPath, isDir, source);
+      } else if (isDir) {
+        await walk(fullPath, name, rules);
+      } else {
+        result.files.push({ fullPath: fullPath, name: name, size: (await fs.stat(fullPath)).size });
+      }
+    }
+  };
+
+  await walk(rootDir, '', []);
+  return result;
+}
+
+module.exports = { scanProject, FLUTTER_DEFAULT_EXCLUDES, WEB_DEFAULT_EXCLUDES };
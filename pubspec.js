@@ -0,0 +1,150 @@
+// pubspec.js
+// Parses pubspec.yaml and checks, before anything is dispatched, that every dependency
+// can be resolved on the build server from what was actually uploaded.
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+
+function pubspecError(message, details) {
+  const err = new Error(message);
+  err.code = 'INVALID_PUBSPEC';
+  if (details) err.details = details;
+  return err;
+}
+
+// pubspec allows a bare constraint, an empty value (any), or a map with sdk/path/git/hosted
+function describeDependency(name, spec) {
+  if (spec === null || spec === undefined || typeof spec !== 'object') {
+    return { name: name, source: 'hosted', constraint: spec == null ? 'any' : String(spec) };
+  }
+  if (spec.sdk !== undefined) return { name: name, source: 'sdk', sdk: String(spec.sdk) };
+  if (spec.path !== undefined) return { name: name, source: 'path', path: String(spec.path) };
+  if (spec.git !== undefined) {
+    const git = typeof spec.git === 'object' && spec.git ? spec.git : { url: spec.git };
+    return { name: name, source: 'git', url: git.url ? String(git.url) : null, ref: git.ref || null, path: git.path || null };
+  }
+  const hosted = spec.hosted && typeof spec.hosted === 'object' ? spec.hosted.url : spec.hosted;
+  return {
+    name: name,
+    source: 'hosted',
+    constraint: spec.version != null ? String(spec.version) : 'any',
+    url: hosted ? String(hosted) : null
+  };
+}
+
+function describeSection(section) {
+  if (!section || typeof section !== 'object') return [];
+  return Object.keys(section).map(function(name) { return describeDependency(name, section[name]); });
+}
+
+function parsePubspec(content) {
+  let doc;
+  try {
+    doc = yaml.load(content);
+  } catch (err) {
+    throw pubspecError('pubspec.yaml is not valid YAML: ' + err.reason, { line: err.mark ? err.mark.line + 1 : null });
+  }
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) throw pubspecError('pubspec.yaml must be a YAML map');
+
+  const environment = doc.environment && typeof doc.environment === 'object' ? doc.environment : {};
+  const flutter = doc.flutter && typeof doc.flutter === 'object' ? doc.flutter : {};
+
+  return {
+    name: doc.name ? String(doc.name) : null,
+    version: doc.version != null ? String(doc.version) : null,
+    sdk: environment.sdk != null ? String(environment.sdk) : null,
+    flutter: environment.flutter != null ? String(environment.flutter) : null,
+    dependencies: describeSection(doc.dependencies),
+    dev_dependencies: describeSection(doc.dev_dependencies),
+    dependency_overrides: describeSection(doc.dependency_overrides),
+    // Flutter 3.19+ also accepts { path, flavors } entries
+    assets: (Array.isArray(flutter.assets) ? flutter.assets : []).map(function(a) {
+      return a && typeof a === 'object' ? String(a.path) : String(a);
+    }),
+    fonts: (Array.isArray(flutter.fonts) ? flutter.fonts : []).map(function(font) {
+      return {
+        family: font && font.family ? String(font.family) : null,
+        assets: (font && Array.isArray(font.fonts) ? font.fonts : []).map(function(f) { return f && f.asset ? String(f.asset) : null; }).filter(Boolean)
+      };
+    })
+  };
+}
+
+async function pathExists(p) {
+  try { await fs.access(p); return true; } catch (e) { return false; }
+}
+
+function isInside(child, parent) {
+  const rel = path.relative(parent, child);
+  return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+async function checkDependency(dep, section, projectRoot) {
+  const where = section + '.' + dep.name;
+
+  if (dep.source === 'path') {
+    const target = path.resolve(projectRoot, dep.path);
+    // Only the project root is packaged for the build, so siblings in the upload do not count
+    if (path.isAbsolute(dep.path) || !isInside(target, projectRoot)) {
+      return { severity: 'error', code: 'PATH_OUTSIDE_UPLOAD', dependency: where,
+        message: dep.name + ' points to ' + dep.path + ', which is outside the uploaded project folder' };
+    }
+    if (!await pathExists(path.join(target, 'pubspec.yaml'))) {
+      return { severity: 'error', code: 'PATH_DEPENDENCY_MISSING', dependency: where,
+        message: dep.name + ' points to ' + dep.path + ', but no pubspec.yaml was uploaded there' };
+    }
+  } else if (dep.source === 'git') {
+    const url = dep.url || '';
+    if (/^(git@|ssh:\/\/)/.test(url)) {
+      return { severity: 'error', code: 'GIT_SSH_DEPENDENCY', dependency: where,
+        message: dep.name + ' is fetched over SSH (' + url + '); the build server has no SSH keys. Use an https URL' };
+    }
+    if (!/^(https?|git):\/\//.test(url)) {
+      return { severity: 'error', code: 'GIT_LOCAL_DEPENDENCY', dependency: where,
+        message: dep.name + ' uses a local git repository (' + (url || 'no url') + ') that does not exist on the build server' };
+    }
+  } else if (dep.source === 'sdk' && dep.sdk !== 'flutter') {
+    return { severity: 'error', code: 'UNKNOWN_SDK', dependency: where,
+      message: dep.name + ' requires the "' + dep.sdk + '" SDK, only "flutter" is available' };
+  } else if (dep.source === 'hosted' && dep.url && !/^https:\/\/pub\.dev\/?$/.test(dep.url)) {
+    return { severity: 'warning', code: 'CUSTOM_HOSTED_DEPENDENCY', dependency: where,
+      message: dep.name + ' comes from ' + dep.url + ' and will fail if that server needs credentials' };
+  }
+  return null;
+}
+
+// Returns a list of { severity: 'error' | 'warning', code, message, dependency? | asset? }.
+// Errors are problems that make `flutter pub get` or the build fail no matter what.
+async function checkPubspec(pubspec, projectRoot) {
+  const problems = [];
+
+  if (!pubspec.name) problems.push({ severity: 'error', code: 'MISSING_NAME', message: 'pubspec.yaml has no name' });
+  if (!pubspec.sdk) {
+    problems.push({ severity: 'warning', code: 'MISSING_SDK_CONSTRAINT', message: 'pubspec.yaml has no environment.sdk constraint' });
+  }
+
+  for (const section of ['dependencies', 'dev_dependencies', 'dependency_overrides']) {
+    for (const dep of pubspec[section]) {
+      const problem = await checkDependency(dep, section, projectRoot);
+      if (problem) problems.push(problem);
+    }
+  }
+
+  const declared = pubspec.assets.map(function(a) { return { asset: a, kind: 'asset' }; });
+  pubspec.fonts.forEach(function(font) {
+    font.assets.forEach(function(a) { declared.push({ asset: a, kind: 'font' }); });
+  });
+  for (const entry of declared) {
+    // Assets shipped inside other packages are resolved by pub, not from the upload
+    if (entry.asset.startsWith('packages/')) continue;
+    const target = path.resolve(projectRoot, entry.asset);
+    if (!isInside(target, projectRoot) || !await pathExists(target)) {
+      problems.push({ severity: 'warning', code: entry.kind === 'font' ? 'FONT_MISSING' : 'ASSET_MISSING', asset: entry.asset,
+        message: 'Declared ' + entry.kind + ' ' + entry.asset + ' was not found in the upload' });
+    }
+  }
+
+  return problems;
+}
+
+module.exports = { parsePubspec, checkPubspec };
@@ -0,0 +1,93 @@
+// quota.js
+// Per-user and per-IP build quotas, counted from the build registry over the last 24 hours.
+// A limit of 0 disables that check.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function describeAllowance(limit, used, oldestAt) {
+  return {
+    limit: limit || null,
+    used: used,
+    remaining: limit ? Math.max(0, limit - used) : null,
+    resets_at: oldestAt ? new Date(oldestAt + DAY_MS).toISOString() : null
+  };
+}
+
+function oldestCreated(builds) {
+  return builds.length ? Math.min.apply(null, builds.map(function(b) { return new Date(b.created_at).getTime(); })) : null;
+}
+
+// limits: { concurrent, daily, ipDaily, activeWindow }. Builds that never reported back stop counting
+// as running after activeWindow ms.
+class BuildQuota {
+  constructor(buildStore, limits) {
+    this.buildStore = buildStore;
+    this.limits = limits;
+    // Requests that passed the check but are still uploading, per uid
+    this.pending = new Map();
+  }
+
+  async usage(user, ip, now) {
+    now = now || Date.now();
+    const limits = this.limits;
+    const recent = await this.buildStore.list(function(b) { return now - new Date(b.created_at).getTime() < DAY_MS; });
+    const mine = recent.filter(function(b) { return b.owner && b.owner.uid === user.uid; });
+    const fromIp = recent.filter(function(b) { return ip && b.client_ip === ip; });
+    const running = mine.filter(function(b) {
+      return b.status !== 'success' && b.status !== 'failed' && now - new Date(b.created_at).getTime() < limits.activeWindow;
+    });
+
+    return {
+      concurrent_builds: describeAllowance(limits.concurrent, running.length + (this.pending.get(user.uid) || 0), null),
+      daily_builds: describeAllowance(limits.daily, mine.length, oldestCreated(mine)),
+      ip_daily_builds: describeAllowance(limits.ipDaily, fromIp.length, oldestCreated(fromIp))
+    };
+  }
+
+  // Counts one more running build for uid until the returned function is called, so parallel
+  // submissions cannot slip past the concurrency limit before their builds are recorded
+  reserve(uid) {
+    const pending = this.pending;
+    let released = false;
+    pending.set(uid, (pending.get(uid) || 0) + 1);
+    return function release() {
+      if (released) return;
+      released = true;
+      const left = (pending.get(uid) || 1) - 1;
+      if (left > 0) pending.set(uid, left);
+      else pending.delete(uid);
+    };
+  }
+}
+
+function retryAfterSeconds(allowance, fallback, now) {
+  if (!allowance.resets_at) return fallback;
+  return Math.max(1, Math.ceil((new Date(allowance.resets_at).getTime() - (now || Date.now())) / 1000));
+}
+
+// The first limit that usage has reached, as { code, message, retryAfter (seconds) }, or null
+function exceededLimit(usage, now) {
+  if (usage.concurrent_builds.limit && usage.concurrent_builds.remaining === 0) {
+    return {
+      code: 'TOO_MANY_BUILDS',
+      message: 'You already have ' + usage.concurrent_builds.used + ' builds running. Wait for one to finish.',
+      retryAfter: 60
+    };
+  }
+  if (usage.daily_builds.limit && usage.daily_builds.remaining === 0) {
+    return {
+      code: 'DAILY_QUOTA_EXCEEDED',
+      message: 'Daily build limit of ' + usage.daily_builds.limit + ' reached',
+      retryAfter: retryAfterSeconds(usage.daily_builds, 3600, now)
+    };
+  }
+  if (usage.ip_daily_builds.limit && usage.ip_daily_builds.remaining === 0) {
+    return {
+      code: 'IP_QUOTA_EXCEEDED',
+      message: 'Daily build limit for this network reached',
+      retryAfter: retryAfterSeconds(usage.ip_daily_builds, 3600, now)
+    };
+  }
+  return null;
+}
+
+module.exports = { BuildQuota, exceededLimit };
@@ -0,0 +1,234 @@
+// safe-extract.js
+// Hardened extraction for untrusted uploads, shared by ZIP and folder uploads.
+// Entries that would land outside the destination, symlinks and unreadable entries are skipped
+// and reported; uploads over the entry-count, size or compression-ratio limits are refused outright.
+const fs = require('fs').promises;
+const fsConstants = require('fs').constants;
+const path = require('path');
+const zlib = require('zlib');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const AdmZip = require('adm-zip');
+
+const DEFAULT_LIMITS = {
+  maxEntries: 20000,
+  maxTotalSize: 1024 * 1024 * 1024,
+  maxRatio: 100,
+  // Tiny files compress absurdly well, so ratios are only judged above this size
+  ratioMinSize: 1024 * 1024
+};
+
+// An empty file deflates to 2 bytes; anything much bigger that claims to be empty is hiding its size
+const EMPTY_ENTRY_MAX_COMPRESSED = 8;
+const STORED = 0;
+const DEFLATED = 8;
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+function extractError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+// Returns { path } with a clean relative path, or { reason } when the name is unsafe.
+// The name is also checked percent-decoded so %2e%2e%2f cannot smuggle a traversal,
+// but the original spelling is kept for files that legitimately contain '%'.
+function normalizeEntryPath(name) {
+  const raw = String(name || '');
+  let decoded = raw;
+  try { decoded = decodeURIComponent(raw); } catch (e) {}
+
+  for (const candidate of [raw, decoded]) {
+    if (candidate.includes('\0')) return { reason: 'malformed_name' };
+    const unified = candidate.replace(/\\/g, '/');
+    if (/^([a-zA-Z]:|\/)/.test(unified)) return { reason: 'absolute_path' };
+    if (unified.split('/').includes('..')) return { reason: 'path_traversal' };
+  }
+
+  const segments = raw.replace(/\\/g, '/').split('/').filter(function(s) { return s !== '' && s !== '.'; });
+  if (segments.length === 0) return { reason: 'empty_name' };
+  return { path: segments.join('/') };
+}
+
+function resolveInside(destDir, relativePath) {
+  const root = path.resolve(destDir);
+  const target = path.resolve(root, relativePath);
+  const rel = path.relative(root, target);
+  return rel && !rel.startsWith('..') && !path.isAbsolute(rel) ? target : null;
+}
+
+function isSymlinkEntry(entry) {
+  return ((entry.header.attr >>> 16) & S_IFMT) === S_IFLNK;
+}
+
+async function writeEntry(target, write, rejected, name) {
+  try {
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await write();
+    return true;
+  } catch (err) {
+    rejected.push({ entry: name, reason: err.reason || (err.code === 'EEXIST' ? 'duplicate' : 'write_failed') });
+    return false;
+  }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, function(_, n) {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function entryError(reason) {
+  const err = new Error('Entry rejected: ' + reason);
+  err.reason = reason;
+  return err;
+}
+
+// Streams one entry into target (created exclusively). Output is cut off as soon as it passes
+// min(declared size, remaining budget), so the declared sizes checked up front are all that can land on disk;
+// a short entry or a CRC mismatch is rejected too, and whatever was written is removed again.
+async function inflateEntry(entry, target, budget) {
+  const method = entry.header.method;
+  if (method !== STORED && method !== DEFLATED) throw entryError('unsupported_method');
+  const declared = entry.header.size;
+  const limit = Math.min(declared, budget);
+  if (declared > limit) throw entryError('size_limit');
+
+  let written = 0;
+  let crc = 0xffffffff;
+  const meter = new Transform({
+    transform: function(chunk, encoding, callback) {
+      written += chunk.length;
+      if (written > limit) return callback(entryError('size_mismatch'));
+      for (let i = 0; i < chunk.length; i++) crc = CRC_TABLE[(crc ^ chunk[i]) & 0xff] ^ (crc >>> 8);
+      callback(null, chunk);
+    }
+  });
+
+  const handle = await fs.open(target, 'wx');
+  try {
+    try {
+      const stages = [Readable.from([entry.getCompressedData()])];
+      if (method === DEFLATED) stages.push(zlib.createInflateRaw());
+      stages.push(meter, handle.createWriteStream());
+      await pipeline(stages);
+    } catch (err) {
+      throw err.reason ? err : entryError('corrupt');
+    }
+    if (written !== declared) throw entryError('size_mismatch');
+    if (((crc ^ 0xffffffff) >>> 0) !== entry.header.crc) throw entryError('corrupt');
+  } catch (err) {
+    await handle.close().catch(function() {});
+    await fs.rm(target, { force: true });
+    throw err;
+  }
+}
+
+// Resolves to { extracted, totalSize, rejected: [{ entry, reason }] }
+async function extractZip(zipPath, destDir, limits) {
+  const opts = Object.assign({}, DEFAULT_LIMITS, limits);
+
+  let entries;
+  try {
+    entries = new AdmZip(zipPath).getEntries();
+  } catch (err) {
+    throw extractError('INVALID_ARCHIVE', 'Could not read ZIP archive: ' + err.message);
+  }
+  if (entries.length > opts.maxEntries) {
+    throw extractError('TOO_MANY_ENTRIES', 'Archive has ' + entries.length + ' entries, the limit is ' + opts.maxEntries,
+      { entries: entries.length, limit: opts.maxEntries });
+  }
+
+  // Sizes come from the central directory; inflateEntry stops at the declared size,
+  // so an entry that lies about its size cannot expand past what is checked here
+  const rejected = [];
+  const accepted = [];
+  let totalSize = 0;
+  let totalCompressed = 0;
+
+  for (const entry of entries) {
+    const name = entry.entryName;
+    const normalized = normalizeEntryPath(name);
+    if (normalized.reason) { rejected.push({ entry: name, reason: normalized.reason }); continue; }
+    if (isSymlinkEntry(entry)) { rejected.push({ entry: name, reason: 'symlink' }); continue; }
+    if (entry.isDirectory) { accepted.push({ entry: entry, path: normalized.path }); continue; }
+    if (entry.header.flags & 1) { rejected.push({ entry: name, reason: 'encrypted' }); continue; }
+
+    const size = entry.header.size;
+    const compressed = entry.header.compressedSize;
+    if (size === 0 && compressed > EMPTY_ENTRY_MAX_COMPRESSED) {
+      rejected.push({ entry: name, reason: 'size_mismatch' });
+      continue;
+    }
+    if (size >= opts.ratioMinSize && size / Math.max(compressed, 1) > opts.maxRatio) {
+      rejected.push({ entry: name, reason: 'compression_ratio' });
+      continue;
+    }
+    totalSize += size;
+    totalCompressed += compressed;
+    accepted.push({ entry: entry, path: normalized.path });
+  }
+
+  if (totalSize > opts.maxTotalSize) {
+    throw extractError('ARCHIVE_TOO_LARGE', 'Archive expands to more than ' + (opts.maxTotalSize / 1048576).toFixed(1) + ' MB',
+      { total_size: totalSize, limit: opts.maxTotalSize });
+  }
+  if (totalSize >= opts.ratioMinSize && totalSize / Math.max(totalCompressed, 1) > opts.maxRatio) {
+    throw extractError('COMPRESSION_RATIO', 'Archive compression ratio is suspiciously high',
+      { ratio: Math.round(totalSize / Math.max(totalCompressed, 1)), limit: opts.maxRatio });
+  }
+
+  let extracted = 0;
+  let written = 0;
+  for (const item of accepted) {
+    const name = item.entry.entryName;
+    const target = resolveInside(destDir, item.path);
+    if (!target) { rejected.push({ entry: name, reason: 'path_traversal' }); continue; }
+
+    if (item.entry.isDirectory) {
+      await fs.mkdir(target, { recursive: true });
+      continue;
+    }
+
+    const write = function() { return inflateEntry(item.entry, target, opts.maxTotalSize - written); };
+    if (await writeEntry(target, write, rejected, name)) {
+      extracted++;
+      written += item.entry.header.size;
+    }
+  }
+
+  return { extracted: extracted, totalSize: totalSize, rejected: rejected };
+}
+
+// Folder uploads arrive as multer files whose originalname carries the relative path
+async function copyUploadedFiles(files, destDir, limits) {
+  const opts = Object.assign({}, DEFAULT_LIMITS, limits);
+  if (files.length > opts.maxEntries) {
+    throw extractError('TOO_MANY_ENTRIES', 'Upload has ' + files.length + ' files, the limit is ' + opts.maxEntries,
+      { entries: files.length, limit: opts.maxEntries });
+  }
+  const totalSize = files.reduce(function(sum, f) { return sum + (f.size || 0); }, 0);
+  if (totalSize > opts.maxTotalSize) {
+    throw extractError('ARCHIVE_TOO_LARGE', 'Upload is larger than ' + (opts.maxTotalSize / 1048576).toFixed(1) + ' MB',
+      { total_size: totalSize, limit: opts.maxTotalSize });
+  }
+
+  const rejected = [];
+  let extracted = 0;
+  for (const file of files) {
+    const name = file.originalname || file.name || 'unknown';
+    const normalized = normalizeEntryPath(name);
+    if (normalized.reason) { rejected.push({ entry: name, reason: normalized.reason }); continue; }
+    const target = resolveInside(destDir, normalized.path);
+    if (!target) { rejected.push({ entry: name, reason: 'path_traversal' }); continue; }
+
+    if (await writeEntry(target, function() { return fs.copyFile(file.path, target, fsConstants.COPYFILE_EXCL); }, rejected, name)) extracted++;
+  }
+
+  return { extracted: extracted, totalSize: totalSize, rejected: rejected };
+}
+
+module.exports = { extractZip, copyUploadedFiles, normalizeEntryPath };
@@ -0,0 +1,75 @@
+// scripts/cleanup.js
+// One-off run of the cleanup job the server also runs periodically (see cleanup.js).
+// Usage: npm run cleanup [-- --dry-run] [-- --json]
+// Reads the same env vars as the server. A running server keeps builds.json locked (it runs this job
+// itself every CLEANUP_INTERVAL), so only --dry-run works while it is up: a real run would have its
+// artifacts_deleted_at marks overwritten by the server's next save.
+require('dotenv').config();
+const path = require('path');
+const { BuildStore } = require('../build-store');
+const { createStorageFromEnv } = require('../storage');
+const { runCleanup, summarizeCleanup, CLEANUP_DEFAULTS } = require('../cleanup');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const asJson = args.includes('--json');
+
+async function main() {
+  const buildStore = new BuildStore(process.env.BUILD_STORE_PATH || path.join(DATA_DIR, 'builds.json'));
+  if (!dryRun) {
+    try {
+      await buildStore.acquireLock();
+    } catch (err) {
+      if (err.code !== 'BUILD_STORE_LOCKED') throw err;
+      console.error('Cleanup refused: ' + err.message + '. Stop the server or leave cleanup to its in-process job (CLEANUP_INTERVAL).');
+      process.exitCode = 1;
+      return;
+    }
+  }
+  try {
+    await run(buildStore);
+  } finally {
+    buildStore.releaseLock();
+  }
+}
+
+async function run(buildStore) {
+  // Defaults mirror CONFIG in server.js
+  const tempDir = process.env.TEMP_DIR || '/tmp/aite-studio';
+  const retentionDays = parseInt(process.env.ARTIFACT_RETENTION_DAYS) || CLEANUP_DEFAULTS.artifactRetentionDays;
+  const unfinishedDays = parseInt(process.env.UNFINISHED_RETENTION_DAYS) || CLEANUP_DEFAULTS.unfinishedRetentionDays;
+
+  const report = await runCleanup({
+    tempDir: tempDir,
+    tempMaxAge: parseInt(process.env.CLEANUP_TEMP_MAX_AGE) || CLEANUP_DEFAULTS.tempMaxAge,
+    blobDir: process.env.BLOB_DIR || path.join(DATA_DIR, 'blobs'),
+    blobMaxAge: parseInt(process.env.CLEANUP_BLOB_MAX_AGE) || CLEANUP_DEFAULTS.blobMaxAge,
+    logDir: process.env.BUILD_LOG_DIR || path.join(DATA_DIR, 'logs'),
+    artifactMaxAge: retentionDays * 24 * 60 * 60 * 1000,
+    unfinishedMaxAge: unfinishedDays * 24 * 60 * 60 * 1000,
+    buildStore: buildStore,
+    storage: createStorageFromEnv(process.env, { tempDir: tempDir, localDir: path.join(DATA_DIR, 'storage') }),
+    dryRun: dryRun
+  });
+
+  if (asJson) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    report.temp.concat(report.uploads, report.manifests, report.blobs, report.logs).forEach(function(item) {
+      console.log((dryRun ? '[dry-run] ' : '') + 'rm ' + item.path);
+    });
+    report.artifacts.forEach(function(a) {
+      const when = a.completed_at ? 'finished ' + a.completed_at : 'dispatched ' + a.dispatched_at + ', never finished';
+      console.log((dryRun ? '[dry-run] ' : '') + 'build ' + a.build_id + ' (' + when + '): ' + a.keys.join(', '));
+    });
+    report.errors.forEach(function(e) { console.error('error ' + (e.path || e.build_id) + ': ' + e.error); });
+    console.log('Cleanup: ' + summarizeCleanup(report));
+  }
+  process.exitCode = report.errors.length > 0 ? 1 : 0;
+}
+
+main().catch(function(err) {
+  console.error('Cleanup failed:', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,37 @@
+// scripts/codemods.js
+// Runs the codemod catalog (see codemods.js) on a Flutter project, the same pass /build-flutter applies
+// to an upload before dispatching it. Handy to preview or apply the migrations locally.
+// Usage: node scripts/codemods.js [--root <project>] [--rules id,id] [--dry-run] [--report <report.json>] [--list]
+const fs = require('fs').promises;
+const { runCodemods, parseRuleSelection, RULES } = require('../codemods');
+
+function option(name) {
+  const i = process.argv.indexOf('--' + name);
+  return i !== -1 ? process.argv[i + 1] : undefined;
+}
+
+async function main() {
+  if (process.argv.includes('--list')) {
+    RULES.forEach(function(rule) { console.log(rule.id + ': ' + rule.description); });
+    return;
+  }
+
+  const report = await runCodemods(option('root') || '.', {
+    rules: parseRuleSelection(option('rules')),
+    dryRun: process.argv.includes('--dry-run')
+  });
+  if (option('report')) await fs.writeFile(option('report'), JSON.stringify(report, null, 2));
+
+  report.files.forEach(function(entry) {
+    console.log(entry.file + ': ' + (entry.rules.length > 0
+      ? entry.rules.map(function(r) { return r.id + (r.count > 1 ? ' x' + r.count : ''); }).join(', ')
+      : 'unchanged'));
+    entry.notes.forEach(function(note) { console.log('  ⚠️ ' + note.rule + ': ' + note.message); });
+  });
+  console.log('🔧 ' + report.applied + ' rewrites in ' + report.files_changed + ' files' + (report.dry_run ? ' (dry run)' : ''));
+}
+
+main().catch(function(err) {
+  console.error('Codemods failed:', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,136 @@
+// scripts/repair.js
+// AI repair of a Flutter project whose build failed (see ai-repair.js). Run by build-flutter.yml.
+// Usage: node scripts/repair.js --root <project> --log <build log> --report <report.json> [--patch <file>]
+//          [--max-files N] [--dry-run]                          one repair pass, no rebuild
+//          --build <command> [--build-log <file>] [--rounds N]  repair and rebuild in rounds
+//          [--token-budget N] [--on-round <command>] [--on-round-env NAME,...]
+// In round mode the exit code is the last build's: 0 once it succeeds. The --on-round command runs as
+// each round starts, with REPAIR_ROUND, REPAIR_MAX_ROUNDS and REPAIR_REPORT (the report so far) set.
+// It only sees PATH, HOME and the variables named by --on-round-env, never the rest of this env.
+// The provider comes from the AI_* env vars. Without one the report says "skipped" and the build is
+// still retried once: a missing repair must not stop the retry.
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const { spawn, spawnSync } = require('child_process');
+const { createProviderFromEnv, repairProject, runRepairLoop, reportPatch } = require('../ai-repair');
+
+function option(name) {
+  const i = process.argv.indexOf('--' + name);
+  return i !== -1 ? process.argv[i + 1] : undefined;
+}
+
+// The build runs the uploaded project's code: it gets this process's env minus the model's settings and key
+// (every AI_* variable) and the events secret, whatever the --build command itself unsets
+function buildEnv() {
+  return Object.keys(process.env).reduce(function(env, name) {
+    if (!/^AI_/.test(name) && name !== 'BUILD_EVENTS_SECRET') env[name] = process.env[name];
+    return env;
+  }, {});
+}
+
+// The --on-round hook gets PATH, HOME, the names it asks for and the round's REPAIR_* values, nothing else
+function hookEnv(names, extra) {
+  return ['PATH', 'HOME'].concat(names ? names.split(',') : []).reduce(function(env, name) {
+    name = name.trim();
+    if (name && process.env[name] !== undefined) env[name] = process.env[name];
+    return env;
+  }, Object.assign({}, extra));
+}
+
+// Runs the build command in the project, echoing its output into the job log and keeping a copy in logFile
+function runBuild(command, root, logFile, title) {
+  return new Promise(function(resolve, reject) {
+    console.log('::group::' + title);
+    const child = spawn('bash', ['-c', command], { cwd: root, env: buildEnv(), stdio: ['ignore', 'pipe', 'pipe'] });
+    const out = logFile ? fsSync.createWriteStream(logFile) : null;
+    const chunks = [];
+    const collect = function(data) {
+      process.stdout.write(data);
+      if (out) out.write(data);
+      chunks.push(data);
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+    child.on('error', reject);
+    child.on('close', function(code) {
+      console.log('::endgroup::');
+      if (out) out.end();
+      resolve({ ok: code === 0, log: Buffer.concat(chunks).toString('utf8') });
+    });
+  });
+}
+
+async function main() {
+  const root = option('root') || '.';
+  const reportPath = option('report') || 'repair-report.json';
+  const patchPath = option('patch');
+  const buildCommand = option('build');
+  const log = await fs.readFile(option('log') || 'build_log.txt', 'utf8');
+  const rebuild = function(round) {
+    return runBuild(buildCommand, root, option('build-log'), round ? 'Rebuild after repair round ' + round : 'Retry build');
+  };
+
+  let report;
+  try {
+    const provider = await createProviderFromEnv(process.env);
+    if (buildCommand) {
+      report = await runRepairLoop({
+        root: root,
+        log: log,
+        provider: provider,
+        rebuild: rebuild,
+        maxRounds: parseInt(option('rounds')) || undefined,
+        tokenBudget: parseInt(option('token-budget')) || 0,
+        maxFiles: parseInt(option('max-files')) || undefined,
+        onRound: async function(partial, round) {
+          console.log('🩺 Repair round ' + round + '/' + partial.max_rounds);
+          if (!option('on-round')) return;
+          await fs.writeFile(reportPath, JSON.stringify(partial, null, 2));
+          spawnSync('bash', ['-c', option('on-round')], {
+            stdio: 'inherit',
+            env: hookEnv(option('on-round-env'), {
+              REPAIR_ROUND: String(round), REPAIR_MAX_ROUNDS: String(partial.max_rounds), REPAIR_REPORT: reportPath
+            })
+          });
+        }
+      });
+    } else {
+      report = await repairProject({
+        root: root,
+        log: log,
+        provider: provider,
+        maxFiles: parseInt(option('max-files')) || undefined,
+        dryRun: process.argv.includes('--dry-run')
+      });
+    }
+  } catch (err) {
+    if (err.code !== 'REPAIR_UNAVAILABLE') throw err;
+    report = { version: 2, created_at: new Date().toISOString(), status: 'skipped', message: err.message, changes: [] };
+    if (buildCommand) {
+      report.build_succeeded = (await rebuild(0)).ok;
+      report.stop_reason = 'unavailable';
+    }
+  }
+
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+  if (patchPath) await fs.writeFile(patchPath, reportPatch(report));
+
+  (report.rounds || [{ round: 1, changes: report.changes }]).forEach(function(r) {
+    if (report.rounds) console.log('Round ' + r.round + ': ' + r.error_count + ' errors (' + r.category + '), build ' + (r.build || 'not run'));
+    r.changes.forEach(function(c) {
+      const mark = { applied: '✅', unchanged: '➖', rejected: '⛔', failed: '❌' }[c.status];
+      console.log(mark + ' ' + c.file + ' (' + c.reason + '): ' + c.status +
+        (c.status === 'applied' ? ' +' + c.additions + ' -' + c.deletions : '') + (c.message ? ' - ' + c.message : ''));
+    });
+  });
+  console.log('🩺 Repair ' + report.status + (report.message ? ': ' + report.message : '') +
+    (report.files_changed ? ', ' + report.files_changed + ' files changed' : '') +
+    (report.stop_reason ? ' (stopped: ' + report.stop_reason + ')' : ''));
+
+  if (buildCommand && !report.build_succeeded) process.exitCode = 1;
+}
+
+main().catch(function(err) {
+  console.error('Repair failed:', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,33 @@
+// scripts/transplant.js
+// Carries the native Android pieces of the uploaded project into the fresh one (see native-transplant.js).
+// Run by build-flutter.yml right after `flutter create`.
+// Usage: node scripts/transplant.js --source <uploaded project> [--target <fresh project>] [--package <name>]
+//          [--metadata <app metadata JSON>] [--report <report.json>]
+// Without --target nothing is written: the output is the preview the analyzer shows.
+const fs = require('fs').promises;
+const { transplantNative } = require('../native-transplant');
+
+function option(name) {
+  const i = process.argv.indexOf('--' + name);
+  return i !== -1 ? process.argv[i + 1] : undefined;
+}
+
+async function main() {
+  const report = await transplantNative({
+    source: option('source') || '.',
+    target: option('target'),
+    packageName: option('package'),
+    // The workflow passes toJSON() of a missing metadata block, which is "null"
+    metadata: JSON.parse(option('metadata') || 'null') || {}
+  });
+  if (option('report')) await fs.writeFile(option('report'), JSON.stringify(report, null, 2));
+
+  report.carried.forEach(function(item) { console.log('✅ ' + item.kind + ': ' + item.name); });
+  report.dropped.forEach(function(item) { console.log('⛔ ' + item.kind + ': ' + item.name + ' (' + item.reason + ')'); });
+  console.log('🧬 Native Android: ' + report.carried.length + ' carried over, ' + report.dropped.length + ' dropped');
+}
+
+main().catch(function(err) {
+  console.error('Transplant failed:', err.message);
+  process.exitCode = 1;
+});
@@ -1,27 +1,136 @@
 require('dotenv').config();
 const express = require('express');
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
 const axios = require('axios');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const crypto = require('crypto');
-const AdmZip = require('adm-zip');
+const archiver = require('archiver');
+const { Writable } = require('stream');
+const { BuildStore } = require('./build-store');
+const { inspectKeystore, sealSigningBundle, PackageKeyStore } = require('./signing');
+const { createFirebaseVerifier, createLocalVerifier, parseLocalTokens, canAccessBuild } = require('./auth');
+const { parsePubspec, checkPubspec } = require('./pubspec');
+const { extractZip, copyUploadedFiles, normalizeEntryPath } = require('./safe-extract');
+const { scanProject, FLUTTER_DEFAULT_EXCLUDES, WEB_DEFAULT_EXCLUDES } = require('./project-ignore');
+const { BlobStore, ManifestStore, hashFile, HASH_PATTERN } = require('./blob-store');
+const { UploadSessionStore } = require('./upload-sessions');
+const { BuildQuota, exceededLimit } = require('./quota');
+const { createStorageFromEnv } = require('./storage');
+const { inspectIcon, buildIconSet } = require('./icon-set');
+const { detectMetadata, parseMetadata, resolveMetadata } = require('./app-metadata');
+const { detectFlavors, resolveFlavor, resolveDartDefines } = require('./build-env');
+const { runCleanup, summarizeCleanup, CLEANUP_DEFAULTS } = require('./cleanup');
+const { fetchRunLogs, BuildLogCache } = require('./build-logs');
+const { verifyBuildEventSignature, EventReplayGuard, checkEventOrder } = require('./build-events');
+const { reportPatch, sanitizeReport } = require('./ai-repair');
+const { runCodemods, parseRuleSelection } = require('./codemods');
+const { transplantNative } = require('./native-transplant');
 
 const app = express();
 
 // =============================================================================
 // Configuration
 // =============================================================================
+
+// Everything the server writes besides temp files; defaults to ./data. Hosts with a read-only app
+// directory (e.g. Vercel, where only /tmp is writable) need DATA_DIR or the per-store paths below.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
 const CONFIG = {
-  MAX_FILE_SIZE: Infinity,
+  MAX_UPLOAD_SIZE: parseInt(process.env.MAX_UPLOAD_SIZE) || 500 * 1024 * 1024,
+  MAX_UPLOAD_FILES: parseInt(process.env.MAX_UPLOAD_FILES) || 5000,
   MAX_ICON_SIZE: Infinity,
+  // Icons must be square; adaptive foreground/background layers are 108dp, i.e. 432px at xxxhdpi
+  ICON_MIN_SIZE: parseInt(process.env.ICON_MIN_SIZE) || 512,
+  ICON_LAYER_MIN_SIZE: parseInt(process.env.ICON_LAYER_MIN_SIZE) || 432,
+  // Upload manifests list every project file, so this is sized for ~20000 entries
+  JSON_BODY_LIMIT: process.env.JSON_BODY_LIMIT || '8mb',
+  // Applied to every extracted ZIP and folder upload
+  EXTRACT_MAX_ENTRIES: parseInt(process.env.EXTRACT_MAX_ENTRIES) || 20000,
+  EXTRACT_MAX_SIZE: parseInt(process.env.EXTRACT_MAX_SIZE) || 1024 * 1024 * 1024,
+  EXTRACT_MAX_RATIO: parseInt(process.env.EXTRACT_MAX_RATIO) || 100,
   TEMP_DIR: process.env.TEMP_DIR || '/tmp/aite-studio',
   UPLOAD_TIMEOUT: parseInt(process.env.UPLOAD_TIMEOUT) || 600000,
+  BUILD_STORE_PATH: process.env.BUILD_STORE_PATH || path.join(DATA_DIR, 'builds.json'),
+  BUILD_EVENTS_SECRET: process.env.BUILD_EVENTS_SECRET || null,
+  KEYSTORE_ENCRYPTION_KEY: process.env.KEYSTORE_ENCRYPTION_KEY || null,
+  // Seals --dart-define values; its own secret, since the build job that opens them also runs the project
+  DART_DEFINES_ENCRYPTION_KEY: process.env.DART_DEFINES_ENCRYPTION_KEY || null,
+  KEYSTORE_DIR: process.env.KEYSTORE_DIR || path.join(DATA_DIR, 'keystores'),
+  MAX_KEYSTORE_SIZE: 64 * 1024,
+  BLOB_DIR: process.env.BLOB_DIR || path.join(DATA_DIR, 'blobs'),
+  // Job logs of finished runs (fetched once from GitHub by GET /builds/:buildId/logs) and AI repair reports
+  BUILD_LOG_DIR: process.env.BUILD_LOG_DIR || path.join(DATA_DIR, 'logs'),
+  MANIFEST_TTL: parseInt(process.env.MANIFEST_TTL) || 60 * 60 * 1000,
+  // Paths one blob may be listed under in a manifest; each is a full copy once the tree is rebuilt
+  MANIFEST_MAX_REFERENCES: parseInt(process.env.MANIFEST_MAX_REFERENCES) || 1000,
+  // Resumable uploads: max bytes per PUT, and how long an idle or finalized session is kept
+  UPLOAD_CHUNK_SIZE: parseInt(process.env.UPLOAD_CHUNK_SIZE) || 8 * 1024 * 1024,
+  UPLOAD_SESSION_TTL: parseInt(process.env.UPLOAD_SESSION_TTL) || 24 * 60 * 60 * 1000,
+  // Icons and source ZIPs go to STORAGE_DRIVER (cloudinary, s3 or local, see storage.js); local files live here
+  STORAGE_LOCAL_DIR: path.join(DATA_DIR, 'storage'),
+  // Periodic cleanup (also `npm run cleanup`); CLEANUP_INTERVAL=0 turns the in-process job off
+  CLEANUP_INTERVAL: parseQuota(process.env.CLEANUP_INTERVAL, 60 * 60 * 1000),
+  CLEANUP_TEMP_MAX_AGE: parseInt(process.env.CLEANUP_TEMP_MAX_AGE) || CLEANUP_DEFAULTS.tempMaxAge,
+  CLEANUP_BLOB_MAX_AGE: parseInt(process.env.CLEANUP_BLOB_MAX_AGE) || CLEANUP_DEFAULTS.blobMaxAge,
+  ARTIFACT_RETENTION_DAYS: parseInt(process.env.ARTIFACT_RETENTION_DAYS) || CLEANUP_DEFAULTS.artifactRetentionDays,
+  UNFINISHED_RETENTION_DAYS: parseInt(process.env.UNFINISHED_RETENTION_DAYS) || CLEANUP_DEFAULTS.unfinishedRetentionDays,
+  AUTH_MODE: process.env.AUTH_MODE || 'firebase',
+  FIREBASE_PROJECT_ID: process.env.FIREBASE_PROJECT_ID || null,
+  PUBLIC_BASE_URL: process.env.PUBLIC_BASE_URL || null,
+  EVENT_MAX_SKEW: 5 * 60 * 1000,
+  EVENT_TRUST_WINDOW: parseInt(process.env.EVENT_TRUST_WINDOW) || 15 * 60 * 1000,
+  STREAM_POLL_INTERVAL: parseInt(process.env.STREAM_POLL_INTERVAL) || 15000,
+  STREAM_LOG_BACKLOG: 20,
+  LOG_TAIL_LINES: 100,
+  // A limit of 0 disables that check
+  QUOTA_CONCURRENT_BUILDS: parseQuota(process.env.QUOTA_CONCURRENT_BUILDS, 2),
+  QUOTA_DAILY_BUILDS: parseQuota(process.env.QUOTA_DAILY_BUILDS, 20),
+  QUOTA_IP_DAILY_BUILDS: parseQuota(process.env.QUOTA_IP_DAILY_BUILDS, 50),
+  // Builds that never reported back stop counting as running after this long
+  QUOTA_ACTIVE_WINDOW: parseInt(process.env.QUOTA_ACTIVE_WINDOW) || 2 * 60 * 60 * 1000,
+};
+
+const EXTRACT_LIMITS = {
+  maxEntries: CONFIG.EXTRACT_MAX_ENTRIES,
+  maxTotalSize: CONFIG.EXTRACT_MAX_SIZE,
+  maxRatio: CONFIG.EXTRACT_MAX_RATIO
+};
+
+const MANIFEST_LIMITS = {
+  maxTotalSize: CONFIG.EXTRACT_MAX_SIZE,
+  maxReferences: CONFIG.MANIFEST_MAX_REFERENCES
+};
+
+function parseQuota(value, fallback) {
+  const n = parseInt(value);
+  return isNaN(n) || n < 0 ? fallback : n;
+}
+
+// Stages reported by the workflows through POST /builds/:buildId/events
+const BUILD_STAGES = {
+  dispatched: { progress: 5, message: 'Build queued, waiting for GitHub Actions...' },
+  source_downloaded: { progress: 15, message: 'Project source downloaded' },
+  transplant_done: { progress: 30, message: 'Project prepared for building' },
+  first_build_failed: { progress: 50, message: 'First build failed, AI repair starting...' },
+  ai_repair_applied: { progress: 60, message: 'AI repair applied' },
+  // message is "<round>/<max rounds>"; progress moves from 50 to 85 over the rounds
+  repair_round: { progress: 55, message: 'AI repair round' },
+  retry_started: { progress: 70, message: 'Retrying build...' },
+  build_succeeded: { progress: 90, message: 'Build successful, creating release...' },
+  release_uploaded: { progress: 100, message: 'Release uploaded', terminal: 'success' },
+  build_failed: { progress: 0, message: 'Build failed in GitHub Actions', terminal: 'failed' }
 };
 
+// Never dropped by a project's ignore files: the build cannot work without them
+const FLUTTER_ALWAYS_KEEP = ['pubspec.yaml', 'pubspec.lock', 'android/app/google-services.json', 'lib/firebase_options.dart'];
+const WEB_SKIP_DIRS = ['node_modules', '.git', '.idea', '.vscode'];
+const OUTPUT_FORMATS = ['apk', 'apk-split-per-abi', 'appbundle'];
+const ANDROID_ABIS = ['arm64-v8a', 'armeabi-v7a', 'x86_64', 'x86'];
+
 // =============================================================================
 // Middleware
 // =============================================================================
@@ -29,22 +138,147 @@ app.use(cors({
   origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID', 'Upload-Offset', 'Upload-Length'],
+  // Browsers hide non-safelisted response headers unless they are exposed; resumable clients read these
+  exposedHeaders: ['Upload-Offset', 'Location']
 }));
 
-app.use(express.json({ limit: '4gb' }));
-app.use(express.urlencoded({ extended: true, limit: '4gb' }));
+// Per-IP quotas need the client address, not the proxy's: TRUST_PROXY=1 behind a single proxy (e.g. Vercel)
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : (isNaN(hops) ? process.env.TRUST_PROXY : hops));
+}
+
+// The raw body is kept for HMAC verification of workflow callbacks
+app.use(express.json({ limit: CONFIG.JSON_BODY_LIMIT, verify: function(req, res, buf) { req.rawBody = buf; } }));
+app.use(express.urlencoded({ extended: true, limit: CONFIG.JSON_BODY_LIMIT }));
+
+// =============================================================================
+// Authentication
+// =============================================================================
+// Swap app.locals.authVerifier for createLocalVerifier(...) to run without Firebase (e.g. in tests)
+app.locals.authVerifier = CONFIG.AUTH_MODE === 'local'
+  ? createLocalVerifier(parseLocalTokens(process.env.LOCAL_AUTH_TOKENS))
+  : createFirebaseVerifier(CONFIG.FIREBASE_PROJECT_ID);
+
+// EventSource cannot send headers, so streaming routes may take the token as ?access_token=
+function requireAuth(options) {
+  const allowQueryToken = !!(options && options.allowQueryToken);
+  return async function(req, res, next) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+    const token = match ? match[1].trim() : (allowQueryToken ? req.query.access_token : null);
+    if (!token) return res.status(401).json(makeErrorResponse('AUTH_REQUIRED', 'Sign in required'));
+
+    try {
+      req.user = await req.app.locals.authVerifier(token);
+      next();
+    } catch (err) {
+      if (err.code === 'INVALID_TOKEN') return res.status(401).json(makeErrorResponse('INVALID_TOKEN', err.message));
+      console.error('[Auth] Verifier error:', err.message);
+      return res.status(500).json(makeErrorResponse('AUTH_UNAVAILABLE', 'Could not verify credentials'));
+    }
+  };
+}
+
+// =============================================================================
+// Build Registry
+// =============================================================================
+const buildStore = new BuildStore(CONFIG.BUILD_STORE_PATH);
+// Set when the registry cannot be written: builds are refused instead of running unrecorded
+let buildStoreError = null;
+buildStore.checkWritable().then(lockBuildStore, function(err) {
+  buildStoreError = err;
+  console.error('[BuildStore] ' + err.message + ' - set DATA_DIR or BUILD_STORE_PATH to a writable directory');
+});
+// A builds.json that exists but cannot be read stops the server: running on an empty registry would
+// overwrite the real one with the first save
+buildStore.load().catch(function(err) {
+  console.error('[BuildStore] ' + err.message + ' - repair or move the file aside, then restart');
+  process.exit(1);
+});
+
+// The server owns builds.json while it runs, so `npm run cleanup` refuses to write it behind our back.
+// A held lock is normally a cleanup run finishing up; another server on the same DATA_DIR keeps this warning coming.
+function lockBuildStore() {
+  buildStore.acquireLock().then(function() {
+    process.on('exit', function() { buildStore.releaseLock(); });
+  }, function(err) {
+    console.warn('[BuildStore] ' + err.message + (err.code === 'BUILD_STORE_LOCKED' ? ', retrying in 5s' : ''));
+    if (err.code === 'BUILD_STORE_LOCKED') setTimeout(lockBuildStore, 5000).unref();
+  });
+}
+// 'exit' handlers do not run when a signal ends the process
+['SIGINT', 'SIGTERM'].forEach(function(signal) {
+  process.once(signal, function() { process.exit(0); });
+});
+const buildLogs = new BuildLogCache(CONFIG.BUILD_LOG_DIR);
+const packageKeys = CONFIG.KEYSTORE_ENCRYPTION_KEY ? new PackageKeyStore(CONFIG.KEYSTORE_DIR, CONFIG.KEYSTORE_ENCRYPTION_KEY) : null;
+const blobStore = new BlobStore(CONFIG.BLOB_DIR);
+const uploadSessions = new UploadSessionStore(path.join(CONFIG.TEMP_DIR, 'uploads'), {
+  ttl: CONFIG.UPLOAD_SESSION_TTL,
+  maxChunkSize: CONFIG.UPLOAD_CHUNK_SIZE
+});
+
+// Upload manifests are kept next to the blobs for CONFIG.MANIFEST_TTL
+const manifests = new ManifestStore(CONFIG.BLOB_DIR, { ttl: CONFIG.MANIFEST_TTL });
 
 // =============================================================================
-// Cloudinary Configuration
+// Quotas
 // =============================================================================
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-  secure: true
+const buildQuota = new BuildQuota(buildStore, {
+  concurrent: CONFIG.QUOTA_CONCURRENT_BUILDS,
+  daily: CONFIG.QUOTA_DAILY_BUILDS,
+  ipDaily: CONFIG.QUOTA_IP_DAILY_BUILDS,
+  activeWindow: CONFIG.QUOTA_ACTIVE_WINDOW
 });
 
+async function getQuotaUsage(user, ip) {
+  return Object.assign(await buildQuota.usage(user, ip), {
+    max_upload_size: CONFIG.MAX_UPLOAD_SIZE,
+    max_upload_files: CONFIG.MAX_UPLOAD_FILES
+  });
+}
+
+// Runs before multer so rejected requests never reach storage or GitHub
+async function enforceBuildQuota(req, res, next) {
+  const declared = parseInt(req.get('content-length'));
+  if (declared > CONFIG.MAX_UPLOAD_SIZE) {
+    return res.status(413).json(makeErrorResponse('UPLOAD_TOO_LARGE',
+      'Upload too large. Max: ' + formatFileSize(CONFIG.MAX_UPLOAD_SIZE), { max_upload_size: CONFIG.MAX_UPLOAD_SIZE }));
+  }
+
+  let usage;
+  try {
+    usage = await getQuotaUsage(req.user, req.ip);
+  } catch (err) {
+    console.error('[Quota] Usage lookup failed:', err.message);
+    return res.status(500).json(makeErrorResponse('SERVER_ERROR', 'Could not check build quota'));
+  }
+
+  const exceeded = exceededLimit(usage);
+  if (exceeded) {
+    res.set('Retry-After', String(exceeded.retryAfter));
+    return res.status(429).json(makeErrorResponse(exceeded.code, exceeded.message, { quota: usage }));
+  }
+
+  res.once('close', buildQuota.reserve(req.user.uid));
+  next();
+}
+
+// =============================================================================
+// Artifact Storage
+// =============================================================================
+// A driver that cannot work (missing credentials, local files without PUBLIC_BASE_URL) stops the server
+// here instead of failing each build after its files are written
+const storage = (function() {
+  try {
+    return createStorageFromEnv(process.env, { tempDir: CONFIG.TEMP_DIR, localDir: CONFIG.STORAGE_LOCAL_DIR });
+  } catch (err) {
+    console.error('[Storage] ' + err.message);
+    process.exit(1);
+  }
+})();
+
 // =============================================================================
 // Flutter Project Analyzer
 // =============================================================================
@@ -52,14 +286,23 @@ cloudinary.config({
 class FlutterProjectAnalyzer {
   constructor(tempDir) {
     this.tempDir = tempDir;
+    this.uploadRoot = null;
     this.projectRoot = null;
     this.info = {
       hasPubspec: false,
       hasLib: false,
       hasAndroid: false,
+      hasFirebaseConfig: false,
+      rejectedEntries: [],
       appName: null,
       dependencies: [],
       flutterVersion: null,
+      flutterConstraint: null,
+      pubspec: null,
+      metadata: null,
+      flavors: null,
+      native: null,
+      problems: [],
       isValid: false,
       projectPath: null
     };
@@ -70,9 +313,11 @@ class FlutterProjectAnalyzer {
     const extractDir = path.join(this.tempDir, 'extracted');
     await fs.mkdir(extractDir, { recursive: true });
 
-    const zip = new AdmZip(zipPath);
-    zip.extractAllTo(extractDir, true);
+    const result = await extractZip(zipPath, extractDir, EXTRACT_LIMITS);
+    this.info.rejectedEntries = result.rejected;
+    if (result.rejected.length) console.warn('[FlutterAnalyzer] Skipped ' + result.rejected.length + ' unsafe entries');
 
+    this.uploadRoot = extractDir;
     this.projectRoot = await this.findProjectRoot(extractDir);
     if (!this.projectRoot) {
       throw new Error('No valid Flutter project found in ZIP. Missing pubspec.yaml');
@@ -87,18 +332,28 @@ class FlutterProjectAnalyzer {
     const projectDir = path.join(this.tempDir, 'project');
     await fs.mkdir(projectDir, { recursive: true });
 
-    for (const file of files) {
-      const relativePath = file.originalname || file.name || 'unknown';
-      const safePath = relativePath.replace(/\.\.\//g, '').replace(/^\//, '');
-      const destPath = path.join(projectDir, safePath);
-      await fs.mkdir(path.dirname(destPath), { recursive: true });
-      try {
-        await fs.copyFile(file.path, destPath);
-      } catch (copyErr) {
-        console.warn('[FlutterAnalyzer] Could not copy: ' + relativePath + ' - ' + copyErr.message);
-      }
+    const result = await copyUploadedFiles(files, projectDir, EXTRACT_LIMITS);
+    this.info.rejectedEntries = result.rejected;
+    if (result.rejected.length) console.warn('[FlutterAnalyzer] Skipped ' + result.rejected.length + ' unsafe files');
+
+    this.uploadRoot = projectDir;
+    this.projectRoot = await this.findProjectRoot(projectDir);
+    if (!this.projectRoot) {
+      throw new Error('No valid Flutter project found. Missing pubspec.yaml');
     }
 
+    await this.analyzeProject();
+    return this.info;
+  }
+
+  // Incremental uploads: the tree is rebuilt from the owner's blob store (paths were validated with the manifest)
+  async analyzeFromManifest(manifest) {
+    console.log('[FlutterAnalyzer] Assembling manifest upload... files=' + manifest.files.length);
+    const projectDir = path.join(this.tempDir, 'project');
+    await fs.mkdir(projectDir, { recursive: true });
+    await blobStore.materialize(manifest.owner, manifest.files, projectDir, MANIFEST_LIMITS);
+
+    this.uploadRoot = projectDir;
     this.projectRoot = await this.findProjectRoot(projectDir);
     if (!this.projectRoot) {
       throw new Error('No valid Flutter project found. Missing pubspec.yaml');
@@ -152,69 +407,170 @@ class FlutterProjectAnalyzer {
     this.info.projectPath = root;
 
     // Check pubspec.yaml
+    let pubspecContent = null;
     try {
-      const pubspecContent = await fs.readFile(path.join(root, 'pubspec.yaml'), 'utf8');
+      pubspecContent = await fs.readFile(path.join(root, 'pubspec.yaml'), 'utf8');
       this.info.hasPubspec = true;
-
-      const nameMatch = pubspecContent.match(/^name:\s*(.+)$/m);
-      if (nameMatch) this.info.appName = nameMatch[1].trim();
-
-      const sdkMatch = pubspecContent.match(/sdk:\s*["'](.+?)["']/);
-      if (sdkMatch) this.info.flutterVersion = sdkMatch[1];
-
-      const depsSection = pubspecContent.split('dependencies:')[1];
-      if (depsSection) {
-        const lines = depsSection.split('\n');
-        for (const line of lines) {
-          if (line.match(/^\s{2}\w/) && !line.includes('#')) {
-            const dep = line.trim().split(':')[0];
-            if (dep && dep !== 'flutter') this.info.dependencies.push(dep);
-          }
-          if (line.match(/^\w/) && !line.startsWith(' ')) break;
-        }
-      }
     } catch (e) {
       this.info.hasPubspec = false;
     }
 
+    if (pubspecContent !== null) {
+      try {
+        const pubspec = parsePubspec(pubspecContent);
+        this.info.pubspec = pubspec;
+        this.info.appName = pubspec.name;
+        this.info.flutterVersion = pubspec.sdk;
+        this.info.flutterConstraint = pubspec.flutter;
+        this.info.dependencies = pubspec.dependencies
+          .filter(function(d) { return d.source !== 'sdk'; })
+          .map(function(d) { return d.name; });
+        this.info.problems = await checkPubspec(pubspec, root);
+      } catch (e) {
+        if (e.code !== 'INVALID_PUBSPEC') throw e;
+        this.info.problems = [{ severity: 'error', code: e.code, message: e.message }];
+      }
+    }
+
+    this.info.metadata = await detectMetadata(root, this.info.pubspec);
+    this.info.flavors = await detectFlavors(root);
+
     try { await fs.access(path.join(root, 'lib')); this.info.hasLib = true; } catch (e) {}
     try { await fs.access(path.join(root, 'android')); this.info.hasAndroid = true; } catch (e) {}
+    try { await fs.access(path.join(root, 'android', 'app', 'google-services.json')); this.info.hasFirebaseConfig = true; } catch (e) {}
+    // Preview of what the workflow's transplant will carry into the fresh project
+    if (this.info.hasAndroid) this.info.native = await transplantNative({ source: root });
+
+    if (this.info.rejectedEntries.length) {
+      this.info.problems.push({ severity: 'warning', code: 'UNSAFE_ENTRIES_SKIPPED',
+        message: this.info.rejectedEntries.length + ' unsafe entries were skipped (path traversal, symlinks or corrupt data)' });
+    }
+
+    const usesFirebase = this.info.dependencies.some(function(d) { return d.startsWith('firebase_') || d.startsWith('cloud_firestore'); });
+    if (usesFirebase && !this.info.hasFirebaseConfig) {
+      this.info.problems.push({ severity: 'warning', code: 'FIREBASE_CONFIG_MISSING',
+        message: 'Firebase packages are used but android/app/google-services.json was not uploaded' });
+    }
 
     this.info.isValid = this.info.hasPubspec && this.info.hasLib;
 
     console.log('[FlutterAnalyzer] Results: valid=' + this.info.isValid +
       ' name=' + this.info.appName + ' lib=' + this.info.hasLib +
       ' android=' + this.info.hasAndroid + ' deps=' + this.info.dependencies.length +
-      ' sdk=' + this.info.flutterVersion);
+      ' sdk=' + this.info.flutterVersion + ' problems=' + this.info.problems.length);
   }
 
-  async createProjectZip() {
+  // Streams the project as a ZIP; see createProjectArchive
+  packageProject(onProgress) {
     if (!this.projectRoot) throw new Error('No project root found');
 
-    const zipPath = path.join(this.tempDir, 'flutter-project.zip');
-    const zip = new AdmZip();
-    const skipDirs = ['build', '.dart_tool', '.idea', '.gradle', '.pub-cache', 'ios', '.git', 'node_modules'];
-
-    const addDirToZip = (dirPath, zipDir) => {
-      const items = fsSync.readdirSync(dirPath);
-      for (const item of items) {
-        if (skipDirs.includes(item)) continue;
-        const fullPath = path.join(dirPath, item);
-        const stat = fsSync.statSync(fullPath);
-        if (stat.isDirectory()) {
-          addDirToZip(fullPath, path.join(zipDir, item));
-        } else {
-          zip.addLocalFile(fullPath, zipDir);
-        }
-      }
+    // Declared assets and fonts must ship even when .gitignore'd, or the build fails on them
+    const pubspec = this.info.pubspec || { assets: [], fonts: [] };
+    const declared = pubspec.fonts.reduce(function(all, f) { return all.concat(f.assets); }, pubspec.assets);
+    const keep = FLUTTER_ALWAYS_KEEP.concat(declared.filter(function(a) { return !a.startsWith('packages/'); }));
+
+    return createProjectArchive(this.projectRoot, { defaults: FLUTTER_DEFAULT_EXCLUDES, keep: keep }, onProgress);
+  }
+}
+
+// =============================================================================
+// Web Project Analyzer (Web to APK)
+// =============================================================================
+
+class WebProjectAnalyzer {
+  constructor(tempDir) {
+    this.tempDir = tempDir;
+    this.uploadRoot = null;
+    this.webRoot = null;
+    this.info = {
+      hasIndex: false,
+      rejectedEntries: [],
+      entryPoint: null,
+      outputDir: null,
+      fileCount: 0,
+      isValid: false,
+      projectPath: null
     };
+  }
+
+  async analyzeFromZip(zipPath) {
+    console.log('[WebAnalyzer] Analyzing ZIP file...');
+    const extractDir = path.join(this.tempDir, 'extracted');
+    await fs.mkdir(extractDir, { recursive: true });
+
+    const result = await extractZip(zipPath, extractDir, EXTRACT_LIMITS);
+    this.info.rejectedEntries = result.rejected;
+    if (result.rejected.length) console.warn('[WebAnalyzer] Skipped ' + result.rejected.length + ' unsafe entries');
+
+    this.uploadRoot = extractDir;
+    await this.analyzeProject();
+    return this.info;
+  }
+
+  async analyzeFromFolder(files) {
+    console.log('[WebAnalyzer] Analyzing folder upload... files=' + files.length);
+    const projectDir = path.join(this.tempDir, 'project');
+    await fs.mkdir(projectDir, { recursive: true });
+
+    const result = await copyUploadedFiles(files, projectDir, EXTRACT_LIMITS);
+    this.info.rejectedEntries = result.rejected;
+    if (result.rejected.length) console.warn('[WebAnalyzer] Skipped ' + result.rejected.length + ' unsafe files');
+
+    this.uploadRoot = projectDir;
+    await this.analyzeProject();
+    return this.info;
+  }
+
+  // Mirrors the "Prepare Web Assets" step of build-web2apk.yml:
+  // index.html at the root, then dist/, then build/, then the first index.html found.
+  async findWebRoot(dir) {
+    const candidates = [dir, path.join(dir, 'dist'), path.join(dir, 'build')];
+    for (const candidate of candidates) {
+      try {
+        await fs.access(path.join(candidate, 'index.html'));
+        return candidate;
+      } catch (e) {}
+    }
+
+    const queue = [dir];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      let entries;
+      try { entries = await fs.readdir(current, { withFileTypes: true }); } catch (e) { continue; }
+      for (const entry of entries) {
+        if (entry.isFile() && entry.name === 'index.html') return current;
+      }
+      for (const entry of entries) {
+        if (entry.isDirectory() && !WEB_SKIP_DIRS.includes(entry.name)) queue.push(path.join(current, entry.name));
+      }
+    }
+
+    return null;
+  }
+
+  async analyzeProject() {
+    this.webRoot = await this.findWebRoot(this.uploadRoot);
+    if (!this.webRoot) {
+      this.info.isValid = false;
+      console.log('[WebAnalyzer] Results: valid=false (index.html not found)');
+      return;
+    }
+
+    const relativeRoot = path.relative(this.uploadRoot, this.webRoot).split(path.sep).join('/');
+    this.info.hasIndex = true;
+    this.info.projectPath = this.webRoot;
+    this.info.entryPoint = (relativeRoot ? relativeRoot + '/' : '') + 'index.html';
+    this.info.outputDir = relativeRoot || null;
+    this.info.fileCount = countFiles(this.webRoot, WEB_SKIP_DIRS);
+    this.info.isValid = true;
 
-    addDirToZip(this.projectRoot, '');
-    zip.writeZip(zipPath);
+    console.log('[WebAnalyzer] Results: valid=true entry=' + this.info.entryPoint + ' files=' + this.info.fileCount);
+  }
 
-    const zipBuffer = await fs.readFile(zipPath);
-    console.log('[FlutterAnalyzer] ZIP created: ' + formatFileSize(zipBuffer.length));
-    return { zipPath, zipBuffer };
+  // The web root becomes the archive root so the workflow finds index.html immediately
+  packageProject(onProgress) {
+    if (!this.webRoot) throw new Error('No web root found');
+    return createProjectArchive(this.webRoot, { defaults: WEB_DEFAULT_EXCLUDES }, onProgress);
   }
 }
 
@@ -239,6 +595,27 @@ async function cleanupTemp(tempPath) {
   }
 }
 
+// Shared by /build-flutter and /analyze so a dry run sees exactly what a build would
+async function analyzeFlutterUpload(tempDir, projectFiles, uploadType, manifest) {
+  const analyzer = new FlutterProjectAnalyzer(tempDir);
+  if (manifest) {
+    await analyzer.analyzeFromManifest(manifest);
+    return analyzer;
+  }
+
+  const firstFile = projectFiles[0];
+  const isDirectZip = uploadType === 'zip' ||
+    firstFile.originalname.toLowerCase().endsWith('.zip') ||
+    firstFile.mimetype === 'application/zip';
+
+  if (isDirectZip && projectFiles.length === 1) {
+    await analyzer.analyzeFromZip(firstFile.path);
+  } else {
+    await analyzer.analyzeFromFolder(projectFiles);
+  }
+  return analyzer;
+}
+
 function generateBuildId() {
   return Date.now() + '-' + crypto.randomBytes(4).toString('hex');
 }
@@ -252,6 +629,16 @@ function sanitizeFilename(name) {
   return String(name || '').trim().replace(/[^a-z0-9]/gi, '_').replace(/_+/g, '_').toLowerCase();
 }
 
+function countFiles(dirPath, skipDirs) {
+  let count = 0;
+  for (const item of fsSync.readdirSync(dirPath, { withFileTypes: true })) {
+    if (skipDirs.includes(item.name)) continue;
+    if (item.isDirectory()) count += countFiles(path.join(dirPath, item.name), skipDirs);
+    else count++;
+  }
+  return count;
+}
+
 function formatFileSize(bytes) {
   const sizes = ['B', 'KB', 'MB', 'GB'];
   if (bytes === 0) return '0 B';
@@ -259,27 +646,273 @@ function formatFileSize(bytes) {
   return (bytes / Math.pow(1024, i)).toFixed(2) + ' ' + sizes[i];
 }
 
-async function uploadToCloudinaryBuffer(buffer, options) {
-  return new Promise((resolve, reject) => {
-    const stream = cloudinary.uploader.upload_stream(options || {}, (err, result) => {
-      if (err) return reject(err);
-      resolve(result);
+// Storage keys for a build's artifacts, e.g. icons/com_example_app_icon_<build id>.png
+function artifactKey(folder, packageName, kind, requestId, ext) {
+  return folder + '/' + sanitizeFilename(packageName) + '_' + kind + '_' + requestId + ext;
+}
+
+// Validates the icon (and optional adaptive layers) and renders the full launcher icon set.
+// Throws coded errors for the client (INVALID_ICON, ICON_NOT_SQUARE, ICON_TOO_SMALL, INVALID_ICON_COLOR).
+async function prepareIconSet(req) {
+  const files = req.files || {};
+  const layers = { icon: files.icon[0].path, backgroundColor: (req.body || {}).iconBackgroundColor };
+  await inspectIcon(layers.icon, CONFIG.ICON_MIN_SIZE, 'icon');
+  if (files.iconForeground) {
+    layers.foreground = files.iconForeground[0].path;
+    await inspectIcon(layers.foreground, CONFIG.ICON_LAYER_MIN_SIZE, 'iconForeground');
+  }
+  if (files.iconBackground) {
+    layers.background = files.iconBackground[0].path;
+    await inspectIcon(layers.background, CONFIG.ICON_LAYER_MIN_SIZE, 'iconBackground');
+  }
+  return buildIconSet(layers);
+}
+
+// The 512px Play Store PNG doubles as the build's icon_url; the workflows unzip the bundle into res/
+async function uploadBuildIcons(req, iconSet, packageName, requestId) {
+  const baseUrl = getPublicBaseUrl();
+  const uploaded = await Promise.all([
+    storage.put(artifactKey('icons', packageName, 'icon', requestId, '.png'), iconSet.playStoreIcon, { contentType: 'image/png', baseUrl: baseUrl }),
+    storage.put(artifactKey('icons', packageName, 'iconset', requestId, '.zip'), iconSet.bundle, { contentType: 'application/zip', baseUrl: baseUrl })
+  ]);
+  return { icon: uploaded[0], bundle: uploaded[1] };
+}
+
+// Streams a ZIP of rootDir without holding the archive in memory. Returns { stream, done }:
+// pipe `stream` somewhere, `done` resolves to { size, files, scan } once the archive has been fully read,
+// where scan is the scanProject() result (what was excluded and why).
+// onProgress({ files, totalFiles, bytes, totalBytes }) fires as entries are compressed.
+function createProjectArchive(rootDir, scanOptions, onProgress) {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  let totals = { files: 0, bytes: 0 };
+  let scan = null;
+
+  const done = new Promise(function(resolve, reject) {
+    archive.on('error', reject);
+    archive.on('end', function() { resolve({ size: archive.pointer(), files: totals.files, scan: scan }); });
+  });
+  archive.on('warning', function(err) { console.warn('[Archive] ' + err.message); });
+  if (onProgress) {
+    archive.on('progress', function(p) {
+      onProgress({ files: p.entries.processed, totalFiles: totals.files, bytes: p.fs.processedBytes, totalBytes: totals.bytes });
     });
-    stream.end(buffer);
+  }
+
+  scanProject(rootDir, scanOptions).then(function(result) {
+    scan = result;
+    totals = { files: result.files.length, bytes: result.files.reduce(function(sum, f) { return sum + f.size; }, 0) };
+    result.files.forEach(function(f) { archive.file(f.fullPath, { name: f.name }); });
+    return archive.finalize();
+  }).catch(function(err) {
+    archive.emit('error', err);
   });
+
+  return { stream: archive, done: done };
+}
+
+function describeExclusions(scan) {
+  if (!scan) return null;
+  return {
+    files: scan.excludedFiles,
+    bytes: scan.excludedBytes,
+    bytes_readable: formatFileSize(scan.excludedBytes),
+    entries: scan.excluded
+  };
+}
+
+// Logs packaging progress in quarter steps so big projects show signs of life without flooding the log
+function packagingProgressLogger(requestId) {
+  let lastStep = -1;
+  return function(p) {
+    const step = p.totalBytes ? Math.floor(p.bytes / p.totalBytes * 4) : 0;
+    if (step <= lastStep) return;
+    lastStep = step;
+    console.log('[' + requestId + '] Packaging ' + (step * 25) + '% (' + p.files + '/' + p.totalFiles + ' files, ' +
+      formatFileSize(p.bytes) + ' of ' + formatFileSize(p.totalBytes) + ')');
+  };
+}
+
+async function dispatchToGitHub(owner, repo, token, payload) {
+  const ghUrl = 'https://api.github.com/repos/' + owner + '/' + repo + '/dispatches';
+  const ghHeaders = {
+    'Authorization': 'token ' + token,
+    'Accept': 'application/vnd.github.v3+json',
+    'Content-Type': 'application/json',
+    'X-GitHub-Api-Version': '2022-11-28'
+  };
+  return axios.post(ghUrl, payload, { headers: ghHeaders, timeout: 30000, validateStatus: null });
+}
+
+// Only ever PUBLIC_BASE_URL: Host and X-Forwarded-Proto are the caller's to choose, and callback URLs
+// built from them would send signed workflow events to whoever made the request. Null when unset.
+function getPublicBaseUrl() {
+  return CONFIG.PUBLIC_BASE_URL ? CONFIG.PUBLIC_BASE_URL.replace(/\/+$/, '') : null;
+}
+
+// Workflow callbacks need both the signing secret and a public origin to post back to
+function buildEventsEnabled() {
+  return !!(CONFIG.BUILD_EVENTS_SECRET && getPublicBaseUrl());
+}
+
+function getCallbackUrl(buildId) {
+  if (!buildEventsEnabled()) return null;
+  return getPublicBaseUrl() + '/builds/' + buildId + '/events';
+}
+
+const eventReplays = new EventReplayGuard(CONFIG.EVENT_MAX_SKEW);
+
+// Shared by the events and repair routes: a signed, fresh request whose signature has not been used yet.
+// Sends the 401 / 409 itself and resolves to false when the request must not be handled.
+function acceptBuildEvent(req, res) {
+  const signed = verifyBuildEventSignature(CONFIG.BUILD_EVENTS_SECRET, {
+    buildId: req.params.buildId,
+    timestamp: req.get('x-aite-timestamp'),
+    signature: req.get('x-aite-signature'),
+    rawBody: req.rawBody
+  }, CONFIG.EVENT_MAX_SKEW);
+  if (!signed) {
+    res.status(401).json(makeErrorResponse('INVALID_SIGNATURE', 'Invalid or expired event signature'));
+    return false;
+  }
+  if (!eventReplays.claim(req.get('x-aite-signature'))) {
+    res.status(409).json(makeErrorResponse('EVENT_REPLAYED', 'This event was already received'));
+    return false;
+  }
+  return true;
+}
+
+// The workflows only ever report assets of the build's own release (tag build-<build id>) in this repo
+function isReleaseDownloadUrl(url, buildId) {
+  const owner = process.env.GITHUB_REPO_OWNER;
+  const repo = process.env.GITHUB_REPO_NAME;
+  if (!owner || !repo || typeof url !== 'string') return false;
+  const prefix = 'https://github.com/' + owner + '/' + repo + '/releases/download/build-' + buildId + '/';
+  if (url.slice(0, prefix.length).toLowerCase() !== prefix.toLowerCase()) return false;
+  return /^[A-Za-z0-9._-]+\.(apk|aab)$/.test(url.slice(prefix.length));
+}
+
+// Progress reported by the workflow itself, or null when it has gone quiet for too long
+function progressFromEvents(build) {
+  if (!build.stage || !BUILD_STAGES[build.stage]) return null;
+  const reported = {
+    stage: build.stage,
+    progress: BUILD_STAGES[build.stage].progress,
+    message: build.stage_message || BUILD_STAGES[build.stage].message,
+    fresh: Date.now() - new Date(build.stage_at).getTime() < CONFIG.EVENT_TRUST_WINDOW
+  };
+  const round = build.repair_round;
+  if (build.stage === 'repair_round' && round) {
+    reported.progress = 50 + Math.round(35 * (round.round - 1) / round.max_rounds);
+    reported.message = 'AI repair round ' + round.round + '/' + round.max_rounds;
+  }
+  return reported;
 }
 
-async function uploadLargeFileToCloudinary(filePath, options) {
-  return new Promise((resolve, reject) => {
-    const uploadStream = cloudinary.uploader.upload_stream(options || {}, (err, result) => {
-      if (err) return reject(err);
-      resolve(result);
+// Uploaded keystore (validated) or the package's persistent generated key, sealed for the workflow.
+// Returns null when signing keys are not configured, leaving the workflow on its throwaway key.
+async function resolveSigning(req, packageName) {
+  const keystoreFile = req.files && req.files.keystore ? req.files.keystore[0] : null;
+  const body = req.body || {};
+
+  if (!CONFIG.KEYSTORE_ENCRYPTION_KEY) {
+    if (keystoreFile) {
+      const err = new Error('Custom keystores are not enabled on this server');
+      err.code = 'SIGNING_UNAVAILABLE';
+      throw err;
+    }
+    return null;
+  }
+
+  let bundle, summary;
+  if (keystoreFile) {
+    if (keystoreFile.size > CONFIG.MAX_KEYSTORE_SIZE) {
+      const err = new Error('Keystore too large. Max: ' + formatFileSize(CONFIG.MAX_KEYSTORE_SIZE));
+      err.code = 'INVALID_KEYSTORE';
+      throw err;
+    }
+    const buffer = await fs.readFile(keystoreFile.path);
+    const info = inspectKeystore(buffer, {
+      alias: body.keystoreAlias,
+      storePassword: body.keystorePassword,
+      keyPassword: body.keyPassword
     });
-    const readStream = fsSync.createReadStream(filePath);
-    readStream.pipe(uploadStream);
-    readStream.on('error', reject);
-    uploadStream.on('error', reject);
+    bundle = {
+      keystore: buffer.toString('base64'),
+      type: info.type,
+      key_alias: info.alias,
+      store_password: body.keystorePassword,
+      key_password: body.keyPassword || body.keystorePassword
+    };
+    summary = { source: 'uploaded', type: info.type, alias: info.alias, fingerprint: info.fingerprint };
+  } else {
+    bundle = await packageKeys.getOrCreate(packageName, req.user.uid);
+    summary = { source: 'generated', type: bundle.type, alias: bundle.key_alias, fingerprint: bundle.fingerprint };
+  }
+
+  return { sealed: sealSigningBundle(bundle, CONFIG.KEYSTORE_ENCRYPTION_KEY), summary: summary };
+}
+
+// Checks a client manifest ({ files: [{ path, sha256, size }] }) and returns the cleaned entries.
+// Sizes are only the client's word here: blob uploads and BlobStore.measure() hold them to the real ones.
+function validateManifestFiles(files) {
+  const fail = function(code, message, details) {
+    const err = new Error(message);
+    err.code = code;
+    if (details) err.details = details;
+    throw err;
+  };
+
+  if (!Array.isArray(files) || files.length === 0) fail('INVALID_MANIFEST', 'files must be a non-empty array');
+  if (files.length > CONFIG.EXTRACT_MAX_ENTRIES) {
+    fail('TOO_MANY_ENTRIES', 'Manifest has ' + files.length + ' files, the limit is ' + CONFIG.EXTRACT_MAX_ENTRIES);
+  }
+
+  const seen = new Set();
+  const hashes = new Map();
+  let totalSize = 0;
+  const cleaned = files.map(function(f) {
+    const entry = f || {};
+    const normalized = normalizeEntryPath(entry.path);
+    if (normalized.reason) fail('INVALID_MANIFEST', 'Unsafe path in manifest', { path: entry.path, reason: normalized.reason });
+    if (seen.has(normalized.path)) fail('INVALID_MANIFEST', 'Duplicate path in manifest', { path: normalized.path });
+    seen.add(normalized.path);
+
+    const sha256 = String(entry.sha256 || '').toLowerCase();
+    if (!HASH_PATTERN.test(sha256)) fail('INVALID_MANIFEST', 'Invalid sha256 for ' + normalized.path, { path: normalized.path });
+    const size = Number(entry.size);
+    if (!Number.isInteger(size) || size < 0) fail('INVALID_MANIFEST', 'Invalid size for ' + normalized.path, { path: normalized.path });
+
+    // Every path listing a blob must declare the same size, and a blob may only be listed so often
+    const known = hashes.get(sha256) || { size: size, references: 0 };
+    if (known.size !== size) fail('INVALID_MANIFEST', 'Conflicting sizes for ' + sha256, { path: normalized.path, sha256: sha256 });
+    known.references++;
+    if (known.references > CONFIG.MANIFEST_MAX_REFERENCES) {
+      fail('TOO_MANY_REFERENCES', 'A file is listed under more than ' + CONFIG.MANIFEST_MAX_REFERENCES + ' paths', { sha256: sha256 });
+    }
+    hashes.set(sha256, known);
+    totalSize += size;
+    return { path: normalized.path, sha256: sha256, size: size };
   });
+
+  if (totalSize > CONFIG.EXTRACT_MAX_SIZE) {
+    fail('UPLOAD_TOO_LARGE', 'Project is larger than ' + formatFileSize(CONFIG.EXTRACT_MAX_SIZE), { total_size: totalSize });
+  }
+  return cleaned;
+}
+
+async function getManifest(manifestId, user) {
+  const manifest = await manifests.get(manifestId);
+  return manifest && manifest.owner === user.uid ? manifest : null;
+}
+
+async function findUploadSession(uploadId, user) {
+  const session = await uploadSessions.get(uploadId);
+  return session && session.owner === user.uid ? session : null;
+}
+
+// A finalized resumable upload stands in for a single uploaded ZIP
+function uploadSessionFile(session) {
+  return { path: uploadSessions.dataPath(session.id), originalname: session.filename, size: session.size };
 }
 
 function makeErrorResponse(code, message, details) {
@@ -296,23 +929,71 @@ function makeSuccessResponse(data) {
 // Multer Configuration
 // =============================================================================
 
-const diskStorage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    try {
-      if (!req.tempDir) { req.tempDir = await createTempDir(); }
-      cb(null, req.tempDir);
-    } catch (err) { cb(err); }
+// Files of one request arrive concurrently, so they share a single pending createTempDir()
+function uploadDestination(req, cb) {
+  if (!req.tempDirPending) { req.tempDirPending = createTempDir(); }
+  req.tempDirPending.then(function(dir) {
+    req.tempDir = dir;
+    cb(null, dir);
+  }, cb);
+}
+
+// originalname keeps the folder path (preservePath), which must never reach the disk name
+function uploadFilename(file) {
+  const baseName = path.basename(String(file.originalname).replace(/\\/g, '/'));
+  return Date.now() + '-' + crypto.randomBytes(4).toString('hex') + '-' + sanitizeFilename(baseName);
+}
+
+// Multer's fileSize limit only caps single files. This disk storage also counts the bytes of all files of a
+// request as they stream in and stops at MAX_UPLOAD_SIZE, before the rest is written to disk.
+const diskStorage = {
+  _handleFile: function(req, file, cb) {
+    uploadDestination(req, function(err, destination) {
+      if (err) return cb(err);
+      const filename = uploadFilename(file);
+      const finalPath = path.join(destination, filename);
+      const out = fsSync.createWriteStream(finalPath);
+      let failed = false;
+
+      const fail = function(error) {
+        if (failed) return;
+        failed = true;
+        // The rest of this part is discarded; multer then removes the request's other files
+        file.stream.unpipe();
+        file.stream.resume();
+        out.destroy();
+        fsSync.unlink(finalPath, function() { cb(error); });
+      };
+
+      file.stream.on('data', function(chunk) {
+        req.uploadedBytes = (req.uploadedBytes || 0) + chunk.length;
+        if (req.uploadedBytes > CONFIG.MAX_UPLOAD_SIZE) {
+          const error = new Error('Upload too large. Max: ' + formatFileSize(CONFIG.MAX_UPLOAD_SIZE));
+          error.code = 'UPLOAD_TOO_LARGE';
+          fail(error);
+        }
+      });
+      out.on('error', fail);
+      out.on('finish', function() {
+        if (failed) return;
+        cb(null, { destination: destination, filename: filename, path: finalPath, size: out.bytesWritten });
+      });
+      file.stream.pipe(out);
+    });
   },
-  filename: (req, file, cb) => {
-    cb(null, Date.now() + '-' + crypto.randomBytes(4).toString('hex') + '-' + file.originalname);
+  _removeFile: function(req, file, cb) {
+    fsSync.unlink(file.path, cb);
   }
-});
+};
 
 const fileFilter = (req, file, cb) => {
   if (file.fieldname === 'icon') {
     if (!file.mimetype.startsWith('image/')) return cb(new Error('Icon must be an image file'), false);
     cb(null, true);
-  } else if (file.fieldname === 'projectFiles') {
+  } else if (file.fieldname === 'iconForeground' || file.fieldname === 'iconBackground') {
+    if (!file.mimetype.startsWith('image/')) return cb(new Error('Icon layers must be image files'), false);
+    cb(null, true);
+  } else if (file.fieldname === 'projectFiles' || file.fieldname === 'keystore' || file.fieldname === 'blobs' || file.fieldname === 'dartDefineFile') {
     cb(null, true);
   } else {
     cb(new Error('Unexpected field'), false);
@@ -321,7 +1002,9 @@ const fileFilter = (req, file, cb) => {
 
 const upload = multer({
   storage: diskStorage,
-  limits: { fileSize: Infinity, files: 50000, fieldSize: Infinity, fieldNameSize: 1000 },
+  // Folder uploads need the relative path in originalname; safe-extract validates it
+  preservePath: true,
+  limits: { fileSize: CONFIG.MAX_UPLOAD_SIZE, files: CONFIG.MAX_UPLOAD_FILES + 5, fieldSize: 1024 * 1024, fieldNameSize: 1000 },
   fileFilter: fileFilter
 });
 
@@ -331,18 +1014,193 @@ const upload = multer({
 
 app.get('/health', (req, res) => {
   res.json(makeSuccessResponse({
-    status: 'healthy',
+    status: buildStoreError ? 'degraded' : 'healthy',
+    problems: buildStoreError ? [{ code: buildStoreError.code, message: buildStoreError.message }] : [],
     version: '5.0.0-flutter',
-    features: { flutterToApk: true, folderUpload: true, zipUpload: true, telegramNotification: true, aiRepair: true }
+    features: { flutterToApk: true, webToApk: true, folderUpload: true, zipUpload: true, telegramNotification: true, aiRepair: true, buildEvents: buildEventsEnabled(), liveStream: true, releaseSigning: !!CONFIG.KEYSTORE_ENCRYPTION_KEY, dartDefines: !!CONFIG.DART_DEFINES_ENCRYPTION_KEY, auth: CONFIG.AUTH_MODE }
   }));
 });
 
+// =============================================================================
+// Build Request Steps - shared by /build-flutter and /build-web
+// =============================================================================
+
+// Client errors of a build request are thrown with the HTTP status to answer with; see handleBuildError
+function buildRequestError(status, code, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+// Runs one validation step (parseMetadata, resolveSigning, ...): its coded errors are the client's to fix
+async function validateInput(step) {
+  try {
+    return await step();
+  } catch (err) {
+    if (err.code && !err.status) err.status = 400;
+    throw err;
+  }
+}
+
+// Analyzer failures that are not already a client error become PROJECT_ANALYSIS_FAIL
+function projectAnalysisError(err, fallbackMessage) {
+  if (err.status) return err;
+  return buildRequestError(400, 'PROJECT_ANALYSIS_FAIL', err.message || fallbackMessage,
+    err.details ? Object.assign({ reason: err.code }, err.details) : undefined);
+}
+
+// The fields every build needs. Resolves to the build context the other steps fill in:
+// { requestId, github, appName, safeAppName, packageName, uploadType }
+function readBuildRequest(req, requestId) {
+  const body = req.body || {};
+  const github = { owner: process.env.GITHUB_REPO_OWNER, repo: process.env.GITHUB_REPO_NAME, token: process.env.GITHUB_TOKEN };
+  if (!github.owner || !github.repo || !github.token) {
+    throw buildRequestError(500, 'MISSING_ENV', 'Server misconfigured: missing GitHub repo/token');
+  }
+  if (buildStoreError) {
+    throw buildRequestError(503, 'BUILD_STORE_UNAVAILABLE', 'Server misconfigured: the build registry is not writable', buildStoreError.details);
+  }
+  if (!body.appName || !body.packageName) {
+    throw buildRequestError(400, 'MISSING_FIELDS', 'appName and packageName are required');
+  }
+  if (!isValidPackageName(body.packageName)) {
+    throw buildRequestError(400, 'INVALID_PACKAGE', 'Invalid package name. Use format: com.example.app');
+  }
+  return {
+    requestId: requestId,
+    github: github,
+    appName: body.appName,
+    safeAppName: sanitizeFilename(body.appName),
+    packageName: body.packageName,
+    uploadType: body.uploadType
+  };
+}
+
+// Release signing and the launcher icon set, both checked before anything is uploaded
+async function prepareSigningAndIcons(req, build) {
+  build.signing = await validateInput(function() { return resolveSigning(req, build.packageName); });
+  build.iconSet = await validateInput(function() { return prepareIconSet(req); });
+}
+
+// Uploads the icons, then packages the analyzed project and streams the archive straight into storage
+async function storeBuildArtifacts(req, build, analyzer, folder) {
+  try {
+    const icons = await uploadBuildIcons(req, build.iconSet, build.packageName, build.requestId);
+    build.iconUpload = icons.icon;
+    build.iconBundle = icons.bundle;
+    console.log('[' + build.requestId + '] Icons stored (' + storage.name + '): ' + build.iconUpload.url);
+  } catch (err) {
+    throw buildRequestError(500, 'STORAGE_ICON_FAIL', 'Failed to upload icon', err.message);
+  }
+
+  try {
+    const archive = analyzer.packageProject(packagingProgressLogger(build.requestId));
+    const zipKey = artifactKey(folder, build.packageName, 'source', build.requestId, '.zip');
+    const uploaded = await Promise.all([
+      storage.put(zipKey, archive.stream, { contentType: 'application/zip', baseUrl: getPublicBaseUrl() }),
+      archive.done
+    ]);
+    build.zipUpload = uploaded[0];
+    build.packaged = uploaded[1];
+    console.log('[' + build.requestId + '] ZIP stored (' + formatFileSize(build.packaged.size) + ', excluded ' +
+      formatFileSize(build.packaged.scan.excludedBytes) + '): ' + build.zipUpload.url);
+  } catch (err) {
+    throw buildRequestError(500, 'STORAGE_ZIP_FAIL', 'Failed to upload project ZIP', err.message);
+  }
+}
+
+// Dispatches the workflow and records the build. GitHub accepts at most 10 top-level client_payload keys,
+// so build options go under `options`; `record` adds the type-specific fields of the build record.
+async function dispatchBuild(req, build, eventType, projectInfo, options, record) {
+  const timestamp = new Date().toISOString();
+  const payload = {
+    event_type: eventType,
+    client_payload: {
+      app_name: build.appName,
+      safe_name: build.safeAppName,
+      package_name: build.packageName,
+      icon_url: build.iconUpload.url,
+      zip_url: build.zipUpload.url,
+      request_id: build.requestId,
+      callback_url: getCallbackUrl(build.requestId),
+      timestamp: timestamp,
+      project_info: Object.assign({ upload_type: build.uploadType || 'folder' }, projectInfo),
+      options: Object.assign({ signing: build.signing ? build.signing.sealed : null, icon_bundle_url: build.iconBundle.url }, options)
+    }
+  };
+
+  const resp = await dispatchToGitHub(build.github.owner, build.github.repo, build.github.token, payload);
+  console.log('[' + build.requestId + '] GitHub response: ' + resp.status);
+  if (resp.status < 200 || resp.status >= 300) {
+    const body = resp.data ? JSON.stringify(resp.data) : '';
+    throw buildRequestError(500, 'GITHUB_DISPATCH_FAILED', 'Failed to dispatch build', { status: resp.status, body: body.slice(0, 500) });
+  }
+
+  try {
+    await buildStore.create(Object.assign({
+      build_id: build.requestId,
+      event_type: eventType,
+      owner: { uid: req.user.uid, email: req.user.email },
+      client_ip: req.ip,
+      app_name: build.appName,
+      safe_name: build.safeAppName,
+      package_name: build.packageName,
+      upload_type: build.uploadType || 'folder',
+      icon_url: build.iconUpload.url,
+      storage: storage.name,
+      icon_key: build.iconUpload.key,
+      icon_bundle_key: build.iconBundle.key,
+      zip_url: build.zipUpload.url,
+      zip_key: build.zipUpload.key,
+      signing: build.signing ? build.signing.summary : null
+    }, record, {
+      stage: 'dispatched',
+      stage_at: timestamp,
+      events: [],
+      dispatched_at: timestamp
+    }));
+  } catch (err) {
+    // The workflow is already running; its callbacks will find no build to update
+    throw buildRequestError(500, err.code || 'SERVER_ERROR', 'Build ' + build.requestId + ' was dispatched but could not be recorded', err.message);
+  }
+}
+
+function buildStartedResponse(build, fields) {
+  return makeSuccessResponse(Object.assign({
+    build_id: build.requestId,
+    safe_app_name: build.safeAppName,
+    app_name: build.appName,
+    package_name: build.packageName,
+    icon_url: build.iconUpload.url,
+    zip_url: build.zipUpload.url,
+    upload_type: build.uploadType,
+    signing: build.signing ? build.signing.summary : null,
+    icon_set: build.iconSet.summary
+  }, fields, {
+    check_status_url: '/check-status/' + build.requestId
+  }));
+}
+
+async function handleBuildError(res, requestId, tempDir, err) {
+  await cleanupTemp(tempDir);
+  if (err.status) return res.status(err.status).json(makeErrorResponse(err.code, err.message, err.details));
+  console.error('[' + requestId + '] Error:', err.stack || err.message);
+  return res.status(500).json(makeErrorResponse('SERVER_ERROR', 'Unexpected server error', err.message));
+}
+
 // =============================================================================
 // Main Build Endpoint - Flutter to APK
 // =============================================================================
 
 app.post('/build-flutter',
-  upload.fields([{ name: 'icon', maxCount: 1 }, { name: 'projectFiles', maxCount: 5000 }]),
+  requireAuth(),
+  enforceBuildQuota,
+  upload.fields([
+    { name: 'icon', maxCount: 1 }, { name: 'iconForeground', maxCount: 1 }, { name: 'iconBackground', maxCount: 1 },
+    { name: 'projectFiles', maxCount: CONFIG.MAX_UPLOAD_FILES }, { name: 'keystore', maxCount: 1 }, { name: 'dartDefineFile', maxCount: 1 }
+  ]),
   async (req, res) => {
     const requestId = generateBuildId();
     const tempDir = req.tempDir;
@@ -350,67 +1208,279 @@ app.post('/build-flutter',
     console.log('[' + requestId + '] New Flutter build request');
 
     try {
-      const owner = process.env.GITHUB_REPO_OWNER;
-      const repo = process.env.GITHUB_REPO_NAME;
-      const token = process.env.GITHUB_TOKEN;
+      const body = req.body || {};
+      const build = readBuildRequest(req, requestId);
+      const outputFormat = body.outputFormat || 'apk';
+      if (!OUTPUT_FORMATS.includes(outputFormat)) {
+        throw buildRequestError(400, 'INVALID_OUTPUT_FORMAT', 'Invalid output format', { allowed: OUTPUT_FORMATS });
+      }
 
-      if (!owner || !repo || !token) {
-        await cleanupTemp(tempDir);
-        return res.status(500).json(makeErrorResponse('MISSING_ENV', 'Server misconfigured: missing GitHub repo/token'));
+      // Version, SDK levels, orientation and permissions; merged with what the project declares once it is analyzed
+      const requestedMetadata = await validateInput(function() { return parseMetadata(body.metadata); });
+
+      // --dart-define values may be API keys: only their names are logged, stored or returned
+      const dartDefines = await validateInput(function() {
+        return resolveDartDefines(body.dartDefines, req.files && req.files.dartDefineFile ? req.files.dartDefineFile[0] : null);
+      });
+      if (dartDefines && !CONFIG.DART_DEFINES_ENCRYPTION_KEY) {
+        throw buildRequestError(400, 'DART_DEFINES_UNAVAILABLE', 'dart-define values are not enabled on this server');
       }
 
-      const appName = (req.body || {}).appName;
-      const packageName = (req.body || {}).packageName;
-      const uploadType = (req.body || {}).uploadType;
+      // Rule ids of the codemod pass (codemods.js) run on the project before it is packaged; "off" skips it
+      const codemodRules = await validateInput(function() { return parseRuleSelection(body.codemods); });
 
-      if (!appName || !packageName) {
-        await cleanupTemp(tempDir);
-        return res.status(400).json(makeErrorResponse('MISSING_FIELDS', 'appName and packageName are required'));
+      // Incremental uploads send a manifestId instead of projectFiles; the blobs are already on the server
+      const manifest = body.manifestId ? await getManifest(body.manifestId, req.user) : null;
+      if (body.manifestId && !manifest) {
+        throw buildRequestError(404, 'MANIFEST_NOT_FOUND', 'Upload manifest not found or expired');
       }
 
-      if (!isValidPackageName(packageName)) {
-        await cleanupTemp(tempDir);
-        return res.status(400).json(makeErrorResponse('INVALID_PACKAGE', 'Invalid package name. Use format: com.example.app'));
+      // Or an uploadId from a finalized resumable upload (/uploads)
+      const session = body.uploadId ? await findUploadSession(body.uploadId, req.user) : null;
+      if (body.uploadId && !session) {
+        throw buildRequestError(404, 'UPLOAD_NOT_FOUND', 'Upload not found or expired');
+      }
+      if (session && !session.finalized_at) {
+        throw buildRequestError(409, 'UPLOAD_NOT_FINALIZED', 'Finalize the upload before building', { offset: session.offset, size: session.size });
       }
 
-      if (!req.files || !req.files.icon || !req.files.projectFiles || req.files.projectFiles.length === 0) {
-        await cleanupTemp(tempDir);
-        return res.status(400).json(makeErrorResponse('MISSING_FILES', 'Both icon and project files are required'));
+      const hasProjectFiles = req.files && req.files.projectFiles && req.files.projectFiles.length > 0;
+      if (!req.files || !req.files.icon || (!manifest && !session && !hasProjectFiles)) {
+        throw buildRequestError(400, 'MISSING_FILES', 'Both icon and project files are required');
       }
 
-      const iconFile = req.files.icon[0];
-      const projectFiles = req.files.projectFiles;
+      const projectFiles = manifest ? [] : (session ? [uploadSessionFile(session)] : req.files.projectFiles);
+      await prepareSigningAndIcons(req, build);
 
-      console.log('[' + requestId + '] Icon=' + iconFile.originalname + ' Type=' + uploadType + ' Files=' + projectFiles.length);
+      console.log('[' + requestId + '] Icon=' + req.files.icon[0].originalname + ' Type=' + (manifest ? 'manifest' : (session ? 'resumable' : build.uploadType)) +
+        ' Files=' + (manifest ? manifest.files.length : projectFiles.length));
 
-      // No icon size limit
+      // Analyze & Process Flutter Project
+      let analyzer, codemods;
+      try {
+        analyzer = await analyzeFlutterUpload(tempDir, projectFiles, session ? 'zip' : build.uploadType, manifest);
+        const info = analyzer.info;
+        if (!info.isValid) {
+          throw buildRequestError(400, 'INVALID_FLUTTER_PROJECT', 'Invalid Flutter project. Must contain pubspec.yaml and lib/ folder.',
+            { hasPubspec: info.hasPubspec, hasLib: info.hasLib, hasAndroid: info.hasAndroid });
+        }
 
-      const safeAppName = sanitizeFilename(appName);
+        // Reject what can never resolve on the build server before paying for uploads and a workflow run
+        const blocking = info.problems.filter(function(p) { return p.severity === 'error'; });
+        if (blocking.length > 0) {
+          throw buildRequestError(400, 'UNRESOLVABLE_DEPENDENCIES',
+            blocking[0].message + (blocking.length > 1 ? ' (and ' + (blocking.length - 1) + ' more)' : ''),
+            { problems: info.problems });
+        }
 
-      // Upload Icon to Cloudinary
-      let iconUpload;
-      try {
-        const iconBuffer = await fs.readFile(iconFile.path);
-        iconUpload = await uploadToCloudinaryBuffer(iconBuffer, {
-          folder: 'aite_studio/icons',
-          public_id: sanitizeFilename(packageName) + '_icon_' + requestId,
-          resource_type: 'image',
-          overwrite: true,
-          transformation: [{ width: 512, height: 512, crop: 'fill' }, { quality: 'auto:good', fetch_format: 'png' }]
-        });
-        console.log('[' + requestId + '] Icon uploaded: ' + iconUpload.secure_url);
+        // Mechanical migrations are cheaper here than as a failed first build and an AI repair round
+        if (codemodRules.length > 0) {
+          codemods = await runCodemods(analyzer.projectRoot, { rules: codemodRules });
+          console.log('[' + requestId + '] Codemods: ' + codemods.applied + ' rewrites in ' + codemods.files_changed + ' files');
+        }
       } catch (err) {
-        await cleanupTemp(tempDir);
-        return res.status(500).json(makeErrorResponse('CLOUDINARY_ICON_FAIL', 'Failed to upload icon', err.message));
+        throw projectAnalysisError(err, 'Failed to analyze Flutter project');
       }
+      const projectInfo = analyzer.info;
+
+      const metadata = await validateInput(function() { return resolveMetadata(requestedMetadata, projectInfo.metadata); });
+      const flavor = await validateInput(function() { return resolveFlavor(body.flavor, projectInfo.flavors, build.packageName); });
+
+      await storeBuildArtifacts(req, build, analyzer, 'flutter-projects');
+
+      await dispatchBuild(req, build, 'build-flutter', {
+        original_name: projectInfo.appName,
+        dependencies_count: projectInfo.dependencies.length,
+        has_android: projectInfo.hasAndroid,
+        flutter_sdk: projectInfo.flutterVersion
+      }, {
+        output_format: outputFormat,
+        metadata: {
+          version_name: metadata.version_name,
+          version_code: metadata.version_code,
+          min_sdk: metadata.min_sdk,
+          target_sdk: metadata.target_sdk,
+          orientation: metadata.orientation,
+          permissions: metadata.permissions
+        },
+        // Re-declared by the workflow, whose fresh project has no flavors of its own
+        flavor: flavor ? {
+          name: flavor.name,
+          dimension: flavor.dimension,
+          application_id: flavor.application_id,
+          application_id_suffix: flavor.application_id_suffix,
+          version_name_suffix: flavor.version_name_suffix,
+          entrypoint: flavor.entrypoint
+        } : null,
+        dart_defines: dartDefines ? sealSigningBundle(dartDefines.defines, CONFIG.DART_DEFINES_ENCRYPTION_KEY) : null
+      }, {
+        type: 'flutter',
+        output_format: outputFormat,
+        metadata: metadata,
+        flavor: flavor ? flavor.name : null,
+        application_id: flavor ? flavor.effective_application_id : build.packageName,
+        dart_defines: dartDefines ? dartDefines.summary : null,
+        codemods: codemods || null
+      });
 
-      // Analyze & Process Flutter Project
-      let zipBuffer, zipUpload, projectInfo;
+      await cleanupTemp(tempDir);
+      return res.json(buildStartedResponse(build, {
+        output_format: outputFormat,
+        metadata: metadata,
+        flavor: flavor,
+        dart_defines: dartDefines ? dartDefines.summary : null,
+        codemods: codemods || null,
+        project_info: {
+          original_name: projectInfo.appName,
+          dependencies_count: projectInfo.dependencies.length,
+          has_android: projectInfo.hasAndroid,
+          flutter_sdk: projectInfo.flutterVersion,
+          native: projectInfo.native,
+          warnings: projectInfo.problems,
+          rejected_entries: projectInfo.rejectedEntries,
+          excluded: describeExclusions(build.packaged.scan)
+        },
+        message: 'Flutter build started'
+      }));
+    } catch (err) {
+      return handleBuildError(res, requestId, tempDir, err);
+    }
+  }
+);
+
+// =============================================================================
+// Dry-run Analysis - Flutter project report without building
+// =============================================================================
+
+app.post('/analyze',
+  requireAuth(),
+  upload.fields([{ name: 'projectFiles', maxCount: CONFIG.MAX_UPLOAD_FILES }]),
+  async (req, res) => {
+    const requestId = generateBuildId();
+    let tempDir = req.tempDir;
+
+    console.log('[' + requestId + '] New analysis request');
+
+    let codemodRules;
+    try {
+      codemodRules = parseRuleSelection((req.body || {}).codemods);
+    } catch (err) {
+      await cleanupTemp(tempDir);
+      return res.status(400).json(makeErrorResponse(err.code, err.message, err.details));
+    }
+
+    const manifestId = (req.body || {}).manifestId;
+    const manifest = manifestId ? await getManifest(manifestId, req.user) : null;
+    if (manifestId && !manifest) {
+      await cleanupTemp(tempDir);
+      return res.status(404).json(makeErrorResponse('MANIFEST_NOT_FOUND', 'Upload manifest not found or expired'));
+    }
+
+    const uploadId = (req.body || {}).uploadId;
+    const session = uploadId ? await findUploadSession(uploadId, req.user) : null;
+    if (uploadId && (!session || !session.finalized_at)) {
+      await cleanupTemp(tempDir);
+      return res.status(404).json(makeErrorResponse('UPLOAD_NOT_FOUND', 'Upload not found, expired or not finalized'));
+    }
+
+    if (!manifest && !session && (!req.files || !req.files.projectFiles || req.files.projectFiles.length === 0)) {
+      await cleanupTemp(tempDir);
+      return res.status(400).json(makeErrorResponse('MISSING_FILES', 'Project files are required'));
+    }
+
+    try {
+      // Manifest and resumable requests carry no files, so multer never created a temp dir
+      if (!tempDir) tempDir = await createTempDir();
+      const projectFiles = manifest ? [] : (session ? [uploadSessionFile(session)] : req.files.projectFiles);
+      const analyzer = await analyzeFlutterUpload(tempDir, projectFiles, session ? 'zip' : (req.body || {}).uploadType, manifest);
+      const info = analyzer.info;
+      const problems = info.problems.slice();
+      if (!info.hasLib) problems.unshift({ severity: 'error', code: 'MISSING_LIB', message: 'No lib/ folder next to pubspec.yaml' });
+
+      // Same packaging step as a real build, streamed into a sink so only the size is kept
+      let packaged = null;
+      if (info.isValid) {
+        const archive = analyzer.packageProject();
+        archive.stream.pipe(new Writable({ write: function(chunk, encoding, cb) { cb(); } }));
+        packaged = await archive.done;
+      }
+      // What a build would rewrite before dispatch, without touching the files
+      const codemods = info.isValid && codemodRules.length > 0 ? await runCodemods(analyzer.projectRoot, { rules: codemodRules, dryRun: true }) : null;
+      const packagedSize = packaged ? packaged.size : null;
+      await cleanupTemp(tempDir);
+
+      const errors = problems.filter(function(p) { return p.severity === 'error'; });
+      const pubspec = info.pubspec || { dependencies: [], dev_dependencies: [], dependency_overrides: [], assets: [], fonts: [] };
+      return res.json(makeSuccessResponse({
+        report: {
+          buildable: errors.length === 0,
+          project_root: path.relative(analyzer.uploadRoot, analyzer.projectRoot).split(path.sep).join('/') || '.',
+          app_name: info.appName,
+          version: pubspec.version || null,
+          metadata: info.metadata,
+          flavors: info.flavors,
+          native: info.native,
+          sdk_constraint: info.flutterVersion,
+          flutter_constraint: info.flutterConstraint,
+          dependencies: pubspec.dependencies,
+          dev_dependencies: pubspec.dev_dependencies,
+          dependency_overrides: pubspec.dependency_overrides,
+          assets: pubspec.assets,
+          fonts: pubspec.fonts,
+          has_lib: info.hasLib,
+          has_android: info.hasAndroid,
+          has_firebase_config: info.hasFirebaseConfig,
+          rejected_entries: info.rejectedEntries,
+          packaged_size: packagedSize,
+          packaged_size_readable: packagedSize !== null ? formatFileSize(packagedSize) : null,
+          excluded: packaged ? describeExclusions(packaged.scan) : null,
+          codemods: codemods,
+          errors: errors,
+          warnings: problems.filter(function(p) { return p.severity === 'warning'; })
+        }
+      }));
+    } catch (err) {
+      await cleanupTemp(tempDir);
+      return res.status(400).json(makeErrorResponse('PROJECT_ANALYSIS_FAIL', err.message || 'Failed to analyze Flutter project',
+        err.details ? Object.assign({ reason: err.code }, err.details) : undefined));
+    }
+  }
+);
+
+// =============================================================================
+// Web Build Endpoint - Web to APK
+// =============================================================================
+
+app.post('/build-web',
+  requireAuth(),
+  enforceBuildQuota,
+  upload.fields([
+    { name: 'icon', maxCount: 1 }, { name: 'iconForeground', maxCount: 1 }, { name: 'iconBackground', maxCount: 1 },
+    { name: 'projectFiles', maxCount: CONFIG.MAX_UPLOAD_FILES }, { name: 'keystore', maxCount: 1 }
+  ]),
+  async (req, res) => {
+    const requestId = generateBuildId();
+    const tempDir = req.tempDir;
+
+    console.log('[' + requestId + '] New Web build request');
+
+    try {
+      const build = readBuildRequest(req, requestId);
+      if (!req.files || !req.files.icon || !req.files.projectFiles || req.files.projectFiles.length === 0) {
+        throw buildRequestError(400, 'MISSING_FILES', 'Both icon and project files are required');
+      }
+
+      const projectFiles = req.files.projectFiles;
+      await prepareSigningAndIcons(req, build);
+
+      console.log('[' + requestId + '] Icon=' + req.files.icon[0].originalname + ' Type=' + build.uploadType + ' Files=' + projectFiles.length);
 
+      // Analyze web project before spending any uploads on it
+      const analyzer = new WebProjectAnalyzer(tempDir);
+      let projectInfo;
       try {
-        const analyzer = new FlutterProjectAnalyzer(tempDir);
         const firstFile = projectFiles[0];
-        const isDirectZip = uploadType === 'zip' ||
+        const isDirectZip = build.uploadType === 'zip' ||
           firstFile.originalname.toLowerCase().endsWith('.zip') ||
           firstFile.mimetype === 'application/zip';
 
@@ -419,109 +1489,37 @@ app.post('/build-flutter',
         } else {
           projectInfo = await analyzer.analyzeFromFolder(projectFiles);
         }
-
-        if (!projectInfo.isValid) {
-          await cleanupTemp(tempDir);
-          return res.status(400).json(makeErrorResponse('INVALID_FLUTTER_PROJECT',
-            'Invalid Flutter project. Must contain pubspec.yaml and lib/ folder.',
-            { hasPubspec: projectInfo.hasPubspec, hasLib: projectInfo.hasLib, hasAndroid: projectInfo.hasAndroid }
-          ));
-        }
-
-        const result = await analyzer.createProjectZip();
-        zipBuffer = result.zipBuffer;
-        console.log('[' + requestId + '] Project ZIP: ' + formatFileSize(zipBuffer.length));
       } catch (err) {
-        await cleanupTemp(tempDir);
-        return res.status(400).json(makeErrorResponse('PROJECT_ANALYSIS_FAIL', err.message || 'Failed to analyze Flutter project'));
+        throw projectAnalysisError(err, 'Failed to analyze web project');
       }
-
-      // Upload ZIP to Cloudinary
-      try {
-        const uploadOpts = {
-          folder: 'aite_studio/flutter-projects',
-          public_id: sanitizeFilename(packageName) + '_source_' + requestId,
-          resource_type: 'raw',
-          overwrite: true
-        };
-
-        if (zipBuffer.length > 50 * 1024 * 1024) {
-          const zipPath = path.join(tempDir, 'large-flutter-project.zip');
-          await fs.writeFile(zipPath, zipBuffer);
-          zipUpload = await uploadLargeFileToCloudinary(zipPath, uploadOpts);
-        } else {
-          zipUpload = await uploadToCloudinaryBuffer(zipBuffer, uploadOpts);
-        }
-        console.log('[' + requestId + '] ZIP uploaded: ' + zipUpload.secure_url);
-      } catch (err) {
-        await cleanupTemp(tempDir);
-        return res.status(500).json(makeErrorResponse('CLOUDINARY_ZIP_FAIL', 'Failed to upload project ZIP', err.message));
+      if (!projectInfo.isValid) {
+        throw buildRequestError(400, 'INVALID_WEB_PROJECT', 'Invalid web project. Must contain index.html at the root or in dist/ or build/.',
+          { hasIndex: projectInfo.hasIndex });
       }
 
-      // Dispatch to GitHub Actions
-      const githubPayload = {
-        event_type: 'build-flutter',
-        client_payload: {
-          app_name: appName,
-          safe_name: safeAppName,
-          display_name: appName,
-          package_name: packageName,
-          icon_url: iconUpload.secure_url,
-          zip_url: zipUpload.secure_url,
-          upload_type: uploadType || 'folder',
-          request_id: requestId,
-          timestamp: new Date().toISOString(),
-          project_info: {
-            original_name: projectInfo.appName,
-            dependencies_count: projectInfo.dependencies.length,
-            has_android: projectInfo.hasAndroid,
-            flutter_sdk: projectInfo.flutterVersion
-          }
-        }
-      };
-
-      const ghUrl = 'https://api.github.com/repos/' + owner + '/' + repo + '/dispatches';
-      const ghHeaders = {
-        'Authorization': 'token ' + token,
-        'Accept': 'application/vnd.github.v3+json',
-        'Content-Type': 'application/json',
-        'X-GitHub-Api-Version': '2022-11-28'
-      };
+      await storeBuildArtifacts(req, build, analyzer, 'web-projects');
 
-      const resp = await axios.post(ghUrl, githubPayload, { headers: ghHeaders, timeout: 30000, validateStatus: null });
-      console.log('[' + requestId + '] GitHub response: ' + resp.status);
-
-      if (resp.status >= 200 && resp.status < 300) {
-        await cleanupTemp(tempDir);
-        return res.json(makeSuccessResponse({
-          build_id: requestId,
-          safe_app_name: safeAppName,
-          app_name: appName,
-          package_name: packageName,
-          icon_url: iconUpload.secure_url,
-          zip_url: zipUpload.secure_url,
-          upload_type: uploadType,
-          project_info: {
-            original_name: projectInfo.appName,
-            dependencies_count: projectInfo.dependencies.length,
-            has_android: projectInfo.hasAndroid,
-            flutter_sdk: projectInfo.flutterVersion
-          },
-          message: 'Flutter build started',
-          check_status_url: '/check-status/' + requestId
-        }));
-      } else {
-        const body = resp.data ? JSON.stringify(resp.data) : '';
-        await cleanupTemp(tempDir);
-        return res.status(500).json(makeErrorResponse('GITHUB_DISPATCH_FAILED', 'Failed to dispatch build',
-          { status: resp.status, body: body.slice(0, 500) }
-        ));
-      }
+      await dispatchBuild(req, build, 'build-web2apk', {
+        entry_point: projectInfo.entryPoint,
+        output_dir: projectInfo.outputDir,
+        files_count: projectInfo.fileCount
+      }, {}, {
+        type: 'web'
+      });
 
-    } catch (err) {
-      console.error('[' + requestId + '] Error:', err.stack || err.message);
       await cleanupTemp(tempDir);
-      return res.status(500).json(makeErrorResponse('SERVER_ERROR', 'Unexpected server error', err.message));
+      return res.json(buildStartedResponse(build, {
+        project_info: {
+          entry_point: projectInfo.entryPoint,
+          output_dir: projectInfo.outputDir,
+          files_count: projectInfo.fileCount,
+          rejected_entries: projectInfo.rejectedEntries,
+          excluded: describeExclusions(build.packaged.scan)
+        },
+        message: 'Web build started'
+      }));
+    } catch (err) {
+      return handleBuildError(res, requestId, tempDir, err);
     }
   }
 );
@@ -530,7 +1528,188 @@ app.post('/build-flutter',
 // Status Check Endpoint
 // =============================================================================
 
-app.get('/check-status/:buildId', async (req, res) => {
+// Runs carry the build ID in their display title (run-name in both workflows),
+// so a run is only ever matched to the build that dispatched it.
+async function findWorkflowRun(owner, repo, token, build) {
+  const since = new Date(new Date(build.dispatched_at || build.created_at).getTime() - 60000).toISOString();
+  const runsUrl = 'https://api.github.com/repos/' + owner + '/' + repo +
+    '/actions/runs?event=repository_dispatch&per_page=100&created=' + encodeURIComponent('>=' + since);
+  const runsResp = await axios.get(runsUrl, { headers: { 'Authorization': 'token ' + token }, timeout: 10000 });
+  return runsResp.data.workflow_runs.find(function(r) {
+    return r.display_title && r.display_title.includes(build.build_id);
+  }) || null;
+}
+
+async function fetchWorkflowRun(owner, repo, token, runId) {
+  const runUrl = 'https://api.github.com/repos/' + owner + '/' + repo + '/actions/runs/' + runId;
+  const runResp = await axios.get(runUrl, { headers: { 'Authorization': 'token ' + token }, timeout: 10000 });
+  return runResp.data;
+}
+
+function describeReleaseAsset(asset) {
+  const type = asset.name.endsWith('.aab') ? 'appbundle' : 'apk';
+  const abi = ANDROID_ABIS.find(function(a) { return asset.name.includes('-' + a + '.') || asset.name.includes('-' + a + '-'); });
+  return {
+    name: asset.name,
+    type: type,
+    abi: type === 'apk' ? (abi || 'universal') : null,
+    size: asset.size,
+    download_url: asset.browser_download_url
+  };
+}
+
+// Universal APK first, then the most common device ABI, then the bundle
+function pickPrimaryAsset(assets) {
+  return assets.find(function(a) { return a.type === 'apk' && a.abi === 'universal'; }) ||
+    assets.find(function(a) { return a.abi === 'arm64-v8a'; }) ||
+    assets.find(function(a) { return a.type === 'apk'; }) ||
+    assets[0] || null;
+}
+
+async function fetchReleaseAssets(owner, repo, token, buildId) {
+  const releaseUrl = 'https://api.github.com/repos/' + owner + '/' + repo + '/releases/tags/build-' + buildId;
+  const releaseResp = await axios.get(releaseUrl, {
+    headers: { 'Authorization': 'token ' + token }, timeout: 8000, validateStatus: null
+  });
+  if (releaseResp.status !== 200) return null;
+  const assets = (releaseResp.data.assets || [])
+    .filter(function(a) { return a.name.endsWith('.apk') || a.name.endsWith('.aab'); })
+    .map(describeReleaseAsset);
+  const primary = pickPrimaryAsset(assets);
+  if (!primary) return null;
+  return { download_url: primary.download_url, assets: assets, created_at: releaseResp.data.created_at };
+}
+
+// The diagnosis is only known once someone has fetched the logs (GET /builds/:buildId/logs)
+function failedBuildStatus(build, runUrl) {
+  return {
+    completed: true, status: 'failed', build_id: build.build_id,
+    run_url: runUrl, error: build.diagnosis && build.diagnosis.message ? build.diagnosis.message : 'Build failed in GitHub Actions',
+    diagnosis: build.diagnosis ? build.diagnosis.category : null,
+    logs_url: '/builds/' + build.build_id + '/logs', repair: repairSummary(build), progress: 0
+  };
+}
+
+// Resolves the current status of a build from the registry, workflow callbacks and,
+// only when those are not enough, the GitHub API. Returns null for unknown build IDs.
+async function resolveBuildStatus(buildId) {
+  const owner = process.env.GITHUB_REPO_OWNER;
+  const repo = process.env.GITHUB_REPO_NAME;
+  const token = process.env.GITHUB_TOKEN;
+
+  const build = await buildStore.get(buildId);
+
+  if (!build) {
+    // Builds dispatched before the registry existed can still be found by their release tag
+    const release = await fetchReleaseAssets(owner, repo, token, buildId);
+    if (!release) return null;
+    return {
+      completed: true, status: 'success',
+      download_url: release.download_url, assets: release.assets,
+      build_id: buildId, created_at: release.created_at
+    };
+  }
+
+  if (build.status === 'success') {
+    // Callbacks only carry the primary download; the full asset list is fetched once and kept
+    if (!build.assets) {
+      try {
+        const release = await fetchReleaseAssets(owner, repo, token, buildId);
+        if (release) await buildStore.update(buildId, { assets: release.assets });
+      } catch (e) {
+        console.log('[' + buildId + '] Release assets error:', e.message);
+      }
+    }
+    return {
+      completed: true, status: 'success',
+      download_url: build.download_url, assets: build.assets || [],
+      output_format: build.output_format || 'apk',
+      build_id: buildId, completed_at: build.completed_at,
+      app_name: build.app_name, repair: repairSummary(build), progress: 100
+    };
+  }
+
+  if (build.status === 'failed') return failedBuildStatus(build, build.run_url);
+
+  // Fresh workflow callbacks answer without touching the GitHub API
+  const reported = progressFromEvents(build);
+  if (reported && reported.fresh && build.stage !== 'dispatched') {
+    return {
+      completed: false, status: 'in_progress', build_id: buildId,
+      stage: reported.stage, progress: reported.progress,
+      repair_round: build.repair_round || null,
+      run_url: build.run_url, message: reported.message
+    };
+  }
+
+  let run;
+  if (build.run_id) {
+    run = await fetchWorkflowRun(owner, repo, token, build.run_id);
+  } else {
+    run = await findWorkflowRun(owner, repo, token, build);
+    if (run) {
+      await buildStore.update(buildId, { run_id: run.id, run_url: run.html_url });
+      console.log('[' + buildId + '] Resolved to workflow run ' + run.id);
+    }
+  }
+
+  if (!run) {
+    return {
+      completed: false, status: 'pending', build_id: buildId,
+      progress: 5, message: 'Build queued, waiting for GitHub Actions...'
+    };
+  }
+
+  const status = run.status;
+  const conclusion = run.conclusion;
+  let progress = 5;
+  if (status === 'queued') progress = 10;
+  if (status === 'in_progress') progress = 50;
+  if (status === 'completed' && conclusion === 'success') progress = 95;
+  if (reported && reported.progress > progress) progress = reported.progress;
+
+  if (status === 'completed' && conclusion === 'success') {
+    try {
+      const release = await fetchReleaseAssets(owner, repo, token, buildId);
+      if (release) {
+        const updated = await buildStore.update(buildId, {
+          status: 'success', download_url: release.download_url, assets: release.assets, completed_at: run.updated_at
+        });
+        return {
+          completed: true, status: 'success',
+          download_url: release.download_url, assets: release.assets,
+          output_format: build.output_format || 'apk',
+          build_id: buildId, completed_at: updated.completed_at,
+          app_name: build.app_name, repair: repairSummary(build), progress: 100
+        };
+      }
+    } catch (e) {
+      console.log('[' + buildId + '] Release check error:', e.message);
+    }
+
+    return {
+      completed: false, status: 'publishing', build_id: buildId,
+      progress: 95, message: 'Build successful, creating release...'
+    };
+  }
+
+  if (status === 'completed') {
+    const failed = await buildStore.update(buildId, { status: 'failed', completed_at: run.updated_at });
+    return failedBuildStatus(failed, run.html_url);
+  }
+
+  if (build.status !== status) await buildStore.update(buildId, { status: status });
+
+  return {
+    completed: false, status: status, build_id: buildId,
+    stage: reported ? reported.stage : null,
+    repair_round: build.repair_round || null,
+    progress: progress, run_url: run.html_url,
+    message: reported && build.stage !== 'dispatched' ? reported.message : 'Build ' + status + '...'
+  };
+}
+
+app.get('/check-status/:buildId', requireAuth(), async (req, res) => {
   try {
     const buildId = req.params.buildId;
     if (!buildId) return res.status(400).json(makeErrorResponse('MISSING_BUILD_ID', 'Build ID required'));
@@ -540,97 +1719,685 @@ app.get('/check-status/:buildId', async (req, res) => {
     const token = process.env.GITHUB_TOKEN;
     if (!owner || !repo || !token) return res.status(500).json(makeErrorResponse('MISSING_ENV', 'Server misconfigured'));
 
-    const runsUrl = 'https://api.github.com/repos/' + owner + '/' + repo + '/actions/runs?event=repository_dispatch&per_page=20';
-
     try {
-      const runsResp = await axios.get(runsUrl, { headers: { 'Authorization': 'token ' + token }, timeout: 10000 });
+      const build = await buildStore.get(buildId);
+      if (build && !canAccessBuild(build, req.user)) {
+        return res.status(404).json(makeErrorResponse('BUILD_NOT_FOUND', 'Unknown build ID'));
+      }
 
-      const run = runsResp.data.workflow_runs.find(function(r) {
-        return (r.display_title && r.display_title.includes(buildId)) ||
-          (r.head_commit && r.head_commit.message && r.head_commit.message.includes(buildId)) ||
-          (r.head_commit && r.head_commit.message && r.head_commit.message.includes('client_payload') &&
-           runsResp.data.workflow_runs.indexOf(r) < 5);
-      });
+      const status = await resolveBuildStatus(buildId);
+      if (!status) return res.status(404).json(makeErrorResponse('BUILD_NOT_FOUND', 'Unknown build ID'));
+      return res.json(makeSuccessResponse(status));
+    } catch (err) {
+      console.error('[' + buildId + '] Status check error:', err.message);
+      return res.status(500).json(makeErrorResponse('CHECK_FAILED', 'Failed to check status'));
+    }
+  } catch (err) {
+    console.error('Status endpoint error:', err.message);
+    return res.status(500).json(makeErrorResponse('SERVER_ERROR', err.message));
+  }
+});
 
-      if (!run) {
-        // Check release directly
-        const releaseUrl = 'https://api.github.com/repos/' + owner + '/' + repo + '/releases/tags/build-' + buildId;
-        try {
-          const releaseResp = await axios.get(releaseUrl, {
-            headers: { 'Authorization': 'token ' + token }, timeout: 8000, validateStatus: null
-          });
-          if (releaseResp.status === 200) {
-            const assets = releaseResp.data.assets || [];
-            const apkAsset = assets.find(function(a) { return a.name.endsWith('.apk'); });
-            if (apkAsset) {
-              return res.json(makeSuccessResponse({
-                completed: true, status: 'success',
-                download_url: apkAsset.browser_download_url,
-                build_id: buildId, created_at: releaseResp.data.created_at
-              }));
-            }
-          }
-        } catch (e) {}
+// =============================================================================
+// Build Logs
+// =============================================================================
+
+// The finished run's jobs and the diagnostics classified from their logs (see build-logs.js), plus the
+// last LOG_TAIL_LINES lines; ?format=text returns the whole log. Fetched from GitHub once, then cached.
+app.get('/builds/:buildId/logs', requireAuth(), async (req, res) => {
+  const buildId = req.params.buildId;
+  const owner = process.env.GITHUB_REPO_OWNER;
+  const repo = process.env.GITHUB_REPO_NAME;
+  const token = process.env.GITHUB_TOKEN;
+  if (!owner || !repo || !token) return res.status(500).json(makeErrorResponse('MISSING_ENV', 'Server misconfigured'));
+
+  try {
+    const build = await buildStore.get(buildId);
+    if (!build || !canAccessBuild(build, req.user)) {
+      return res.status(404).json(makeErrorResponse('BUILD_NOT_FOUND', 'Unknown build ID'));
+    }
 
-        return res.json(makeSuccessResponse({
-          completed: false, status: 'pending', build_id: buildId,
-          progress: 5, message: 'Build queued, waiting for GitHub Actions...'
-        }));
+    const entry = await buildLogs.load(buildId, async function() {
+      let run;
+      if (build.run_id) {
+        run = await fetchWorkflowRun(owner, repo, token, build.run_id);
+      } else {
+        run = await findWorkflowRun(owner, repo, token, build);
+        if (run) await buildStore.update(buildId, { run_id: run.id, run_url: run.html_url });
+      }
+      // Job logs are only complete, and only cached, once the whole run has finished
+      if (!run || run.status !== 'completed') {
+        const err = new Error(run ? 'The build is still running' : 'The build has not started yet');
+        err.code = 'LOGS_NOT_READY';
+        throw err;
       }
+      console.log('[' + buildId + '] Fetching logs of workflow run ' + run.id);
+      return Object.assign({ run_id: run.id, conclusion: run.conclusion }, await fetchRunLogs(owner, repo, token, run.id));
+    });
 
-      const status = run.status;
-      const conclusion = run.conclusion;
-      let progress = 5;
-      if (status === 'queued') progress = 10;
-      if (status === 'in_progress') progress = 50;
-      if (status === 'completed' && conclusion === 'success') progress = 95;
+    // A successful run may still log errors from the first attempt that the repair step fixed
+    if (entry.category && entry.conclusion !== 'success' && !build.diagnosis) {
+      await buildStore.update(buildId, { diagnosis: { category: entry.category, message: entry.message } });
+    }
 
-      if (status === 'completed' && conclusion === 'success') {
-        const releaseUrl = 'https://api.github.com/repos/' + owner + '/' + repo + '/releases/tags/build-' + buildId;
-        try {
-          const releaseResp = await axios.get(releaseUrl, {
-            headers: { 'Authorization': 'token ' + token }, timeout: 8000, validateStatus: null
-          });
-          if (releaseResp.status === 200) {
-            const assets = releaseResp.data.assets || [];
-            const apkAsset = assets.find(function(a) { return a.name.endsWith('.apk'); });
-            if (apkAsset) {
-              return res.json(makeSuccessResponse({
-                completed: true, status: 'success',
-                download_url: apkAsset.browser_download_url,
-                build_id: buildId, completed_at: run.updated_at,
-                app_name: run.display_title, progress: 100
-              }));
-            }
-          }
-        } catch (e) {
-          console.log('[' + buildId + '] Release check error:', e.message);
-        }
+    const text = await buildLogs.readText(buildId);
+    if (req.query.format === 'text') {
+      return res.type('text/plain; charset=utf-8').send(text);
+    }
+    return res.json(makeSuccessResponse({
+      build_id: buildId,
+      run_id: entry.run_id,
+      run_url: build.run_url || null,
+      status: build.status,
+      conclusion: entry.conclusion,
+      fetched_at: entry.fetched_at,
+      jobs: entry.jobs,
+      category: entry.category,
+      message: entry.message,
+      diagnostics: entry.diagnostics,
+      line_count: entry.line_count,
+      tail: text.split('\n').slice(-CONFIG.LOG_TAIL_LINES)
+    }));
+  } catch (err) {
+    if (err.code === 'LOGS_NOT_READY') {
+      return res.status(409).json(makeErrorResponse(err.code, err.message));
+    }
+    // GitHub keeps logs for a limited time (90 days by default)
+    if (err.response && (err.response.status === 404 || err.response.status === 410)) {
+      return res.status(404).json(makeErrorResponse('LOGS_UNAVAILABLE', 'GitHub no longer has the logs of this build'));
+    }
+    console.error('[' + buildId + '] Logs error:', err.message);
+    return res.status(500).json(makeErrorResponse('LOGS_FETCH_FAILED', 'Failed to fetch build logs'));
+  }
+});
 
-        return res.json(makeSuccessResponse({
-          completed: false, status: 'publishing', build_id: buildId,
-          progress: 95, message: 'Build successful, creating release...'
-        }));
-      }
+// =============================================================================
+// Incremental Uploads (content-addressed manifests)
+// =============================================================================
+
+// The client posts { files: [{ path, sha256, size }] } and gets back the hashes the server lacks.
+// It uploads only those to /manifests/:id/blobs, then builds with manifestId instead of projectFiles.
+app.post('/manifests', requireAuth(), async (req, res) => {
+  try {
+    let files;
+    try {
+      files = validateManifestFiles((req.body || {}).files);
+    } catch (err) {
+      if (!err.code) throw err;
+      const status = err.code === 'UPLOAD_TOO_LARGE' ? 413 : 400;
+      return res.status(status).json(makeErrorResponse(err.code, err.message, err.details));
+    }
+
+    const manifest = await manifests.create(req.user.uid, files);
+
+    const missing = await blobStore.missing(manifest.owner, files.map(function(f) { return f.sha256; }));
+    console.log('[Manifest ' + manifest.id + '] ' + files.length + ' files, ' + missing.length + ' blobs missing');
+
+    return res.json(makeSuccessResponse({
+      manifest_id: manifest.id,
+      files: files.length,
+      total_size: files.reduce(function(sum, f) { return sum + f.size; }, 0),
+      missing: missing,
+      expires_at: manifest.expires_at
+    }));
+  } catch (err) {
+    console.error('Manifest error:', err.message);
+    return res.status(500).json(makeErrorResponse('SERVER_ERROR', err.message));
+  }
+});
+
+async function loadManifest(req, res, next) {
+  try {
+    const manifest = await getManifest(req.params.manifestId, req.user);
+    if (!manifest) return res.status(404).json(makeErrorResponse('MANIFEST_NOT_FOUND', 'Upload manifest not found or expired'));
+    req.manifest = manifest;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
 
-      if (status === 'completed' && conclusion === 'failure') {
-        return res.json(makeSuccessResponse({
-          completed: true, status: 'failed', build_id: buildId,
-          run_url: run.html_url, error: 'Build failed in GitHub Actions', progress: 0
-        }));
+app.post('/manifests/:manifestId/blobs',
+  requireAuth(),
+  loadManifest,
+  upload.fields([{ name: 'blobs', maxCount: CONFIG.MAX_UPLOAD_FILES }]),
+  async (req, res) => {
+    const manifest = req.manifest;
+    const tempDir = req.tempDir;
+
+    try {
+      // Declared size per hash (validateManifestFiles made them agree)
+      const wanted = new Map(manifest.files.map(function(f) { return [f.sha256, f.size]; }));
+      const stored = [];
+      const rejected = [];
+
+      // The hash and size are always taken from the data; what the client names the part is never trusted
+      for (const file of (req.files && req.files.blobs) || []) {
+        const hash = await hashFile(file.path);
+        if (!wanted.has(hash)) {
+          rejected.push({ name: file.originalname, sha256: hash, reason: 'not_in_manifest' });
+          continue;
+        }
+        if (wanted.get(hash) !== file.size) {
+          rejected.push({ name: file.originalname, sha256: hash, reason: 'size_mismatch' });
+          continue;
+        }
+        await blobStore.put(manifest.owner, file.path, hash);
+        stored.push(hash);
       }
+      await cleanupTemp(tempDir);
 
       return res.json(makeSuccessResponse({
-        completed: false, status: status, build_id: buildId,
-        progress: progress, run_url: run.html_url, message: 'Build ' + status + '...'
+        stored: stored,
+        rejected: rejected,
+        missing: await blobStore.missing(manifest.owner, Array.from(wanted.keys()))
       }));
+    } catch (err) {
+      await cleanupTemp(tempDir);
+      console.error('[Manifest ' + manifest.id + '] Blob upload error:', err.message);
+      return res.status(500).json(makeErrorResponse('BLOB_UPLOAD_FAIL', 'Failed to store uploaded blobs', err.message));
+    }
+  }
+);
+
+// =============================================================================
+// Resumable Uploads
+// =============================================================================
+
+// POST /uploads { filename, size, sha256? } -> upload_id (size may also come as an Upload-Length header). Then PUT /uploads/:id with raw bytes and an
+// Upload-Offset header (tus-style) until offset == size, GET /uploads/:id to learn where to resume after
+// a dropped connection, and POST /uploads/:id/finalize. /build-flutter then takes uploadId instead of projectFiles.
+function describeUploadSession(session) {
+  return {
+    upload_id: session.id,
+    filename: session.filename,
+    size: session.size,
+    offset: session.offset,
+    complete: session.offset === session.size,
+    finalized: !!session.finalized_at,
+    chunk_size: CONFIG.UPLOAD_CHUNK_SIZE,
+    expires_at: session.expires_at
+  };
+}
+
+app.post('/uploads', requireAuth(), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const baseName = path.basename(String(body.filename || ''));
+    const size = Number(body.size !== undefined ? body.size : req.get('Upload-Length'));
+    const sha256 = body.sha256 ? String(body.sha256).toLowerCase() : null;
+
+    if (!/\.zip$/i.test(baseName)) {
+      return res.status(400).json(makeErrorResponse('INVALID_UPLOAD', 'Resumable uploads take a single project ZIP'));
+    }
+    const filename = (sanitizeFilename(baseName.slice(0, -4)) || 'project') + '.zip';
+    if (!Number.isInteger(size) || size <= 0) {
+      return res.status(400).json(makeErrorResponse('INVALID_UPLOAD', 'size must be a positive integer'));
+    }
+    if (size > CONFIG.MAX_UPLOAD_SIZE) {
+      return res.status(413).json(makeErrorResponse('UPLOAD_TOO_LARGE', 'Upload exceeds ' + formatFileSize(CONFIG.MAX_UPLOAD_SIZE),
+        { limit: CONFIG.MAX_UPLOAD_SIZE }));
+    }
+    if (sha256 && !HASH_PATTERN.test(sha256)) {
+      return res.status(400).json(makeErrorResponse('INVALID_UPLOAD', 'sha256 must be a hex SHA-256 digest'));
+    }
+
+    const session = await uploadSessions.create(req.user.uid, { filename: filename, size: size, sha256: sha256 });
+    console.log('[Upload ' + session.id + '] Started ' + filename + ' (' + formatFileSize(size) + ')');
+    res.set('Location', '/uploads/' + session.id);
+    return res.status(201).json(makeSuccessResponse(describeUploadSession(session)));
+  } catch (err) {
+    console.error('Upload init error:', err.message);
+    return res.status(500).json(makeErrorResponse('SERVER_ERROR', err.message));
+  }
+});
+
+async function loadUploadSession(req, res, next) {
+  try {
+    const session = await findUploadSession(req.params.uploadId, req.user);
+    if (!session) return res.status(404).json(makeErrorResponse('UPLOAD_NOT_FOUND', 'Upload not found or expired'));
+    req.uploadSession = session;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+app.get('/uploads/:uploadId', requireAuth(), loadUploadSession, (req, res) => {
+  res.set('Upload-Offset', String(req.uploadSession.offset));
+  return res.json(makeSuccessResponse(describeUploadSession(req.uploadSession)));
+});
+
+app.put('/uploads/:uploadId', requireAuth(), loadUploadSession, async (req, res) => {
+  const session = req.uploadSession;
+  const rawOffset = req.get('Upload-Offset') !== undefined ? req.get('Upload-Offset') : req.query.offset;
+  const offset = Number(rawOffset);
+  if (rawOffset === undefined || !Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json(makeErrorResponse('INVALID_OFFSET', 'Send the chunk start in the Upload-Offset header'));
+  }
+  // Any other type would already have been consumed by the JSON or form body parsers
+  if (!req.is('application/offset+octet-stream', 'application/octet-stream')) {
+    return res.status(415).json(makeErrorResponse('INVALID_CONTENT_TYPE', 'Chunks must be sent as application/offset+octet-stream'));
+  }
+
+  try {
+    const updated = await uploadSessions.append(session, offset, req);
+    res.set('Upload-Offset', String(updated.offset));
+    return res.json(makeSuccessResponse(describeUploadSession(updated)));
+  } catch (err) {
+    const status = { OFFSET_MISMATCH: 409, UPLOAD_BUSY: 409, UPLOAD_FINALIZED: 409, UPLOAD_COMPLETE: 409, CHUNK_TOO_LARGE: 413 }[err.code];
+    if (!status) {
+      // Usually the client went away mid-chunk; whatever arrived is kept and GET reports the new offset
+      console.error('[Upload ' + session.id + '] Chunk failed:', err.message);
+      return res.status(500).json(makeErrorResponse('CHUNK_FAILED', 'Chunk was not fully received', err.message));
+    }
+    if (err.code === 'OFFSET_MISMATCH') res.set('Upload-Offset', String(err.details.offset));
+    return res.status(status).json(makeErrorResponse(err.code, err.message, err.details));
+  }
+});
+
+app.post('/uploads/:uploadId/finalize', requireAuth(), loadUploadSession, async (req, res) => {
+  try {
+    const session = await uploadSessions.finalize(req.uploadSession);
+    console.log('[Upload ' + session.id + '] Finalized (' + formatFileSize(session.size) + ')');
+    return res.json(makeSuccessResponse(describeUploadSession(session)));
+  } catch (err) {
+    if (!err.code) {
+      console.error('Upload finalize error:', err.message);
+      return res.status(500).json(makeErrorResponse('SERVER_ERROR', err.message));
+    }
+    return res.status(409).json(makeErrorResponse(err.code, err.message, err.details));
+  }
+});
+
+app.delete('/uploads/:uploadId', requireAuth(), loadUploadSession, async (req, res) => {
+  try {
+    await uploadSessions.remove(req.uploadSession.id);
+    return res.json(makeSuccessResponse({ upload_id: req.uploadSession.id, deleted: true }));
+  } catch (err) {
+    console.error('Upload delete error:', err.message);
+    return res.status(500).json(makeErrorResponse('SERVER_ERROR', err.message));
+  }
+});
+
+// =============================================================================
+// Quota
+// =============================================================================
+
+app.get('/quota', requireAuth(), async (req, res) => {
+  try {
+    return res.json(makeSuccessResponse({ quota: await getQuotaUsage(req.user, req.ip) }));
+  } catch (err) {
+    console.error('Quota error:', err.message);
+    return res.status(500).json(makeErrorResponse('SERVER_ERROR', err.message));
+  }
+});
+
+// =============================================================================
+// Artifact Downloads (local storage driver)
+// =============================================================================
+
+// Only the local driver serves files itself; the others hand out their own URLs
+app.get('/files/*', async (req, res) => {
+  if (storage.name !== 'local') return res.status(404).json(makeErrorResponse('NOT_FOUND', 'Not found'));
+
+  const key = req.params[0];
+  if (!storage.verify(key, req.query.expires, req.query.signature)) {
+    return res.status(403).json(makeErrorResponse('INVALID_SIGNATURE', 'Download link is invalid or has expired'));
+  }
+
+  let filePath;
+  try {
+    filePath = storage.filePath(key);
+  } catch (err) {
+    return res.status(400).json(makeErrorResponse(err.code, err.message));
+  }
+  res.sendFile(filePath, { dotfiles: 'deny' }, function(err) {
+    if (err && !res.headersSent) res.status(404).json(makeErrorResponse('NOT_FOUND', 'File not found'));
+  });
+});
+
+// Signed links expire, so icons of older builds get a fresh one from the driver that stored them
+function currentIconUrl(req, build) {
+  if (build.artifacts_deleted_at) return null;
+  if (!build.icon_key || build.storage !== storage.name) return build.icon_url;
+  try {
+    return storage.getUrl(build.icon_key, { baseUrl: getPublicBaseUrl() });
+  } catch (err) {
+    return build.icon_url;
+  }
+}
+
+// =============================================================================
+// My Builds
+// =============================================================================
+
+app.get('/builds', requireAuth(), async (req, res) => {
+  try {
+    const builds = await buildStore.list(function(b) { return b.owner && b.owner.uid === req.user.uid; });
+    builds.sort(function(a, b) { return new Date(b.created_at) - new Date(a.created_at); });
+
+    return res.json(makeSuccessResponse({
+      builds: builds.map(function(b) {
+        return {
+          build_id: b.build_id,
+          type: b.type,
+          app_name: b.app_name,
+          package_name: b.package_name,
+          icon_url: currentIconUrl(req, b),
+          status: b.status,
+          stage: b.stage || null,
+          output_format: b.output_format || 'apk',
+          download_url: b.download_url,
+          assets: b.assets || [],
+          repair: repairSummary(b),
+          created_at: b.created_at,
+          completed_at: b.completed_at
+        };
+      })
+    }));
+  } catch (err) {
+    console.error('Builds list error:', err.message);
+    return res.status(500).json(makeErrorResponse('SERVER_ERROR', err.message));
+  }
+});
+
+// =============================================================================
+// Build Progress Stream (Server-Sent Events)
+// =============================================================================
+
+app.get('/builds/:buildId/stream', requireAuth({ allowQueryToken: true }), async (req, res) => {
+  const buildId = req.params.buildId;
+
+  const owner = process.env.GITHUB_REPO_OWNER;
+  const repo = process.env.GITHUB_REPO_NAME;
+  const token = process.env.GITHUB_TOKEN;
+  if (!owner || !repo || !token) return res.status(500).json(makeErrorResponse('MISSING_ENV', 'Server misconfigured'));
+
+  let build;
+  try {
+    build = await buildStore.get(buildId);
+  } catch (err) {
+    return res.status(500).json(makeErrorResponse('SERVER_ERROR', err.message));
+  }
+  if (!build || !canAccessBuild(build, req.user)) {
+    return res.status(404).json(makeErrorResponse('BUILD_NOT_FOUND', 'Unknown build ID'));
+  }
 
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  let lastPayload = null;
+  let refreshing = false;
+  let refreshAgain = false;
+  let logSeq = Math.max(0, (build.log_seq || 0) - CONFIG.STREAM_LOG_BACKLOG);
+
+  const send = function(event, data) {
+    if (closed) return;
+    res.write('event: ' + event + '\ndata: ' + JSON.stringify(data) + '\n\n');
+  };
+
+  const sendNewLogLines = function(record) {
+    const seq = record.log_seq || 0;
+    if (seq <= logSeq) return;
+    const tail = record.log_tail || [];
+    const lines = tail.slice(Math.max(0, tail.length - (seq - logSeq)));
+    logSeq = seq;
+    if (lines.length > 0) send('log', { build_id: buildId, lines: lines });
+  };
+
+  const refresh = async function() {
+    if (closed) return;
+    if (refreshing) { refreshAgain = true; return; }
+    refreshing = true;
+    try {
+      const status = await resolveBuildStatus(buildId);
+      const payload = JSON.stringify(status);
+      if (status && payload !== lastPayload) {
+        lastPayload = payload;
+        send('status', status);
+      }
+      if (status && status.completed) finish();
     } catch (err) {
-      console.error('[' + buildId + '] Status check error:', err.message);
-      return res.status(500).json(makeErrorResponse('CHECK_FAILED', 'Failed to check status'));
+      console.error('[' + buildId + '] Stream refresh error:', err.message);
+    } finally {
+      refreshing = false;
+    }
+    if (refreshAgain) {
+      refreshAgain = false;
+      refresh();
+    }
+  };
+
+  // Log-only callbacks just extend the tail; anything else may change the status
+  const statusKey = function(record) {
+    const { log_tail, log_seq, updated_at, ...rest } = record;
+    return JSON.stringify(rest);
+  };
+  let lastStatusKey = statusKey(build);
+
+  const onUpdate = function(updatedId, record) {
+    if (updatedId !== buildId) return;
+    sendNewLogLines(record);
+    const key = statusKey(record);
+    if (key === lastStatusKey) return;
+    lastStatusKey = key;
+    refresh();
+  };
+
+  const pollTimer = setInterval(refresh, CONFIG.STREAM_POLL_INTERVAL);
+  const heartbeat = setInterval(function() { if (!closed) res.write(': ping\n\n'); }, 25000);
+
+  function finish() {
+    if (closed) return;
+    closed = true;
+    clearInterval(pollTimer);
+    clearInterval(heartbeat);
+    buildStore.removeListener('update', onUpdate);
+    res.end();
+  }
+
+  buildStore.on('update', onUpdate);
+  req.on('close', finish);
+
+  sendNewLogLines(build);
+  await refresh();
+});
+
+// =============================================================================
+// Build Events Endpoint (workflow callbacks)
+// =============================================================================
+
+app.post('/builds/:buildId/events', async (req, res) => {
+  const buildId = req.params.buildId;
+
+  if (!buildEventsEnabled()) {
+    return res.status(503).json(makeErrorResponse('EVENTS_DISABLED', 'Build events are not configured on this server'));
+  }
+  if (!acceptBuildEvent(req, res)) return;
+
+  const body = req.body || {};
+  const logLines = (Array.isArray(body.log) ? body.log : String(body.log || '').split('\n'))
+    .map(function(line) { return String(line).slice(0, 1000); })
+    .filter(function(line) { return line.trim() !== ''; });
+  const stage = BUILD_STAGES[body.stage];
+  if (!stage && !(body.stage === undefined && logLines.length > 0)) {
+    return res.status(400).json(makeErrorResponse('INVALID_STAGE', 'Unknown build stage',
+      { allowed: Object.keys(BUILD_STAGES) }));
+  }
+  if (body.download_url && !isReleaseDownloadUrl(body.download_url, buildId)) {
+    return res.status(400).json(makeErrorResponse('INVALID_DOWNLOAD_URL', 'download_url must be an asset of this build\'s GitHub release'));
+  }
+
+  try {
+    const build = await buildStore.get(buildId);
+    if (!build) return res.status(404).json(makeErrorResponse('BUILD_NOT_FOUND', 'Unknown build ID'));
+
+    const timestamp = parseInt(req.get('x-aite-timestamp'), 10);
+    const outOfOrder = checkEventOrder(build, timestamp, stage ? body.stage : null, stage ? stage.terminal : null);
+    if (outOfOrder) {
+      console.warn('[' + buildId + '] Event refused: ' + outOfOrder.message);
+      return res.status(409).json(makeErrorResponse(outOfOrder.code, outOfOrder.message));
+    }
+
+    const patch = { event_timestamp: timestamp };
+    if (logLines.length > 0) {
+      patch.log_tail = (build.log_tail || []).concat(logLines).slice(-CONFIG.LOG_TAIL_LINES);
+      patch.log_seq = (build.log_seq || 0) + logLines.length;
+    }
+
+    // Log-only callbacks just extend the tail
+    if (!stage) {
+      await buildStore.update(buildId, patch);
+      return res.json(makeSuccessResponse({ build_id: buildId, stage: build.stage, log_lines: logLines.length }));
+    }
+
+    const event = {
+      stage: body.stage,
+      message: body.message ? String(body.message).slice(0, 500) : null,
+      at: new Date().toISOString()
+    };
+    Object.assign(patch, {
+      stage: event.stage,
+      stage_message: event.message,
+      stage_at: event.at,
+      events: (build.events || []).concat(event)
+    });
+    const round = body.stage === 'repair_round' && event.message ? event.message.match(/^(\d+)\/(\d+)$/) : null;
+    if (round) patch.repair_round = { round: parseInt(round[1]), max_rounds: parseInt(round[2]) };
+    if (body.run_id && !build.run_id) {
+      patch.run_id = parseInt(body.run_id);
+      patch.run_url = body.run_url || null;
+    }
+    // A success without a download URL is left for the status check to confirm through the release
+    if (stage.terminal === 'failed' || (stage.terminal && body.download_url)) {
+      patch.status = stage.terminal;
+      patch.completed_at = event.at;
+      if (body.download_url) patch.download_url = body.download_url;
     }
+
+    await buildStore.update(buildId, patch);
+    console.log('[' + buildId + '] Event: ' + event.stage + (event.message ? ' - ' + event.message : ''));
+    return res.json(makeSuccessResponse({ build_id: buildId, stage: event.stage, progress: stage.progress }));
   } catch (err) {
-    console.error('Status endpoint error:', err.message);
+    console.error('[' + buildId + '] Event error:', err.message);
+    return res.status(500).json(makeErrorResponse('SERVER_ERROR', err.message));
+  }
+});
+
+// =============================================================================
+// Repair Reports
+// =============================================================================
+
+// The workflow's AI repair posts its report here (signed like build events). Reports sit next to the
+// cached build logs; the build record only keeps a summary and the user's decision.
+function repairReportPath(buildId) {
+  return path.join(CONFIG.BUILD_LOG_DIR, buildId + '.repair.json');
+}
+
+// What /check-status and the build list show about a build's repair
+function repairSummary(build) {
+  if (!build.repair) return null;
+  return Object.assign({ report_url: '/builds/' + build.build_id + '/repair' }, build.repair);
+}
+
+app.post('/builds/:buildId/repair', async (req, res) => {
+  const buildId = req.params.buildId;
+
+  if (!buildEventsEnabled()) {
+    return res.status(503).json(makeErrorResponse('EVENTS_DISABLED', 'Build events are not configured on this server'));
+  }
+  if (!acceptBuildEvent(req, res)) return;
+
+  try {
+    const build = await buildStore.get(buildId);
+    if (!build) return res.status(404).json(makeErrorResponse('BUILD_NOT_FOUND', 'Unknown build ID'));
+
+    const report = sanitizeReport(req.body || {});
+    await fs.mkdir(CONFIG.BUILD_LOG_DIR, { recursive: true });
+    await fs.writeFile(repairReportPath(buildId), JSON.stringify(report, null, 2));
+    // Posted again after every repair round; a decision the user already made is kept
+    await buildStore.update(buildId, {
+      repair: Object.assign({ decision: null }, build.repair, {
+        status: report.status,
+        files_changed: report.files_changed,
+        additions: report.additions,
+        deletions: report.deletions,
+        provider: report.provider.name,
+        rounds: report.rounds.length,
+        max_rounds: report.max_rounds,
+        stop_reason: report.stop_reason,
+        reported_at: new Date().toISOString()
+      })
+    });
+    console.log('[' + buildId + '] Repair report: ' + report.status + ', ' + report.files_changed + ' files changed');
+    return res.json(makeSuccessResponse({ build_id: buildId, status: report.status, files_changed: report.files_changed }));
+  } catch (err) {
+    console.error('[' + buildId + '] Repair report error:', err.message);
+    return res.status(500).json(makeErrorResponse('SERVER_ERROR', err.message));
+  }
+});
+
+// ?format=patch downloads the applied diffs as one patch, ?format=json the raw report
+app.get('/builds/:buildId/repair', requireAuth(), async (req, res) => {
+  const buildId = req.params.buildId;
+  try {
+    const build = await buildStore.get(buildId);
+    if (!build || !canAccessBuild(build, req.user)) {
+      return res.status(404).json(makeErrorResponse('BUILD_NOT_FOUND', 'Unknown build ID'));
+    }
+    if (!build.repair) return res.status(404).json(makeErrorResponse('REPAIR_NOT_FOUND', 'This build has no AI repair'));
+
+    let report;
+    try {
+      report = JSON.parse(await fs.readFile(repairReportPath(buildId), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      return res.status(404).json(makeErrorResponse('REPAIR_NOT_FOUND', 'The repair report is no longer available'));
+    }
+
+    if (req.query.format === 'patch') {
+      res.set('Content-Disposition', 'attachment; filename="repair-' + buildId + '.patch"');
+      return res.type('text/x-diff').send(reportPatch(report));
+    }
+    if (req.query.format === 'json') {
+      res.set('Content-Disposition', 'attachment; filename="repair-' + buildId + '.json"');
+      return res.json(report);
+    }
+    return res.json(makeSuccessResponse({ build_id: buildId, repair: repairSummary(build), report: report }));
+  } catch (err) {
+    console.error('[' + buildId + '] Repair report error:', err.message);
+    return res.status(500).json(makeErrorResponse('SERVER_ERROR', err.message));
+  }
+});
+
+// The built app still contains the changes; rejecting records that the user does not accept them
+app.post('/builds/:buildId/repair/reject', requireAuth(), async (req, res) => {
+  const buildId = req.params.buildId;
+  try {
+    const build = await buildStore.get(buildId);
+    if (!build || !canAccessBuild(build, req.user)) {
+      return res.status(404).json(makeErrorResponse('BUILD_NOT_FOUND', 'Unknown build ID'));
+    }
+    if (!build.repair) return res.status(404).json(makeErrorResponse('REPAIR_NOT_FOUND', 'This build has no AI repair'));
+
+    if (build.repair.decision !== 'rejected') {
+      const reason = req.body && req.body.reason ? String(req.body.reason).slice(0, 500) : null;
+      const updated = await buildStore.update(buildId, {
+        repair: Object.assign({}, build.repair, { decision: 'rejected', decided_at: new Date().toISOString(), reason: reason })
+      });
+      console.log('[' + buildId + '] Repair rejected by ' + req.user.uid);
+      return res.json(makeSuccessResponse({ build_id: buildId, repair: repairSummary(updated) }));
+    }
+    return res.json(makeSuccessResponse({ build_id: buildId, repair: repairSummary(build) }));
+  } catch (err) {
+    console.error('[' + buildId + '] Repair reject error:', err.message);
     return res.status(500).json(makeErrorResponse('SERVER_ERROR', err.message));
   }
 });
@@ -640,9 +2407,16 @@ app.get('/check-status/:buildId', async (req, res) => {
 // =============================================================================
 
 app.use(function(err, req, res, next) {
+  // A failed upload never reaches the route handler, so its temp dir is removed here
+  if (err && req.tempDir) cleanupTemp(req.tempDir);
+  if (err && err.code === 'UPLOAD_TOO_LARGE') {
+    // The client may still be sending: closing the connection stops the rest of the body
+    res.set('Connection', 'close');
+    return res.status(413).json(makeErrorResponse('UPLOAD_TOO_LARGE', err.message, { max_upload_size: CONFIG.MAX_UPLOAD_SIZE }));
+  }
   if (err instanceof multer.MulterError) {
-    if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json(makeErrorResponse('FILE_TOO_LARGE', 'File too large. Max: ' + formatFileSize(CONFIG.MAX_FILE_SIZE)));
-    if (err.code === 'LIMIT_FILE_COUNT') return res.status(413).json(makeErrorResponse('TOO_MANY_FILES', 'Too many files'));
+    if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json(makeErrorResponse('FILE_TOO_LARGE', 'File too large. Max: ' + formatFileSize(CONFIG.MAX_UPLOAD_SIZE)));
+    if (err.code === 'LIMIT_FILE_COUNT' || (err.code === 'LIMIT_UNEXPECTED_FILE' && err.field === 'projectFiles')) return res.status(413).json(makeErrorResponse('TOO_MANY_FILES', 'Too many files. Max: ' + CONFIG.MAX_UPLOAD_FILES));
     return res.status(400).json(makeErrorResponse('UPLOAD_ERROR', err.message));
   }
   if (err) {
@@ -661,6 +2435,41 @@ app.get('/', function(req, res) {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// =============================================================================
+// Periodic Cleanup
+// =============================================================================
+
+// Same job as `npm run cleanup`; a run still in progress is never overlapped
+let cleanupRunning = false;
+async function runScheduledCleanup() {
+  if (cleanupRunning) return;
+  cleanupRunning = true;
+  try {
+    const report = await runCleanup({
+      tempDir: CONFIG.TEMP_DIR,
+      tempMaxAge: CONFIG.CLEANUP_TEMP_MAX_AGE,
+      blobDir: CONFIG.BLOB_DIR,
+      blobMaxAge: CONFIG.CLEANUP_BLOB_MAX_AGE,
+      logDir: CONFIG.BUILD_LOG_DIR,
+      artifactMaxAge: CONFIG.ARTIFACT_RETENTION_DAYS * 24 * 60 * 60 * 1000,
+      unfinishedMaxAge: CONFIG.UNFINISHED_RETENTION_DAYS * 24 * 60 * 60 * 1000,
+      buildStore: buildStore,
+      storage: storage
+    });
+    console.log('[Cleanup] ' + summarizeCleanup(report));
+    report.errors.forEach(function(e) { console.error('[Cleanup] ' + (e.path || e.build_id) + ': ' + e.error); });
+  } catch (err) {
+    console.error('[Cleanup] Failed:', err.message);
+  } finally {
+    cleanupRunning = false;
+  }
+}
+
+if (CONFIG.CLEANUP_INTERVAL > 0) {
+  setTimeout(runScheduledCleanup, 60 * 1000).unref();
+  setInterval(runScheduledCleanup, CONFIG.CLEANUP_INTERVAL).unref();
+}
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, '0.0.0.0', function() {
   console.log('============================================================');
@@ -668,8 +2477,13 @@ app.listen(PORT, '0.0.0.0', function() {
   console.log('============================================================');
   console.log('  Port: ' + PORT);
   console.log('  Temp: ' + CONFIG.TEMP_DIR);
-  console.log('  Max Size: ' + formatFileSize(CONFIG.MAX_FILE_SIZE));
-  console.log('  Features: Flutter Build, AI Repair, Telegram Notify');
+  console.log('  Storage: ' + storage.name);
+  console.log('  Builds: ' + CONFIG.BUILD_STORE_PATH);
+  console.log('  Max Upload: ' + formatFileSize(CONFIG.MAX_UPLOAD_SIZE) + ', ' + CONFIG.MAX_UPLOAD_FILES + ' files');
+  if (CONFIG.BUILD_EVENTS_SECRET && !CONFIG.PUBLIC_BASE_URL) {
+    console.warn('  Build events are off: BUILD_EVENTS_SECRET needs PUBLIC_BASE_URL for the callback URL');
+  }
+  console.log('  Features: Flutter Build, Web Build, AI Repair, Telegram Notify');
   console.log('  Supports: Flutter Folder, Flutter ZIP, Old & New Projects');
   console.log('============================================================');
 });
@@ -0,0 +1,317 @@
+// signing.js
+// Release signing material for the build workflows.
+// Validates uploaded JKS / PKCS12 keystores, keeps one generated key per package name
+// when nothing is uploaded, and seals everything with AES-256-GCM before it leaves the server.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const forge = require('node-forge');
+
+const JKS_MAGIC = 0xfeedfeed;
+const JCEKS_MAGIC = 0xcececece;
+const JKS_PRIVATE_KEY_TAG = 1;
+const JKS_TRUSTED_CERT_TAG = 2;
+
+function signingError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+function sha256Fingerprint(der) {
+  return crypto.createHash('sha256').update(der).digest('hex').toUpperCase().match(/.{2}/g).join(':');
+}
+
+// Java keystores hash passwords as UTF-16BE
+function jksPasswordBytes(password) {
+  const bytes = Buffer.alloc(password.length * 2);
+  for (let i = 0; i < password.length; i++) bytes.writeUInt16BE(password.charCodeAt(i), i * 2);
+  return bytes;
+}
+
+// =============================================================================
+// JKS
+// =============================================================================
+
+function parseJks(buffer) {
+  let offset = 0;
+  const need = (n) => {
+    if (offset + n > buffer.length) throw signingError('INVALID_KEYSTORE', 'Keystore file is truncated');
+  };
+  const readInt = () => { need(4); const v = buffer.readUInt32BE(offset); offset += 4; return v; };
+  const readBytes = (n) => { need(n); const b = buffer.subarray(offset, offset + n); offset += n; return b; };
+  const readUtf = () => { need(2); const len = buffer.readUInt16BE(offset); offset += 2; return readBytes(len).toString('utf8'); };
+
+  readInt(); // magic
+  const version = readInt();
+  const count = readInt();
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    const tag = readInt();
+    const alias = readUtf();
+    readBytes(8); // creation date
+
+    if (tag === JKS_PRIVATE_KEY_TAG) {
+      const protectedKey = readBytes(readInt());
+      const chain = [];
+      const chainLength = readInt();
+      for (let c = 0; c < chainLength; c++) {
+        if (version === 2) readUtf();
+        chain.push(readBytes(readInt()));
+      }
+      entries.push({ alias, type: 'privateKey', protectedKey, chain });
+    } else if (tag === JKS_TRUSTED_CERT_TAG) {
+      if (version === 2) readUtf();
+      entries.push({ alias, type: 'trustedCert', chain: [readBytes(readInt())] });
+    } else {
+      throw signingError('INVALID_KEYSTORE', 'Unsupported JKS entry type ' + tag);
+    }
+  }
+
+  return { entries, signedLength: offset, digest: readBytes(20) };
+}
+
+function verifyJksIntegrity(buffer, parsed, storePassword) {
+  const digest = crypto.createHash('sha1')
+    .update(jksPasswordBytes(storePassword))
+    .update(Buffer.from('Mighty Aphrodite', 'utf8'))
+    .update(buffer.subarray(0, parsed.signedLength))
+    .digest();
+  return crypto.timingSafeEqual(digest, parsed.digest);
+}
+
+// Sun's KeyProtector: SHA-1 keystream seeded with a salt, followed by a SHA-1 check value.
+// A protected key that is not that structure is a broken keystore, not a wrong password.
+function recoverJksKey(protectedKey, keyPassword) {
+  let encrypted;
+  try {
+    const info = forge.asn1.fromDer(forge.util.createBuffer(protectedKey.toString('binary')));
+    encrypted = Buffer.from(info.value[1].value, 'binary');
+  } catch (err) {
+    throw signingError('INVALID_KEYSTORE', 'Keystore private key entry is malformed');
+  }
+  if (encrypted.length < 40) throw signingError('INVALID_KEYSTORE', 'Keystore private key entry is malformed');
+  const salt = encrypted.subarray(0, 20);
+  const check = encrypted.subarray(encrypted.length - 20);
+  const cipherText = encrypted.subarray(20, encrypted.length - 20);
+  const passwordBytes = jksPasswordBytes(keyPassword);
+
+  const keyStream = Buffer.alloc(cipherText.length);
+  let digest = salt;
+  for (let pos = 0; pos < cipherText.length; pos += 20) {
+    digest = crypto.createHash('sha1').update(passwordBytes).update(digest).digest();
+    digest.copy(keyStream, pos, 0, Math.min(20, cipherText.length - pos));
+  }
+
+  const plain = Buffer.alloc(cipherText.length);
+  for (let i = 0; i < plain.length; i++) plain[i] = cipherText[i] ^ keyStream[i];
+
+  const expected = crypto.createHash('sha1').update(passwordBytes).update(plain).digest();
+  return crypto.timingSafeEqual(expected, check);
+}
+
+function inspectJks(buffer, storePassword, alias, keyPassword) {
+  const parsed = parseJks(buffer);
+  const aliases = parsed.entries.map((e) => e.alias);
+
+  if (!verifyJksIntegrity(buffer, parsed, storePassword)) {
+    throw signingError('KEYSTORE_PASSWORD', 'Keystore password is incorrect or the file is corrupted');
+  }
+
+  // JKS stores aliases lower-cased
+  const entry = parsed.entries.find((e) => e.alias === alias.toLowerCase());
+  if (!entry) throw signingError('KEYSTORE_ALIAS', 'Alias "' + alias + '" not found in keystore', { aliases });
+  if (entry.type !== 'privateKey') throw signingError('KEYSTORE_ALIAS', 'Alias "' + alias + '" is not a private key entry');
+  if (!recoverJksKey(entry.protectedKey, keyPassword)) {
+    throw signingError('KEY_PASSWORD', 'Key password is incorrect for alias "' + alias + '"');
+  }
+
+  if (entry.chain.length === 0) throw signingError('INVALID_KEYSTORE', 'Alias "' + alias + '" has no certificate');
+  return { type: 'JKS', alias: entry.alias, aliases, fingerprint: sha256Fingerprint(entry.chain[0]) };
+}
+
+// =============================================================================
+// PKCS12
+// =============================================================================
+
+function inspectPkcs12(buffer, storePassword, alias, keyPassword) {
+  let p12;
+  try {
+    const asn1 = forge.asn1.fromDer(forge.util.createBuffer(buffer.toString('binary')));
+    p12 = forge.pkcs12.pkcs12FromAsn1(asn1, false, storePassword);
+  } catch (err) {
+    throw signingError('KEYSTORE_PASSWORD', 'Keystore password is incorrect or the file is corrupted');
+  }
+
+  const keyBags = (p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || [])
+    .concat(p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag] || []);
+  const aliases = keyBags.map((bag) => bag.attributes.friendlyName ? bag.attributes.friendlyName[0] : null).filter(Boolean);
+
+  const keyBag = keyBags.find((bag) => bag.attributes.friendlyName && bag.attributes.friendlyName[0].toLowerCase() === alias.toLowerCase());
+  if (!keyBag) throw signingError('KEYSTORE_ALIAS', 'Alias "' + alias + '" not found in keystore', { aliases });
+
+  // Java's PKCS12 keystores protect the key with the store password
+  if (!keyBag.key || keyPassword !== storePassword) {
+    throw signingError('KEY_PASSWORD', 'Key password must match the store password for PKCS12 keystores');
+  }
+
+  const certBags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [];
+  const localKeyId = keyBag.attributes.localKeyId ? keyBag.attributes.localKeyId[0] : null;
+  const certBag = certBags.find((bag) => localKeyId && bag.attributes.localKeyId && bag.attributes.localKeyId[0] === localKeyId) || certBags[0];
+  let fingerprint = null;
+  try {
+    if (certBag && certBag.cert) fingerprint = sha256Fingerprint(Buffer.from(forge.asn1.toDer(forge.pki.certificateToAsn1(certBag.cert)).getBytes(), 'binary'));
+  } catch (err) {
+    throw signingError('INVALID_KEYSTORE', 'Certificate for alias "' + alias + '" is malformed');
+  }
+
+  return { type: 'PKCS12', alias: keyBag.attributes.friendlyName[0], aliases, fingerprint };
+}
+
+// =============================================================================
+// Public API
+// =============================================================================
+
+function detectKeystoreType(buffer) {
+  if (buffer.length < 4) return null;
+  const magic = buffer.readUInt32BE(0);
+  if (magic === JKS_MAGIC) return 'JKS';
+  if (magic === JCEKS_MAGIC) return 'JCEKS';
+  if (buffer[0] === 0x30) return 'PKCS12';
+  return null;
+}
+
+function inspectKeystore(buffer, options) {
+  const storePassword = options.storePassword;
+  const alias = options.alias;
+  const keyPassword = options.keyPassword || storePassword;
+
+  if (!alias || !storePassword) {
+    throw signingError('KEYSTORE_FIELDS', 'keystoreAlias and keystorePassword are required with a keystore');
+  }
+  if (/[\r\n]/.test(alias + storePassword + keyPassword)) {
+    throw signingError('KEYSTORE_FIELDS', 'Keystore alias and passwords must not contain line breaks');
+  }
+
+  const type = detectKeystoreType(buffer);
+  if (type === 'JKS') return inspectJks(buffer, storePassword, alias, keyPassword);
+  if (type === 'PKCS12') return inspectPkcs12(buffer, storePassword, alias, keyPassword);
+  if (type === 'JCEKS') {
+    throw signingError('INVALID_KEYSTORE', 'JCEKS keystores are not supported. Convert with: keytool -importkeystore -deststoretype pkcs12');
+  }
+  throw signingError('INVALID_KEYSTORE', 'Unrecognized keystore format. Upload a .jks or .p12 keystore');
+}
+
+function generateKeystore(packageName) {
+  const pair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const privateKey = forge.pki.privateKeyFromPem(pair.privateKey.export({ type: 'pkcs1', format: 'pem' }));
+  const publicKey = forge.pki.publicKeyFromPem(pair.publicKey.export({ type: 'spki', format: 'pem' }));
+
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = publicKey;
+  cert.serialNumber = '01' + crypto.randomBytes(8).toString('hex');
+  cert.validity.notBefore = new Date();
+  cert.validity.notAfter = new Date();
+  cert.validity.notAfter.setFullYear(cert.validity.notBefore.getFullYear() + 30);
+  const subject = [{ name: 'commonName', value: packageName }, { name: 'organizationName', value: 'Aite.studio' }];
+  cert.setSubject(subject);
+  cert.setIssuer(subject);
+  cert.sign(privateKey, forge.md.sha256.create());
+
+  const alias = 'release';
+  const password = crypto.randomBytes(16).toString('hex');
+  const p12Asn1 = forge.pkcs12.toPkcs12Asn1(privateKey, [cert], password, {
+    algorithm: '3des', friendlyName: alias, generateLocalKeyId: true
+  });
+  const der = Buffer.from(forge.asn1.toDer(p12Asn1).getBytes(), 'binary');
+  const certDer = Buffer.from(forge.asn1.toDer(forge.pki.certificateToAsn1(cert)).getBytes(), 'binary');
+
+  return {
+    keystore: der.toString('base64'),
+    type: 'PKCS12',
+    key_alias: alias,
+    store_password: password,
+    key_password: password,
+    fingerprint: sha256Fingerprint(certDer)
+  };
+}
+
+function sealSigningBundle(bundle, secret) {
+  const key = crypto.createHash('sha256').update(secret).digest();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(bundle), 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+}
+
+function openSigningBundle(sealed, secret) {
+  const raw = Buffer.from(sealed, 'base64');
+  const key = crypto.createHash('sha256').update(secret).digest();
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, raw.subarray(0, 12));
+  decipher.setAuthTag(raw.subarray(12, 28));
+  return JSON.parse(Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8'));
+}
+
+// One generated key per package (and owner), sealed at rest, so every build of an app carries the same signature
+class PackageKeyStore {
+  constructor(dir, secret) {
+    this.dir = dir;
+    this.secret = secret;
+    this.pending = new Map();
+  }
+
+  // Keys are namespaced by owner so nobody can get an app signed with someone else's key
+  keyPath(packageName, ownerId) {
+    const fileName = packageName + '.key';
+    if (!ownerId) return path.join(this.dir, fileName);
+    return path.join(this.dir, String(ownerId).replace(/[^A-Za-z0-9_-]/g, '_'), fileName);
+  }
+
+  async get(packageName, ownerId) {
+    try {
+      return openSigningBundle(await fs.readFile(this.keyPath(packageName, ownerId), 'utf8'), this.secret);
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async getOrCreate(packageName, ownerId) {
+    const existing = await this.get(packageName, ownerId);
+    if (existing) return existing;
+    const keyPath = this.keyPath(packageName, ownerId);
+    if (this.pending.has(keyPath)) return this.pending.get(keyPath);
+
+    const creating = (async () => {
+      const bundle = generateKeystore(packageName);
+      await fs.mkdir(path.dirname(keyPath), { recursive: true });
+      try {
+        await fs.writeFile(keyPath, sealSigningBundle(bundle, this.secret), { flag: 'wx' });
+        console.log('[Signing] Generated release key for ' + packageName);
+        return bundle;
+      } catch (err) {
+        // Another process won the race; its key is the one to keep
+        if (err.code === 'EEXIST') return this.get(packageName, ownerId);
+        throw err;
+      }
+    })();
+
+    this.pending.set(keyPath, creating);
+    try {
+      return await creating;
+    } finally {
+      this.pending.delete(keyPath);
+    }
+  }
+}
+
+module.exports = {
+  detectKeystoreType,
+  inspectKeystore,
+  generateKeystore,
+  sealSigningBundle,
+  openSigningBundle,
+  PackageKeyStore
+};
@@ -0,0 +1,369 @@
+// storage.js
+// Artifact storage (build icons and source ZIPs) behind one small interface, so routes never talk
+// to a vendor SDK directly. Every driver implements:
+//   put(key, source, options)  -> { key, url, size }   source: Buffer, file path or readable stream
+//   getUrl(key, options)       -> download URL; options.expiresIn (ms) where the driver can expire URLs
+//   delete(key)                -> removes the object; a missing object is not an error
+// Shared options: contentType and baseUrl (this server's public origin, needed by drivers that serve
+// files themselves).
+// Keys are relative paths like 'icons/com_example_icon_<build>.png' and are always generated server-side.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { pipeline } = require('stream');
+const axios = require('axios');
+
+// Cloudinary chunked uploads hold one chunk in memory at a time
+const CLOUDINARY_CHUNK_SIZE = 20 * 1024 * 1024;
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.bmp', '.svg'];
+// S3 presigned URLs cannot live longer than seven days
+const S3_MAX_URL_EXPIRY = 7 * 24 * 60 * 60;
+
+function storageError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+function pipeToFile(source, target) {
+  return new Promise(function(resolve, reject) {
+    const input = typeof source === 'string' ? fsSync.createReadStream(source) : source;
+    pipeline(input, fsSync.createWriteStream(target), function(err) {
+      if (err) reject(err); else resolve();
+    });
+  });
+}
+
+// =============================================================================
+// Local disk
+// =============================================================================
+
+// Files live under `dir` and are served by the app itself through HMAC-signed, expiring URLs
+// (GET <baseUrl>/files/<key>?expires=<unix seconds>&signature=<hex>). Without a baseUrl no file could
+// ever be handed out, so that is refused when the driver is created rather than after a put.
+class LocalStorage {
+  constructor(options) {
+    this.name = 'local';
+    this.dir = path.resolve(options.dir);
+    this.secret = options.secret;
+    this.urlTtl = options.urlTtl;
+    this.baseUrl = options.baseUrl || null;
+    if (!this.baseUrl) {
+      throw storageError('STORAGE_MISCONFIGURED', 'Local storage needs PUBLIC_BASE_URL to build download URLs');
+    }
+  }
+
+  filePath(key) {
+    const target = path.resolve(this.dir, String(key));
+    const rel = path.relative(this.dir, target);
+    if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) throw storageError('INVALID_KEY', 'Invalid storage key: ' + key);
+    return target;
+  }
+
+  sign(key, expires) {
+    return crypto.createHmac('sha256', this.secret).update(key + '\n' + expires).digest('hex');
+  }
+
+  // True when the signature matches and has not expired
+  verify(key, expires, signature) {
+    const expiresAt = parseInt(expires);
+    if (!expiresAt || expiresAt * 1000 < Date.now()) return false;
+    const expected = Buffer.from(this.sign(key, expiresAt));
+    const given = Buffer.from(String(signature || ''));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  async put(key, source, options) {
+    const target = this.filePath(key);
+    const url = this.getUrl(key, options);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    const tmpPath = target + '.' + process.pid + '.' + crypto.randomBytes(4).toString('hex') + '.tmp';
+    try {
+      if (Buffer.isBuffer(source)) await fs.writeFile(tmpPath, source);
+      else await pipeToFile(source, tmpPath);
+      await fs.rename(tmpPath, target);
+    } catch (err) {
+      await fs.rm(tmpPath, { force: true });
+      throw err;
+    }
+    const stat = await fs.stat(target);
+    return { key: key, url: url, size: stat.size };
+  }
+
+  getUrl(key, options) {
+    const opts = options || {};
+    const expires = Math.floor((Date.now() + (opts.expiresIn || this.urlTtl)) / 1000);
+    const encodedKey = String(key).split('/').map(encodeURIComponent).join('/');
+    return (opts.baseUrl || this.baseUrl).replace(/\/+$/, '') + '/files/' + encodedKey + '?expires=' + expires + '&signature=' + this.sign(key, expires);
+  }
+
+  async delete(key) {
+    await fs.rm(this.filePath(key), { force: true });
+  }
+}
+
+// =============================================================================
+// S3-compatible (AWS S3, MinIO, Cloudflare R2, ...) - plain HTTP with Signature V4
+// =============================================================================
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, function(c) { return '%' + c.charCodeAt(0).toString(16).toUpperCase(); });
+}
+
+class S3Storage {
+  constructor(options) {
+    this.name = 's3';
+    this.bucket = options.bucket;
+    this.region = options.region || 'us-east-1';
+    this.accessKeyId = options.accessKeyId;
+    this.secretAccessKey = options.secretAccessKey;
+    this.prefix = options.prefix ? options.prefix.replace(/\/+$/, '') + '/' : '';
+    this.pathStyle = !!options.forcePathStyle;
+    this.endpoint = new URL(options.endpoint || 'https://s3.' + this.region + '.amazonaws.com');
+    this.tempDir = options.tempDir;
+    this.urlTtl = options.urlTtl;
+    if (!this.bucket || !this.accessKeyId || !this.secretAccessKey) {
+      throw storageError('STORAGE_MISCONFIGURED', 'S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+  }
+
+  objectUrl(key) {
+    const objectPath = (this.prefix + key).split('/').map(encodeRfc3986).join('/');
+    const base = this.endpoint.protocol + '//' + (this.pathStyle ? this.endpoint.host : this.bucket + '.' + this.endpoint.host);
+    return new URL(base + (this.pathStyle ? '/' + this.bucket : '') + '/' + objectPath);
+  }
+
+  // Returns the signature for a request, as in AWS "Signature Version 4" (header or query variant)
+  signature(method, url, headers, payloadHash, amzDate) {
+    const date = amzDate.slice(0, 8);
+    const scope = date + '/' + this.region + '/s3/aws4_request';
+    const query = Array.from(url.searchParams.entries())
+      .map(function(p) { return [encodeRfc3986(p[0]), encodeRfc3986(p[1])]; })
+      .sort(function(a, b) { return a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : (a[1] < b[1] ? -1 : 1); })
+      .map(function(p) { return p[0] + '=' + p[1]; })
+      .join('&');
+    const names = Object.keys(headers).map(function(h) { return h.toLowerCase(); }).sort();
+    const lowered = {};
+    Object.keys(headers).forEach(function(h) { lowered[h.toLowerCase()] = String(headers[h]).trim(); });
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      query,
+      names.map(function(h) { return h + ':' + lowered[h] + '\n'; }).join(''),
+      names.join(';'),
+      payloadHash
+    ].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    let key = hmac('AWS4' + this.secretAccessKey, date);
+    key = hmac(key, this.region);
+    key = hmac(key, 's3');
+    key = hmac(key, 'aws4_request');
+    return { scope: scope, signedHeaders: names.join(';'), value: hmac(key, stringToSign).toString('hex') };
+  }
+
+  async request(method, key, body, extraHeaders) {
+    const url = this.objectUrl(key);
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const headers = Object.assign({
+      host: url.host,
+      'x-amz-content-sha256': 'UNSIGNED-PAYLOAD',
+      'x-amz-date': amzDate
+    }, extraHeaders || {});
+    const sig = this.signature(method, url, headers, 'UNSIGNED-PAYLOAD', amzDate);
+    headers.Authorization = 'AWS4-HMAC-SHA256 Credential=' + this.accessKeyId + '/' + sig.scope +
+      ', SignedHeaders=' + sig.signedHeaders + ', Signature=' + sig.value;
+    delete headers.host;
+
+    const resp = await axios({
+      method: method,
+      url: url.toString(),
+      data: body,
+      headers: headers,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      timeout: 0,
+      validateStatus: null
+    });
+    if (resp.status >= 300 && !(method === 'DELETE' && resp.status === 404)) {
+      const text = typeof resp.data === 'string' ? resp.data : JSON.stringify(resp.data || '');
+      throw storageError('STORAGE_REQUEST_FAILED', 'S3 ' + method + ' ' + key + ' failed with HTTP ' + resp.status, { body: text.slice(0, 500) });
+    }
+    return resp;
+  }
+
+  async put(key, source, options) {
+    const opts = options || {};
+    const contentType = opts.contentType || 'application/octet-stream';
+    let size;
+    let spooled = null;
+
+    // A PUT needs Content-Length, so streams of unknown length are spooled to disk first
+    if (Buffer.isBuffer(source)) {
+      size = source.length;
+    } else {
+      let file = source;
+      if (typeof source !== 'string') {
+        spooled = path.join(this.tempDir, 's3-' + crypto.randomBytes(8).toString('hex') + '.part');
+        await fs.mkdir(this.tempDir, { recursive: true });
+        await pipeToFile(source, spooled);
+        file = spooled;
+      }
+      size = (await fs.stat(file)).size;
+      source = file;
+    }
+
+    try {
+      const body = Buffer.isBuffer(source) ? source : fsSync.createReadStream(source);
+      await this.request('PUT', key, body, { 'content-type': contentType, 'content-length': size });
+    } finally {
+      if (spooled) await fs.rm(spooled, { force: true });
+    }
+    return { key: key, url: this.getUrl(key, opts), size: size };
+  }
+
+  getUrl(key, options) {
+    const opts = options || {};
+    const url = this.objectUrl(key);
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const expiresIn = Math.min(Math.ceil((opts.expiresIn || this.urlTtl) / 1000), S3_MAX_URL_EXPIRY);
+    const scope = amzDate.slice(0, 8) + '/' + this.region + '/s3/aws4_request';
+
+    url.searchParams.set('X-Amz-Algorithm', 'AWS4-HMAC-SHA256');
+    url.searchParams.set('X-Amz-Credential', this.accessKeyId + '/' + scope);
+    url.searchParams.set('X-Amz-Date', amzDate);
+    url.searchParams.set('X-Amz-Expires', String(expiresIn));
+    url.searchParams.set('X-Amz-SignedHeaders', 'host');
+    const sig = this.signature('GET', url, { host: url.host }, 'UNSIGNED-PAYLOAD', amzDate);
+    url.searchParams.set('X-Amz-Signature', sig.value);
+    return url.toString();
+  }
+
+  async delete(key) {
+    await this.request('DELETE', key);
+  }
+}
+
+// =============================================================================
+// Cloudinary
+// =============================================================================
+
+// Images are stored as image resources (public ID without extension), everything else as raw files
+class CloudinaryStorage {
+  constructor(options) {
+    this.name = 'cloudinary';
+    this.cloudinary = require('cloudinary').v2;
+    this.cloudinary.config({
+      cloud_name: options.cloudName,
+      api_key: options.apiKey,
+      api_secret: options.apiSecret,
+      secure: true
+    });
+    this.folder = options.folder ? options.folder.replace(/\/+$/, '') + '/' : '';
+  }
+
+  resource(key) {
+    const ext = path.extname(key).toLowerCase();
+    const isImage = IMAGE_EXTENSIONS.includes(ext);
+    return {
+      resource_type: isImage ? 'image' : 'raw',
+      public_id: this.folder + (isImage ? key.slice(0, -ext.length) : key),
+      format: isImage ? ext.slice(1) : undefined
+    };
+  }
+
+  async put(key, source) {
+    const target = this.resource(key);
+    const uploadOpts = { public_id: target.public_id, resource_type: target.resource_type, overwrite: true };
+
+    const result = await new Promise((resolve, reject) => {
+      const done = function(err, res) { if (err) reject(err); else resolve(res); };
+      if (Buffer.isBuffer(source)) {
+        this.cloudinary.uploader.upload_stream(uploadOpts, done).end(source);
+        return;
+      }
+      const uploadStream = this.cloudinary.uploader.upload_chunked_stream(Object.assign({ chunk_size: CLOUDINARY_CHUNK_SIZE }, uploadOpts), done);
+      const readStream = typeof source === 'string' ? fsSync.createReadStream(source) : source;
+      readStream.on('error', reject);
+      uploadStream.on('error', reject);
+      readStream.pipe(uploadStream);
+    });
+    return { key: key, url: result.secure_url, size: result.bytes };
+  }
+
+  // Uploaded resources are public, so Cloudinary URLs do not expire
+  getUrl(key) {
+    const target = this.resource(key);
+    return this.cloudinary.url(target.public_id, { resource_type: target.resource_type, format: target.format, secure: true });
+  }
+
+  async delete(key) {
+    const target = this.resource(key);
+    await this.cloudinary.uploader.destroy(target.public_id, { resource_type: target.resource_type, invalidate: true });
+  }
+}
+
+// =============================================================================
+// Factory
+// =============================================================================
+
+// config.driver: 'cloudinary' | 's3' | 'local'
+function createStorage(config) {
+  switch (config.driver) {
+    case 'cloudinary':
+      return new CloudinaryStorage(config.cloudinary);
+    case 's3':
+      return new S3Storage(Object.assign({ tempDir: config.tempDir, urlTtl: config.urlTtl }, config.s3));
+    case 'local':
+      return new LocalStorage(Object.assign({ urlTtl: config.urlTtl }, config.local));
+    default:
+      throw storageError('STORAGE_MISCONFIGURED', 'Unknown STORAGE_DRIVER "' + config.driver + '" (use cloudinary, s3 or local)');
+  }
+}
+
+// Reads STORAGE_*, CLOUDINARY_* and S3_* so the server and maintenance scripts agree on the backend.
+// defaults: { tempDir, localDir }
+function createStorageFromEnv(env, defaults) {
+  const driver = env.STORAGE_DRIVER || (env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+  if (driver === 'local' && !env.STORAGE_SIGNING_SECRET) {
+    console.warn('[Storage] STORAGE_SIGNING_SECRET is not set; download links will stop working after a restart');
+  }
+  return createStorage({
+    driver: driver,
+    urlTtl: parseInt(env.STORAGE_URL_TTL) || 24 * 60 * 60 * 1000,
+    tempDir: defaults.tempDir,
+    cloudinary: {
+      cloudName: env.CLOUDINARY_CLOUD_NAME,
+      apiKey: env.CLOUDINARY_API_KEY,
+      apiSecret: env.CLOUDINARY_API_SECRET,
+      folder: env.CLOUDINARY_FOLDER || 'aite_studio'
+    },
+    s3: {
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION,
+      endpoint: env.S3_ENDPOINT,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      prefix: env.S3_PREFIX,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true'
+    },
+    local: {
+      dir: env.STORAGE_LOCAL_DIR || defaults.localDir,
+      secret: env.STORAGE_SIGNING_SECRET || crypto.randomBytes(32).toString('hex'),
+      baseUrl: env.PUBLIC_BASE_URL
+    }
+  });
+}
+
+module.exports = { createStorage, createStorageFromEnv, LocalStorage, S3Storage, CloudinaryStorage };
@@ -0,0 +1,177 @@
+// test/ai-repair.test.js
+// AI repair against the mock provider: write allowlist, diffs, repair passes and report sanitizing.
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs').promises;
+const path = require('path');
+const fixtures = require('./helpers/fixtures');
+const {
+  createMockProvider,
+  resolveWritable,
+  unifiedDiff,
+  repairProject,
+  runRepairLoop,
+  reportPatch,
+  sanitizeReport
+} = require('../ai-repair');
+
+const BROKEN_MAIN = "import 'package:flutter/material.dart';\n\nvoid main() {\n  runApp(MyApp())\n}\n\nclass MyApp extends StatelessWidget {\n  const MyApp({Key? key}) : super(key: key);\n}\n";
+const FIXED_MAIN = BROKEN_MAIN.replace('runApp(MyApp())', 'runApp(const MyApp());');
+const DART_ERROR_LOG = "lib/main.dart:4:18: Error: Expected ';' after this.\n  runApp(MyApp())\n                 ^\nFAILURE: Build failed with an exception.\n";
+
+function withProject(files, fn) {
+  return fixtures.withProject('ai-repair', files, fn);
+}
+
+test('resolveWritable allows pubspec.yaml, lib/ and android/ only', async function() {
+  await withProject({
+    'pubspec.yaml': 'name: demo\n',
+    'lib/main.dart': BROKEN_MAIN,
+    'android/app/build.gradle': 'android {}\n',
+    'README.md': '# demo\n',
+    'ios/Runner/Info.plist': '<plist/>\n'
+  }, async function(root) {
+    const realRoot = await fs.realpath(root);
+    assert.strictEqual(await resolveWritable(root, 'lib/main.dart'), path.join(realRoot, 'lib/main.dart'));
+    assert.strictEqual(await resolveWritable(root, 'pubspec.yaml'), path.join(realRoot, 'pubspec.yaml'));
+    assert.strictEqual(await resolveWritable(root, 'android/app/build.gradle'), path.join(realRoot, 'android/app/build.gradle'));
+
+    for (const file of ['README.md', 'ios/Runner/Info.plist', '../outside.dart', 'lib/../README.md', '/etc/passwd']) {
+      await assert.rejects(resolveWritable(root, file), { code: 'REPAIR_FORBIDDEN' }, file);
+    }
+    await assert.rejects(resolveWritable(root, 'lib/missing.dart'), { code: 'REPAIR_NOT_FOUND' });
+    await assert.rejects(resolveWritable(root, 'lib'), { code: 'REPAIR_FORBIDDEN' });
+  });
+});
+
+test('resolveWritable never follows a symlink out of the project', async function() {
+  await withProject({ 'lib/main.dart': BROKEN_MAIN }, async function(root) {
+    await withProject({ 'secret.dart': 'const secret = 1;\n' }, async function(outside) {
+      await fs.symlink(path.join(outside, 'secret.dart'), path.join(root, 'lib/link.dart'));
+      await fs.symlink(outside, path.join(root, 'lib/linked'));
+      await assert.rejects(resolveWritable(root, 'lib/link.dart'), { code: 'REPAIR_FORBIDDEN' });
+      await assert.rejects(resolveWritable(root, 'lib/linked/secret.dart'), { code: 'REPAIR_FORBIDDEN' });
+    });
+  });
+});
+
+test('unifiedDiff produces diff -u hunks', function() {
+  assert.deepStrictEqual(unifiedDiff('a.txt', 'same\n', 'same\n'), { diff: '', additions: 0, deletions: 0 });
+
+  const before = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12'].join('\n') + '\n';
+  const after = before.replace('2\n', 'two\n').replace('11\n', '');
+  assert.deepStrictEqual(unifiedDiff('a.txt', before, after), {
+    diff: [
+      '--- a/a.txt', '+++ b/a.txt',
+      '@@ -1,5 +1,5 @@', ' 1', '-2', '+two', ' 3', ' 4', ' 5',
+      '@@ -8,5 +8,4 @@', ' 8', ' 9', ' 10', '-11', ' 12', ''
+    ].join('\n'),
+    additions: 1,
+    deletions: 2
+  });
+});
+
+test('unifiedDiff shows a missing final newline as a change', function() {
+  const result = unifiedDiff('a.txt', 'one\ntwo', 'one\ntwo\n');
+  assert.strictEqual(result.diff, '--- a/a.txt\n+++ b/a.txt\n@@ -1,2 +1,2 @@\n one\n-two\n\\ No newline at end of file\n+two\n');
+  assert.strictEqual(result.additions, 1);
+  assert.strictEqual(result.deletions, 1);
+});
+
+test('repairProject writes an allowed fix and records its diff', async function() {
+  await withProject({ 'pubspec.yaml': 'name: demo\n', 'lib/main.dart': BROKEN_MAIN }, async function(root) {
+    const report = await repairProject({ root: root, log: DART_ERROR_LOG, provider: createMockProvider({ 'lib/main.dart': FIXED_MAIN }) });
+
+    assert.strictEqual(report.status, 'applied');
+    assert.strictEqual(report.category, 'dart_compile');
+    assert.deepStrictEqual(report.provider, { name: 'mock', model: 'mock' });
+    assert.strictEqual(report.files_changed, 1);
+    assert.strictEqual(report.changes[0].file, 'lib/main.dart');
+    assert.deepStrictEqual(report.changes[0].errors, ["4:18: Expected ';' after this."]);
+    assert.match(report.changes[0].diff, /^-  runApp\(MyApp\(\)\)$/m);
+    assert.match(report.changes[0].diff, /^\+  runApp\(const MyApp\(\)\);$/m);
+    assert.strictEqual(await fs.readFile(path.join(root, 'lib/main.dart'), 'utf8'), FIXED_MAIN);
+    assert.strictEqual(reportPatch(report), report.changes[0].diff);
+  });
+});
+
+test('repairProject leaves files alone on a dry run, a missing answer or a truncated answer', async function() {
+  await withProject({ 'lib/main.dart': BROKEN_MAIN }, async function(root) {
+    const dry = await repairProject({ root: root, log: DART_ERROR_LOG, dryRun: true, provider: createMockProvider({ 'lib/main.dart': FIXED_MAIN }) });
+    assert.strictEqual(dry.status, 'applied');
+    assert.strictEqual(dry.dry_run, true);
+
+    const none = await repairProject({ root: root, log: DART_ERROR_LOG, provider: createMockProvider({}) });
+    assert.strictEqual(none.status, 'no_changes');
+    assert.strictEqual(none.changes[0].message, 'no fix proposed');
+
+    const truncated = await repairProject({ root: root, log: DART_ERROR_LOG, provider: createMockProvider({ 'lib/main.dart': 'void main() {}' }) });
+    assert.strictEqual(truncated.status, 'no_changes');
+    assert.strictEqual(truncated.changes[0].status, 'rejected');
+    assert.strictEqual(reportPatch(truncated), '');
+
+    assert.strictEqual(await fs.readFile(path.join(root, 'lib/main.dart'), 'utf8'), BROKEN_MAIN);
+  });
+});
+
+test('repairProject rejects errors reported outside the allowlist', async function() {
+  await withProject({ 'lib/main.dart': BROKEN_MAIN }, async function(root) {
+    const log = 'lib/../tool/gen.dart:1:1: Error: Oops.\n';
+    let asked = false;
+    const provider = createMockProvider({ 'lib/../tool/gen.dart': function() { asked = true; return 'x'; } });
+    const report = await repairProject({ root: root, log: log, provider: provider });
+    assert.strictEqual(report.changes[0].status, 'rejected');
+    assert.strictEqual(asked, false);
+  });
+});
+
+test('runRepairLoop stops once the rebuild succeeds and reports cumulative changes', async function() {
+  await withProject({ 'lib/main.dart': BROKEN_MAIN }, async function(root) {
+    const rounds = [];
+    const report = await runRepairLoop({
+      root: root,
+      log: DART_ERROR_LOG,
+      provider: createMockProvider({ 'lib/main.dart': FIXED_MAIN }),
+      rebuild: async function(round) { rounds.push(round); return { ok: true, log: '' }; }
+    });
+    assert.deepStrictEqual(rounds, [1]);
+    assert.strictEqual(report.stop_reason, 'build_succeeded');
+    assert.strictEqual(report.build_succeeded, true);
+    assert.strictEqual(report.rounds[0].build, 'succeeded');
+    assert.strictEqual(report.changes.length, 1);
+    assert.strictEqual(report.files_changed, 1);
+  });
+});
+
+test('sanitizeReport keeps only known fields and values', function() {
+  const report = sanitizeReport({
+    version: 2,
+    status: 'pwned',
+    provider: { name: 'mock', model: 'mock', key: 'sk-secret' },
+    additions: -4,
+    deletions: '7',
+    usage: { prompt_tokens: 10, completion_tokens: 1.5, cost: 3 },
+    extra: '<script>',
+    build_succeeded: 'yes',
+    changes: [
+      { file: 'lib/main.dart', status: 'applied', diff: '--- a/lib/main.dart\n', additions: 1, deletions: 1, errors: [42], html: '<b>' },
+      { file: { toString: 1 }, status: 'bogus', diff: 5 }
+    ],
+    rounds: 'nope'
+  });
+
+  assert.strictEqual(report.status, 'skipped');
+  assert.deepStrictEqual(report.provider, { name: 'mock', model: 'mock' });
+  assert.strictEqual(report.additions, 0);
+  assert.strictEqual(report.deletions, 0);
+  assert.deepStrictEqual(report.usage, { prompt_tokens: 10, completion_tokens: 0 });
+  assert.strictEqual(report.build_succeeded, false);
+  assert.strictEqual(report.extra, undefined);
+  assert.deepStrictEqual(report.rounds, []);
+  assert.strictEqual(report.files_changed, 1);
+  assert.deepStrictEqual(report.changes[0].errors, ['42']);
+  assert.strictEqual(report.changes[0].html, undefined);
+  assert.deepStrictEqual(report.changes[1], {
+    file: null, reason: null, errors: [], status: 'failed', diff: null, additions: 0, deletions: 0, message: null
+  });
+});
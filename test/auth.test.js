@@ -0,0 +1,97 @@
+// test/auth.test.js
+// Firebase ID token checks against a local key pair, the local token map and build ownership.
+const test = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const axios = require('axios');
+const { createFirebaseVerifier, createLocalVerifier, parseLocalTokens, canAccessBuild } = require('../auth');
+
+const PROJECT = 'demo-project';
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function makeToken(claims, header) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = Object.assign({
+    aud: PROJECT, iss: 'https://securetoken.google.com/' + PROJECT, sub: 'u1', email: 'a@example.com', iat: now - 10, exp: now + 3600
+  }, claims);
+  const signedPart = encode(Object.assign({ alg: 'RS256', kid: 'k1' }, header)) + '.' + encode(payload);
+  return signedPart + '.' + crypto.sign('RSA-SHA256', Buffer.from(signedPart), privateKey).toString('base64url');
+}
+
+// Serves the key pair as Google's certificate list; axios is shared, so auth.js sees the stub
+function withCerts(fn) {
+  const original = axios.get;
+  let fetches = 0;
+  axios.get = async function() {
+    fetches++;
+    return { data: { k1: publicKey.export({ type: 'spki', format: 'pem' }) }, headers: { 'cache-control': 'public, max-age=600' } };
+  };
+  return Promise.resolve(fn(function() { return fetches; })).finally(function() { axios.get = original; });
+}
+
+test('a Firebase token signed by a listed key for this project is accepted', async function() {
+  await withCerts(async function(fetches) {
+    const verify = createFirebaseVerifier(PROJECT);
+    assert.deepStrictEqual(await verify(makeToken({})), { uid: 'u1', email: 'a@example.com', name: null });
+    await verify(makeToken({ sub: 'u2' }));
+    assert.strictEqual(fetches(), 1);
+  });
+});
+
+test('Firebase tokens that are forged, foreign or stale are INVALID_TOKEN', async function() {
+  await withCerts(async function() {
+    const verify = createFirebaseVerifier(PROJECT);
+    const now = Math.floor(Date.now() / 1000);
+    const valid = makeToken({});
+    const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    const [head, body] = valid.split('.');
+    const rejected = [
+      'not-a-token',
+      'a.b.c',
+      head + '.' + encode({ aud: PROJECT, sub: 'admin' }) + '.' + valid.split('.')[2],
+      head + '.' + body + '.' + crypto.sign('RSA-SHA256', Buffer.from(head + '.' + body), otherKey).toString('base64url'),
+      encode({ alg: 'none', kid: 'k1' }) + '.' + body + '.',
+      makeToken({}, { alg: 'HS256' }),
+      makeToken({}, { kid: 'unknown' }),
+      makeToken({ aud: 'other-project' }),
+      makeToken({ iss: 'https://securetoken.google.com/other-project' }),
+      makeToken({ sub: '' }),
+      makeToken({ exp: now - 1 }),
+      makeToken({ iat: now + 3600 })
+    ];
+    for (const token of rejected) {
+      await assert.rejects(verify(token), { code: 'INVALID_TOKEN' }, token);
+    }
+  });
+});
+
+test('without a project ID no Firebase token is accepted', async function() {
+  await withCerts(async function() {
+    await assert.rejects(createFirebaseVerifier(null)(makeToken({})), /FIREBASE_PROJECT_ID/);
+  });
+});
+
+test('local tokens only map the configured pairs', async function() {
+  const users = parseLocalTokens('dev-token:dev, other : u2,broken,:nouid,empty:');
+  assert.deepStrictEqual(Object.keys(users), ['dev-token', 'other']);
+
+  const verify = createLocalVerifier(users);
+  assert.deepStrictEqual(await verify('dev-token'), { uid: 'dev', email: null, name: null });
+  assert.deepStrictEqual(await verify('other'), { uid: 'u2', email: null, name: null });
+  for (const token of ['missing', 'empty', 'constructor', '__proto__', 'toString']) {
+    await assert.rejects(verify(token), { code: 'INVALID_TOKEN' }, token);
+  }
+  await assert.rejects(createLocalVerifier({ dev: { uid: 'dev' } })('hasOwnProperty'), { code: 'INVALID_TOKEN' });
+});
+
+test('a build is only reachable by its owner, or by anyone when it predates ownership', function() {
+  const build = { build_id: 'b1', owner: { uid: 'u1', email: 'a@example.com' } };
+  assert.strictEqual(canAccessBuild(build, { uid: 'u1' }), true);
+  assert.strictEqual(canAccessBuild(build, { uid: 'u2' }), false);
+  assert.strictEqual(canAccessBuild(build, { uid: undefined }), false);
+  assert.strictEqual(canAccessBuild({ build_id: 'b0' }, { uid: 'u2' }), true);
+});
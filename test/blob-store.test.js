@@ -0,0 +1,104 @@
+// test/blob-store.test.js
+// Blobs kept per owner, manifest entries measured against the real blob sizes, and manifests that
+// expire or are asked for by a crafted ID.
+const test = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { BlobStore, ManifestStore, hashFile } = require('../blob-store');
+const { withTempDir } = require('./helpers/fixtures');
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// A BlobStore holding { content } for ownerId, plus a scratch directory outside it
+function withBlobs(ownerId, contents, fn) {
+  return withTempDir('blob-store', async function(dir) {
+    const blobs = new BlobStore(path.join(dir, 'blobs'));
+    const scratch = path.join(dir, 'scratch');
+    await fs.mkdir(scratch);
+    for (const content of contents) {
+      const file = path.join(scratch, sha256(content));
+      await fs.writeFile(file, content);
+      await blobs.put(ownerId, file, await hashFile(file));
+    }
+    await fn(blobs, scratch);
+  });
+}
+
+test('a blob is only visible to the owner who uploaded it', async function() {
+  await withBlobs('u1', ['void main() {}\n'], async function(blobs, scratch) {
+    const hash = sha256('void main() {}\n');
+    assert.strictEqual(await hashFile(path.join(scratch, hash)), hash);
+    assert.deepStrictEqual(await blobs.missing('u1', [hash, hash, sha256('other')]), [sha256('other')]);
+    assert.deepStrictEqual(await blobs.missing('u2', [hash]), [hash]);
+    await assert.rejects(blobs.materialize('u2', [{ path: 'lib/main.dart', sha256: hash, size: 15 }], path.join(scratch, 'out')), { code: 'BLOB_MISSING' });
+  });
+});
+
+test('hashes that are not plain SHA-256 hex never reach the file system', async function() {
+  await withBlobs('u1', [], async function(blobs) {
+    for (const hash of ['../../etc/passwd', 'A'.repeat(64), 'a'.repeat(63), '']) {
+      await assert.rejects(blobs.missing('u1', [hash]), { code: 'INVALID_HASH' });
+    }
+    // Owner IDs are flattened into one directory name
+    assert.strictEqual(path.dirname(path.dirname(blobs.blobPath('../u2', 'a'.repeat(64)))), path.join(blobs.dir, '___u2'));
+  });
+});
+
+test('manifest entries are measured against the stored blobs', async function() {
+  const small = 'x'.repeat(10);
+  const large = 'y'.repeat(100);
+  await withBlobs('u1', [small, large], async function(blobs) {
+    const entry = function(name, content, size) { return { path: name, sha256: sha256(content), size: size === undefined ? content.length : size }; };
+
+    assert.strictEqual(await blobs.measure('u1', [entry('a', small), entry('b', large)], {}), 110);
+    await assert.rejects(blobs.measure('u1', [entry('a', small, 1)], {}), { code: 'SIZE_MISMATCH', details: { path: 'a', declared: 1, actual: 10 } });
+    await assert.rejects(blobs.measure('u1', [entry('a', 'never uploaded')], {}), { code: 'BLOB_MISSING' });
+
+    // One blob listed under many paths counts once per path
+    const copies = [];
+    for (let i = 0; i < 5; i++) copies.push(entry('copy' + i, large));
+    await assert.rejects(blobs.measure('u1', copies, { maxTotalSize: 450 }), { code: 'UPLOAD_TOO_LARGE' });
+    await assert.rejects(blobs.measure('u1', copies, { maxReferences: 4 }), { code: 'TOO_MANY_REFERENCES' });
+    assert.strictEqual(await blobs.measure('u1', copies, { maxTotalSize: 500, maxReferences: 5 }), 500);
+  });
+});
+
+test('a project is rebuilt from its manifest entries, and nothing is copied when a check fails', async function() {
+  await withBlobs('u1', ['name: demo\n', 'void main() {}\n'], async function(blobs, scratch) {
+    const files = [
+      { path: 'pubspec.yaml', sha256: sha256('name: demo\n'), size: 11 },
+      { path: 'lib/main.dart', sha256: sha256('void main() {}\n'), size: 15 }
+    ];
+    const dest = path.join(scratch, 'project');
+    await blobs.materialize('u1', files, dest);
+    assert.strictEqual(await fs.readFile(path.join(dest, 'lib/main.dart'), 'utf8'), 'void main() {}\n');
+
+    const refused = path.join(scratch, 'refused');
+    await assert.rejects(blobs.materialize('u1', files, refused, { maxTotalSize: 20 }), { code: 'UPLOAD_TOO_LARGE' });
+    await assert.rejects(fs.stat(refused), { code: 'ENOENT' });
+  });
+});
+
+test('manifests are found by ID until they expire', async function() {
+  await withTempDir('blob-store', async function(dir) {
+    const manifests = new ManifestStore(dir, { ttl: 60000 });
+    const manifest = await manifests.create('u1', [{ path: 'a', sha256: sha256('a'), size: 1 }]);
+    assert.match(manifest.id, /^[a-f0-9]{32}$/);
+    assert.deepStrictEqual(await new ManifestStore(dir, { ttl: 60000 }).get(manifest.id), manifest);
+
+    for (const id of ['../' + manifest.id, manifest.id.toUpperCase(), manifest.id + '.json', '__proto__']) {
+      assert.strictEqual(await manifests.get(id), null);
+    }
+
+    const expired = await new ManifestStore(dir, { ttl: -1 }).create('u1', []);
+    assert.strictEqual(await manifests.get(expired.id), null);
+    await assert.rejects(fs.stat(manifests.manifestPath(expired.id)), { code: 'ENOENT' });
+
+    await manifests.remove(manifest.id);
+    assert.strictEqual(await manifests.get(manifest.id), null);
+  });
+});
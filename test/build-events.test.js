@@ -0,0 +1,64 @@
+// test/build-events.test.js
+// Workflow callback signatures, replayed signatures and events that arrive out of order.
+const test = require('node:test');
+const assert = require('assert');
+const { signBuildEvent, verifyBuildEventSignature, EventReplayGuard, checkEventOrder } = require('../build-events');
+
+const SECRET = 'events-secret';
+const SKEW = 5 * 60 * 1000;
+const NOW = Date.parse('2026-06-01T12:00:00Z');
+
+function signed(buildId, body, seconds) {
+  const timestamp = String(seconds === undefined ? NOW / 1000 : seconds);
+  const rawBody = Buffer.from(body);
+  return { buildId: buildId, timestamp: timestamp, rawBody: rawBody, signature: signBuildEvent(SECRET, buildId, timestamp, rawBody) };
+}
+
+test('only a fresh event signed for this build and body is accepted', function() {
+  const event = signed('b1', '{"stage":"transplant_done"}');
+  assert.strictEqual(verifyBuildEventSignature(SECRET, event, SKEW, NOW), true);
+
+  assert.strictEqual(verifyBuildEventSignature('other-secret', event, SKEW, NOW), false);
+  assert.strictEqual(verifyBuildEventSignature(SECRET, Object.assign({}, event, { buildId: 'b2' }), SKEW, NOW), false);
+  assert.strictEqual(verifyBuildEventSignature(SECRET, Object.assign({}, event, { rawBody: Buffer.from('{"stage":"build_failed"}') }), SKEW, NOW), false);
+  assert.strictEqual(verifyBuildEventSignature(SECRET, Object.assign({}, event, { signature: event.signature.slice(0, -1) }), SKEW, NOW), false);
+  assert.strictEqual(verifyBuildEventSignature(SECRET, Object.assign({}, event, { signature: undefined }), SKEW, NOW), false);
+  assert.strictEqual(verifyBuildEventSignature(null, event, SKEW, NOW), false);
+
+  // Outside the skew either way, and timestamps that are not plain seconds
+  assert.strictEqual(verifyBuildEventSignature(SECRET, signed('b1', '{}', NOW / 1000 - 301), SKEW, NOW), false);
+  assert.strictEqual(verifyBuildEventSignature(SECRET, signed('b1', '{}', NOW / 1000 + 301), SKEW, NOW), false);
+  assert.strictEqual(verifyBuildEventSignature(SECRET, signed('b1', '{}', NOW / 1000 - 299), SKEW, NOW), true);
+  assert.strictEqual(verifyBuildEventSignature(SECRET, signed('b1', '{}', (NOW / 1000) + 'abc'), SKEW, NOW), false);
+});
+
+test('a signature is accepted once until it can no longer verify', function() {
+  const guard = new EventReplayGuard(SKEW);
+  assert.strictEqual(guard.claim('sha256=a', NOW), true);
+  assert.strictEqual(guard.claim('sha256=b', NOW + 1000), true);
+  assert.strictEqual(guard.claim('sha256=a', NOW + SKEW), false);
+  assert.strictEqual(guard.claim('sha256=a', NOW + 2 * SKEW - 1), false);
+
+  // Expired entries are dropped as newer ones come in
+  assert.strictEqual(guard.claim('sha256=c', NOW + 2 * SKEW + 500), true);
+  assert.deepStrictEqual(Array.from(guard.seen.keys()), ['sha256=b', 'sha256=c']);
+  assert.strictEqual(guard.claim('sha256=a', NOW + 2 * SKEW + 500), true);
+});
+
+test('events may not go back in time or reopen a finished build', function() {
+  const running = { status: 'dispatched', completed_at: null, event_timestamp: 1000 };
+  assert.strictEqual(checkEventOrder(running, 1000, 'retry_started', null), null);
+  assert.strictEqual(checkEventOrder(running, 1200, null, null), null);
+  assert.strictEqual(checkEventOrder(running, 999, 'transplant_done', null).code, 'EVENT_OUT_OF_ORDER');
+  assert.strictEqual(checkEventOrder(running, 999, null, null).code, 'EVENT_OUT_OF_ORDER');
+  assert.strictEqual(checkEventOrder({ status: 'dispatched' }, 5, 'source_downloaded', null), null);
+
+  const succeeded = { status: 'success', completed_at: '2026-06-01T12:00:00Z', event_timestamp: 1000 };
+  assert.strictEqual(checkEventOrder(succeeded, 1100, 'build_failed', 'failed').code, 'BUILD_FINISHED');
+  assert.strictEqual(checkEventOrder(succeeded, 1100, 'retry_started', null).code, 'BUILD_FINISHED');
+  assert.strictEqual(checkEventOrder(succeeded, 1100, 'release_uploaded', 'success'), null);
+  assert.strictEqual(checkEventOrder(succeeded, 1100, null, null), null);
+
+  const failed = { status: 'failed', completed_at: '2026-06-01T12:00:00Z', event_timestamp: 1000 };
+  assert.strictEqual(checkEventOrder(failed, 1100, 'release_uploaded', 'success').code, 'BUILD_FINISHED');
+});
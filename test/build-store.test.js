@@ -0,0 +1,75 @@
+// test/build-store.test.js
+// The build registry on disk: round trips, unreadable files, prototype-named IDs and the writer lock.
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { BuildStore } = require('../build-store');
+const { withTempDir } = require('./helpers/fixtures');
+
+function withStoreDir(fn) {
+  return withTempDir('build-store', function(dir) { return fn(path.join(dir, 'builds.json')); });
+}
+
+test('records survive a restart', async function() {
+  await withStoreDir(async function(file) {
+    const store = new BuildStore(file);
+    await store.create({ build_id: 'b1', owner: { uid: 'u1' } });
+    await store.update('b1', { status: 'completed' });
+
+    const reopened = new BuildStore(file);
+    const build = await reopened.get('b1');
+    assert.strictEqual(build.status, 'completed');
+    assert.deepStrictEqual(build.owner, { uid: 'u1' });
+    assert.strictEqual(await reopened.update('missing', { status: 'failed' }), null);
+  });
+});
+
+test('an unreadable registry fails every call and is left as it was', async function() {
+  await withStoreDir(async function(file) {
+    await fs.writeFile(file, '{"builds": {"b1": ');
+    const store = new BuildStore(file);
+    await assert.rejects(store.load(), { code: 'BUILD_STORE_READ_FAILED' });
+    await assert.rejects(store.create({ build_id: 'b2' }), { code: 'BUILD_STORE_READ_FAILED' });
+    assert.strictEqual(await fs.readFile(file, 'utf8'), '{"builds": {"b1": ');
+  });
+});
+
+test('concurrent first calls share one read', async function() {
+  await withStoreDir(async function(file) {
+    await fs.writeFile(file, JSON.stringify({ version: 1, builds: { b1: { build_id: 'b1' } } }));
+    const store = new BuildStore(file);
+    const [a, b] = await Promise.all([store.load(), store.load()]);
+    assert.strictEqual(a, b);
+    await Promise.all([store.create({ build_id: 'b2' }), store.create({ build_id: 'b3' })]);
+    assert.deepStrictEqual((await new BuildStore(file).list()).map(function(r) { return r.build_id; }).sort(), ['b1', 'b2', 'b3']);
+  });
+});
+
+test('IDs named after Object.prototype members are not resolved', async function() {
+  await withStoreDir(async function(file) {
+    const store = new BuildStore(file);
+    for (const id of ['__proto__', 'constructor', 'toString', 'hasOwnProperty']) {
+      assert.strictEqual(await store.get(id), null);
+      assert.strictEqual(await store.update(id, { status: 'completed' }), null);
+    }
+    await store.create({ build_id: '__proto__' });
+    assert.strictEqual((await new BuildStore(file).get('__proto__')).build_id, '__proto__');
+    assert.strictEqual(await store.get('constructor'), null);
+  });
+});
+
+test('the writer lock is refused while its owner lives and taken over after', async function() {
+  await withStoreDir(async function(file) {
+    await fs.writeFile(file + '.lock', String(process.ppid));
+    await assert.rejects(new BuildStore(file).acquireLock(), { code: 'BUILD_STORE_LOCKED', details: { pid: process.ppid } });
+
+    // No live process has this pid
+    await fs.writeFile(file + '.lock', '2147483646');
+    const store = new BuildStore(file);
+    await store.acquireLock();
+    assert.strictEqual(await fs.readFile(file + '.lock', 'utf8'), String(process.pid));
+    store.releaseLock();
+    await assert.rejects(fs.stat(file + '.lock'), { code: 'ENOENT' });
+  });
+});
@@ -0,0 +1,36 @@
+// test/cleanup.test.js
+// Which builds lose their stored artifacts: finished ones past the retention, unfinished ones past the longer cutoff.
+const test = require('node:test');
+const assert = require('assert');
+const { runCleanup } = require('../cleanup');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function fakeStore(records) {
+  return {
+    list: async function(filter) { return records.filter(filter); },
+    update: async function(id, patch) { Object.assign(records.find(function(r) { return r.build_id === id; }), patch); }
+  };
+}
+
+test('artifacts expire after completion, or long after dispatch when the build never finished', async function() {
+  const now = Date.parse('2026-06-01T00:00:00Z');
+  const ago = function(days) { return new Date(now - days * DAY).toISOString(); };
+  const record = function(id, fields) { return Object.assign({ build_id: id, storage: 'local', zip_key: id + '.zip' }, fields); };
+  const records = [
+    record('finished-old', { created_at: ago(40), dispatched_at: ago(40), completed_at: ago(35) }),
+    record('finished-recent', { created_at: ago(40), dispatched_at: ago(40), completed_at: ago(5) }),
+    record('unfinished-recent', { created_at: ago(60), dispatched_at: ago(60), completed_at: null }),
+    record('unfinished-old', { created_at: ago(120), dispatched_at: ago(100), completed_at: null }),
+    record('undispatched-old', { created_at: ago(100), completed_at: null }),
+    record('already-deleted', { created_at: ago(200), completed_at: null, artifacts_deleted_at: ago(10) })
+  ];
+  const deleted = [];
+  const storage = { name: 'local', delete: async function(key) { deleted.push(key); } };
+
+  const report = await runCleanup({ buildStore: fakeStore(records), storage: storage, artifactMaxAge: 30 * DAY, unfinishedMaxAge: 90 * DAY, now: now });
+  assert.deepStrictEqual(report.artifacts.map(function(a) { return a.build_id; }), ['finished-old', 'unfinished-old', 'undispatched-old']);
+  assert.deepStrictEqual(deleted, ['finished-old.zip', 'unfinished-old.zip', 'undispatched-old.zip']);
+  assert.strictEqual(records[3].artifacts_deleted_at, new Date(now).toISOString());
+  assert.strictEqual(records[2].artifacts_deleted_at, undefined);
+});
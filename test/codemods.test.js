@@ -0,0 +1,151 @@
+// test/codemods.test.js
+// Codemod rules on small Dart / Gradle / manifest fixtures, and the runner over a fixture project.
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { withProject } = require('./helpers/fixtures');
+const { runCodemods, parseRuleSelection, RULES } = require('../codemods');
+
+function rule(id) {
+  const found = RULES.find(function(r) { return r.id === id; });
+  return function(source, context, file) { return found.apply(source, context || {}, file || 'lib/main.dart'); };
+}
+
+const buttons = rule('material-buttons');
+const accent = rule('accent-color');
+const willPop = rule('will-pop-scope');
+const sdk = rule('sdk-constraint');
+const compileSdk = rule('gradle-compile-sdk');
+
+test('calls inside comments and strings are left alone', function() {
+  const source = [
+    '// FlatButton(onPressed: null, child: Text("a"))',
+    '/* RaisedButton( /* nested */ color: Colors.red) */',
+    "final label = 'FlatButton(child: x)';",
+    'final raw = r"RaisedButton(\\"";',
+    'final multi = """',
+    'OutlineButton(child: y)',
+    '""";',
+    'final interp = "${FlatButton(onPressed: go, child: z)}";',
+    'Widget b() => FlatButton(onPressed: go, child: Text(\'FlatButton(\'));',
+    ''
+  ].join('\n');
+  const result = buttons(source);
+  assert.strictEqual(result.count, 1);
+  assert.strictEqual(result.source, source.replace("FlatButton(onPressed: go, child: Text('FlatButton('))", "TextButton(onPressed: go, child: Text('FlatButton('))"));
+});
+
+test('buttons keep their arguments and move colours into a style', function() {
+  const result = buttons('RaisedButton(\n  onPressed: save,\n  color: Colors.blue,\n  minWidth: 120,\n  child: Text("Save"),\n)');
+  assert.strictEqual(result.source, 'ElevatedButton(\n  onPressed: save,\n  style: ElevatedButton.styleFrom(backgroundColor: Colors.blue, minimumSize: Size(120, 36)),\n  child: Text("Save"),\n)');
+
+  const nested = buttons('FlatButton(onPressed: () {}, child: RaisedButton(onPressed: null, child: Text("x")))');
+  assert.strictEqual(nested.count, 2);
+  assert.strictEqual(nested.source, 'TextButton(onPressed: () {}, child: ElevatedButton(onPressed: null, child: Text("x")))');
+});
+
+test('cosmetic button arguments are dropped with a note', function() {
+  const result = buttons('FlatButton(child: Text("x"), splashColor: Colors.red, textColor: Colors.white)');
+  assert.strictEqual(result.source, 'TextButton(style: TextButton.styleFrom(foregroundColor: Colors.white), child: Text("x"))');
+  assert.deepStrictEqual(result.notes, ['dropped splashColor from FlatButton']);
+});
+
+test('calls that cannot be rewritten faithfully are skipped with a note', function() {
+  for (const source of ['FlatButton(onPressed: go, onHighlightChanged: log, child: Text("x"))', 'RaisedButton(go, child: Text("x"))']) {
+    const result = buttons(source);
+    assert.strictEqual(result.count, 0);
+    assert.strictEqual(result.source, source);
+  }
+  assert.deepStrictEqual(buttons('FlatButton(onHighlightChanged: log)').notes, ['FlatButton(onHighlightChanged: ...) has no TextButton equivalent']);
+  assert.deepStrictEqual(buttons('RaisedButton(go)').notes, ['RaisedButton has a positional argument']);
+});
+
+test('constant onWillPop callbacks become canPop', function() {
+  const cases = {
+    'null': 'true',
+    '() async => false': 'false',
+    '() => Future.value(true)': 'true',
+    '() async { return false; }': 'false',
+    '() {\n  return Future.value(false);\n}': 'false'
+  };
+  Object.keys(cases).forEach(function(callback) {
+    const result = willPop('WillPopScope(onWillPop: ' + callback + ', child: page)');
+    assert.strictEqual(result.source, 'PopScope(canPop: ' + cases[callback] + ', child: page)', callback);
+  });
+  assert.strictEqual(willPop('WillPopScope(child: page)').source, 'PopScope(canPop: true, child: page)');
+});
+
+test('other onWillPop callbacks pop from onPopInvokedWithResult where a context is in scope', function() {
+  const inBuild = willPop('Widget build(BuildContext context) {\n  return WillPopScope(onWillPop: _confirm, child: page);\n}');
+  assert.strictEqual(inBuild.count, 1);
+  assert.match(inBuild.source, /PopScope\(canPop: false, onPopInvokedWithResult: \(didPop, result\) async \{ if \(didPop\) return; final navigator = Navigator\.of\(context\); if \(await _confirm\(\)\) navigator\.pop\(result\); \}, child: page\)/);
+
+  const noContext = willPop('final w = WillPopScope(onWillPop: _confirm, child: page);');
+  assert.strictEqual(noContext.count, 0);
+  assert.deepStrictEqual(noContext.notes, ['onWillPop needs a BuildContext named context to pop with']);
+
+  const unexpected = willPop('WillPopScope(onWillPop: null, extra: 1, child: page)');
+  assert.deepStrictEqual(unexpected.notes, ['WillPopScope has an unexpected argument extra']);
+});
+
+test('accentColor moves into the colour scheme', function() {
+  assert.strictEqual(accent('ThemeData(primarySwatch: Colors.blue, accentColor: Colors.amber)').source,
+    'ThemeData(primarySwatch: Colors.blue, colorScheme: ColorScheme.fromSwatch(primarySwatch: Colors.blue, accentColor: Colors.amber))');
+  assert.strictEqual(accent('ThemeData(colorScheme: base ?? fallback, accentColor: c)').source,
+    'ThemeData(colorScheme: (base ?? fallback).copyWith(secondary: c))');
+  assert.strictEqual(accent('Theme.of(context).accentColor; // .accentColor').source,
+    'Theme.of(context).colorScheme.secondary; // .accentColor');
+});
+
+test('Dart 2 SDK constraints are raised and Dart 3 ones kept', function() {
+  assert.strictEqual(sdk('name: demo\nenvironment:\n  sdk: ">=2.7.0 <3.0.0" # old\n').source,
+    'name: demo\nenvironment:\n  sdk: ">=3.0.0 <4.0.0" # old\n');
+  assert.strictEqual(sdk('environment:\n  sdk: ^2.19.0\n').source, 'environment:\n  sdk: ">=3.0.0 <4.0.0"\n');
+  assert.strictEqual(sdk('environment:\n  sdk: ">=2.12.0 <4.0.0"\n').count, 0);
+  assert.strictEqual(sdk('dependencies:\n  sdk: ">=2.7.0 <3.0.0"\n').count, 0);
+});
+
+test('compileSdk is renamed and old levels raised', function() {
+  assert.strictEqual(compileSdk('android {\n    compileSdkVersion 30\n    // compileSdkVersion 28\n}\n', {}, 'android/app/build.gradle').source,
+    'android {\n    compileSdk flutter.compileSdkVersion\n    // compileSdkVersion 28\n}\n');
+  assert.strictEqual(compileSdk('android {\n    compileSdkVersion(34)\n}\n', {}, 'android/app/build.gradle.kts').source,
+    'android {\n    compileSdk = 34\n}\n');
+});
+
+test('parseRuleSelection accepts all, none or known ids', function() {
+  assert.deepStrictEqual(parseRuleSelection(undefined), RULES.map(function(r) { return r.id; }));
+  assert.deepStrictEqual(parseRuleSelection('off'), []);
+  assert.deepStrictEqual(parseRuleSelection(' material-buttons, gradle-jcenter '), ['material-buttons', 'gradle-jcenter']);
+  assert.throws(function() { parseRuleSelection('material-buttons,nope'); }, { code: 'UNKNOWN_CODEMOD' });
+});
+
+test('runCodemods migrates a fixture project and reports per file', async function() {
+  const files = {
+    'pubspec.yaml': 'name: demo\nenvironment:\n  sdk: ">=2.7.0 <3.0.0"\n',
+    'lib/main.dart': 'Widget build(BuildContext context) => FlatButton(onPressed: go, child: Text("go"));\n',
+    'android/app/build.gradle': 'android {\n    compileSdkVersion 31\n    defaultConfig {\n        applicationId "com.example.demo"\n    }\n}\n',
+    'android/app/src/main/AndroidManifest.xml': '<manifest xmlns:android="http://schemas.android.com/apk/res/android" package="com.example.demo">\n</manifest>\n',
+    'android/build.gradle': 'allprojects {\n    repositories {\n        jcenter()\n    }\n}\n'
+  };
+  await withProject('codemods', files, async function(root) {
+    const dry = await runCodemods(root, { dryRun: true });
+    assert.strictEqual(dry.files_changed, 5);
+    assert.strictEqual(await fs.readFile(path.join(root, 'lib/main.dart'), 'utf8'), files['lib/main.dart']);
+
+    const report = await runCodemods(root);
+    assert.deepStrictEqual(report.rules.map(function(r) { return r.id; }), [
+      'sdk-constraint', 'material-buttons', 'gradle-compile-sdk', 'gradle-namespace', 'manifest-package', 'gradle-jcenter'
+    ]);
+    assert.strictEqual(await fs.readFile(path.join(root, 'lib/main.dart'), 'utf8'),
+      'Widget build(BuildContext context) => TextButton(onPressed: go, child: Text("go"));\n');
+    assert.strictEqual(await fs.readFile(path.join(root, 'android/app/build.gradle'), 'utf8'),
+      'android {\n    namespace "com.example.demo"\n    compileSdk flutter.compileSdkVersion\n    defaultConfig {\n        applicationId "com.example.demo"\n    }\n}\n');
+    assert.doesNotMatch(await fs.readFile(path.join(root, 'android/app/src/main/AndroidManifest.xml'), 'utf8'), /package=/);
+    assert.match(await fs.readFile(path.join(root, 'android/build.gradle'), 'utf8'), /mavenCentral\(\)/);
+
+    const again = await runCodemods(root);
+    assert.strictEqual(again.files_changed, 0);
+    assert.strictEqual(again.applied, 0);
+  });
+});
@@ -0,0 +1,34 @@
+// test/helpers/fixtures.js
+// Temp directories and file trees shared by the tests. `npm test` only runs test/*.test.js, so this
+// file is loaded by the tests that require it and never run on its own.
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// Writes { 'relative/path': content } under root, creating directories as needed
+async function writeTree(root, files) {
+  for (const [file, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(root, file)), { recursive: true });
+    await fs.writeFile(path.join(root, file), content);
+  }
+}
+
+// Runs fn(dir) with a fresh temp directory that is removed afterwards, whatever fn does
+async function withTempDir(prefix, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), prefix + '-'));
+  try {
+    return await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// withTempDir with files already written into it
+function withProject(prefix, files, fn) {
+  return withTempDir(prefix, async function(root) {
+    await writeTree(root, files);
+    return fn(root);
+  });
+}
+
+module.exports = { writeTree, withTempDir, withProject };
@@ -0,0 +1,213 @@
+// test/native-transplant.test.js
+// Transplants of small fixture projects into a fresh `flutter create` layout.
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { writeTree, withTempDir } = require('./helpers/fixtures');
+const { transplantNative } = require('../native-transplant');
+
+const MAIN = 'android/app/src/main';
+const FRESH_MANIFEST = '<manifest xmlns:android="http://schemas.android.com/apk/res/android">\n' +
+  '    <application android:label="fresh" android:name="${applicationName}" android:icon="@mipmap/ic_launcher">\n' +
+  '        <activity android:name=".MainActivity" android:exported="true" android:launchMode="singleTop">\n' +
+  '            <intent-filter>\n' +
+  '                <action android:name="android.intent.action.MAIN"/>\n' +
+  '                <category android:name="android.intent.category.LAUNCHER"/>\n' +
+  '            </intent-filter>\n' +
+  '        </activity>\n' +
+  '        <meta-data android:name="flutterEmbedding" android:value="2"/>\n' +
+  '    </application>\n' +
+  '</manifest>\n';
+const FRESH_GRADLE = 'plugins {\n    id "com.android.application"\n}\n\nandroid {\n    compileOptions {\n        sourceCompatibility JavaVersion.VERSION_1_8\n    }\n}\n';
+
+// Runs fn({ source, target }) with the upload in source and a fresh project for com.example.fresh_app in target
+function withProjects(files, fn) {
+  return withTempDir('transplant', async function(dir) {
+    const source = path.join(dir, 'source');
+    const target = path.join(dir, 'target');
+    await writeTree(source, files);
+    await writeTree(target, {
+      [MAIN + '/AndroidManifest.xml']: FRESH_MANIFEST,
+      [MAIN + '/kotlin/com/example/fresh_app/MainActivity.kt']: 'package com.example.fresh_app\n\nimport io.flutter.embedding.android.FlutterActivity\n\nclass MainActivity: FlutterActivity()\n',
+      [MAIN + '/res/values/styles.xml']: '<resources>\n    <style name="LaunchTheme" parent="@android:style/Theme.Light.NoTitleBar"/>\n    <style name="NormalTheme" parent="@android:style/Theme.Light.NoTitleBar"/>\n</resources>\n',
+      'android/app/build.gradle': FRESH_GRADLE,
+      'android/build.gradle': 'allprojects {\n    repositories {\n        google()\n        mavenCentral()\n    }\n}\n'
+    });
+    await fn({ source: source, target: target });
+  });
+}
+
+function read(root, file) {
+  return fs.readFile(path.join(root, file), 'utf8');
+}
+
+async function exists(root, file) {
+  try {
+    await fs.access(path.join(root, file));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function names(report, kind, list) {
+  return report[list || 'carried'].filter(function(e) { return e.kind === kind; }).map(function(e) { return e.name; });
+}
+
+test('sources next to MainActivity move into the fresh package', async function() {
+  await withProjects({
+    [MAIN + '/java/com/old/app/MainActivity.java']: 'package com.old.app;\n\nimport io.flutter.embedding.android.FlutterActivity;\nimport com.old.app.BuildConfig;\n\n' +
+      'public class MainActivity extends FlutterActivity {\n  Helper helper = new Helper(R.string.app_name, com.old.app.R.drawable.logo);\n}\n',
+    [MAIN + '/java/com/old/app/Helper.java']: 'package com.old.app;\n\npublic class Helper {\n  Helper(int a, int b) {}\n}\n',
+    [MAIN + '/java/com/old/lib/Util.java']: 'package com.old.lib;\n\nimport com.old.app.Helper;\nimport com.old.app.R;\nimport com.old.apples.Other;\n\npublic class Util {}\n',
+    [MAIN + '/java/io/flutter/plugins/GeneratedPluginRegistrant.java']: 'package io.flutter.plugins;\n'
+  }, async function(p) {
+    const report = await transplantNative({ source: p.source, target: p.target });
+
+    assert.deepStrictEqual(names(report, 'source'), [
+      'java/com/old/app/Helper.java', 'java/com/old/app/MainActivity.java', 'java/com/old/lib/Util.java'
+    ]);
+    const main = await read(p.target, MAIN + '/java/com/example/fresh_app/MainActivity.java');
+    assert.match(main, /^package com\.example\.fresh_app;/);
+    assert.match(main, /import com\.example\.fresh_app\.BuildConfig;/);
+    assert.match(main, /com\.example\.fresh_app\.R\.drawable\.logo/);
+    assert.match(await read(p.target, MAIN + '/java/com/example/fresh_app/Helper.java'), /^package com\.example\.fresh_app;/);
+
+    // Other packages stay where they are, with their imports of moved classes rewritten
+    const util = await read(p.target, MAIN + '/java/com/old/lib/Util.java');
+    assert.match(util, /^package com\.old\.lib;/);
+    assert.match(util, /import com\.example\.fresh_app\.Helper;/);
+    assert.match(util, /import com\.example\.fresh_app\.R;/);
+    assert.match(util, /import com\.old\.apples\.Other;/);
+
+    // The fresh Kotlin MainActivity would clash with the Java one
+    assert.strictEqual(await exists(p.target, MAIN + '/kotlin/com/example/fresh_app/MainActivity.kt'), false);
+    assert.strictEqual(await exists(p.target, MAIN + '/java/io/flutter/plugins/GeneratedPluginRegistrant.java'), false);
+  });
+});
+
+test('template and v1 MainActivities are left to the fresh project', async function() {
+  await withProjects({
+    [MAIN + '/kotlin/com/old/app/MainActivity.kt']: 'package com.old.app\n\n// generated\nimport io.flutter.embedding.android.FlutterActivity\n\nclass MainActivity: FlutterActivity() {\n}\n'
+  }, async function(p) {
+    const report = await transplantNative({ source: p.source, target: p.target });
+    assert.deepStrictEqual(names(report, 'source'), []);
+    assert.match(await read(p.target, MAIN + '/kotlin/com/example/fresh_app/MainActivity.kt'), /package com\.example\.fresh_app/);
+  });
+
+  await withProjects({
+    [MAIN + '/java/com/old/app/MainActivity.java']: 'package com.old.app;\n\nimport io.flutter.app.FlutterActivity;\n\npublic class MainActivity extends FlutterActivity {}\n'
+  }, async function(p) {
+    const report = await transplantNative({ source: p.source, target: p.target });
+    assert.deepStrictEqual(report.dropped.map(function(d) { return d.kind + ' ' + d.name; }), ['source java/com/old/app/MainActivity.java']);
+    assert.strictEqual(await exists(p.target, MAIN + '/java/com/example/fresh_app/MainActivity.java'), false);
+  });
+});
+
+test('resource values merge with the upload winning and no value defined twice', async function() {
+  await withProjects({
+    [MAIN + '/res/values/colors.xml']: '<resources>\n    <color name="brand">#FF0000</color>\n</resources>\n',
+    [MAIN + '/res/values/themes.xml']: '<resources>\n    <style name="LaunchTheme" parent="Theme.AppCompat">\n        <item name="android:windowBackground">@color/brand</item>\n    </style>\n</resources>\n',
+    [MAIN + '/res/values/broken.xml']: '<resources><string name="a">',
+    [MAIN + '/res/mipmap-hdpi/ic_launcher.png']: 'png',
+    [MAIN + '/res/xml/file_paths.xml']: '<paths/>\n'
+  }, async function(p) {
+    const report = await transplantNative({ source: p.source, target: p.target });
+
+    const styles = await read(p.target, MAIN + '/res/values/styles.xml');
+    assert.doesNotMatch(styles, /LaunchTheme/);
+    assert.match(styles, /NormalTheme/);
+    const themes = await read(p.target, MAIN + '/res/values/themes.xml');
+    assert.strictEqual((themes.match(/name="LaunchTheme"/g) || []).length, 1);
+    assert.match(themes, /@color\/brand/);
+    assert.match(await read(p.target, MAIN + '/res/values/colors.xml'), /<color name="brand">#FF0000<\/color>/);
+    assert.strictEqual(await read(p.target, MAIN + '/res/xml/file_paths.xml'), '<paths/>\n');
+    assert.strictEqual(await exists(p.target, MAIN + '/res/mipmap-hdpi/ic_launcher.png'), false);
+
+    assert.deepStrictEqual(report.dropped.filter(function(d) { return d.kind === 'resource'; }).map(function(d) { return d.name; }),
+      ['res/mipmap-hdpi', 'res/values/broken.xml']);
+  });
+});
+
+test('resource values that match the fresh file are merged into it', async function() {
+  await withProjects({
+    [MAIN + '/res/values/styles.xml']: '<resources>\n    <style name="LaunchTheme" parent="Theme.Custom"/>\n    <style name="Extra" parent="Theme.Custom"/>\n</resources>\n'
+  }, async function(p) {
+    await transplantNative({ source: p.source, target: p.target });
+    const styles = await read(p.target, MAIN + '/res/values/styles.xml');
+    assert.strictEqual((styles.match(/name="LaunchTheme"/g) || []).length, 1);
+    assert.match(styles, /name="LaunchTheme" parent="Theme.Custom"/);
+    assert.match(styles, /name="NormalTheme"/);
+    assert.match(styles, /name="Extra"/);
+  });
+});
+
+test('plain dependencies are carried and everything else is dropped with a reason', async function() {
+  await withProjects({
+    'android/app/build.gradle': 'apply plugin: "com.android.application"\napply plugin: "com.google.firebase.crashlytics"\n\n' +
+      'dependencies {\n' +
+      '    implementation "androidx.core:core-ktx:1.12.0"\n' +
+      '    implementation("com.squareup.okhttp3:okhttp:4.12.0") // networking\n' +
+      "    implementation platform('com.google.firebase:firebase-bom:32.7.0')\n" +
+      '    coreLibraryDesugaring "com.android.tools:desugar_jdk_libs:2.0.4"\n' +
+      '    implementation "org.jetbrains.kotlin:kotlin-stdlib-jdk7:$kotlin_version"\n' +
+      '    implementation "com.example:versioned:$libVersion"\n' +
+      '    testImplementation "junit:junit:4.13.2"\n' +
+      '    kapt "com.google.dagger:dagger-compiler:2.48"\n' +
+      '    implementation fileTree(dir: "libs", include: ["*.jar"])\n' +
+      '    implementation platform("com.example:bom:1.0"\n' +
+      '    implementation("com.example:excluded:1.0") {\n' +
+      '        exclude group: "com.example"\n' +
+      '    }\n' +
+      '}\n',
+    'android/build.gradle': 'allprojects {\n    repositories {\n        google()\n        maven { url "https://jitpack.io" }\n        maven { url "https://maven.google.com" }\n        maven { url "$rootDir/libs" }\n    }\n}\n'
+  }, async function(p) {
+    const report = await transplantNative({ source: p.source, target: p.target });
+
+    assert.deepStrictEqual(names(report, 'dependency'), [
+      'implementation androidx.core:core-ktx:1.12.0',
+      'implementation com.squareup.okhttp3:okhttp:4.12.0',
+      'implementation platform com.google.firebase:firebase-bom:32.7.0',
+      'coreLibraryDesugaring com.android.tools:desugar_jdk_libs:2.0.4'
+    ]);
+    const reasons = {};
+    report.dropped.forEach(function(d) { reasons[d.kind + ' ' + d.name] = d.reason; });
+    assert.strictEqual(reasons['dependency org.jetbrains.kotlin:kotlin-stdlib-jdk7:$kotlin_version'], 'provided by the Kotlin Gradle plugin');
+    assert.strictEqual(reasons['dependency com.example:versioned:$libVersion'], 'the version comes from a Gradle property');
+    assert.strictEqual(reasons['dependency junit:junit:4.13.2'], 'test dependencies are not transplanted');
+    assert.match(reasons['dependency com.google.dagger:dagger-compiler:2.48'], /^kapt needs a Gradle plugin/);
+    assert.ok(reasons['dependency implementation fileTree(dir: "libs", include: ["*.jar"])']);
+    assert.ok(reasons['dependency implementation platform("com.example:bom:1.0"']);
+    assert.ok(reasons['dependency implementation("com.example:excluded:1.0")']);
+    assert.ok(reasons['plugin com.google.firebase.crashlytics']);
+    assert.strictEqual(reasons['plugin com.android.application'], undefined);
+    assert.deepStrictEqual(names(report, 'repository'), ['https://jitpack.io']);
+
+    const gradle = await read(p.target, 'android/app/build.gradle');
+    assert.ok(gradle.endsWith('dependencies {\n' +
+      '    implementation "androidx.core:core-ktx:1.12.0"\n' +
+      '    implementation "com.squareup.okhttp3:okhttp:4.12.0"\n' +
+      '    implementation platform("com.google.firebase:firebase-bom:32.7.0")\n' +
+      '    coreLibraryDesugaring "com.android.tools:desugar_jdk_libs:2.0.4"\n' +
+      '}\n'));
+    assert.match(gradle, /compileOptions \{\n {8}coreLibraryDesugaringEnabled true\n/);
+    assert.match(await read(p.target, 'android/build.gradle'), /repositories \{\n {8}maven \{ url "https:\/\/jitpack\.io" \}\n {8}google\(\)/);
+  });
+});
+
+test('without a target the transplant only reports', async function() {
+  await withProjects({
+    [MAIN + '/AndroidManifest.xml']: '<manifest xmlns:android="http://schemas.android.com/apk/res/android">\n' +
+      '    <uses-permission android:name="android.permission.CAMERA"/>\n' +
+      '    <application android:label="old"><service android:name=".SyncService"/></application>\n</manifest>\n',
+    'android/app/build.gradle': 'dependencies {\n    implementation "androidx.core:core-ktx:1.12.0"\n}\n'
+  }, async function(p) {
+    const before = await read(p.target, 'android/app/build.gradle');
+    const report = await transplantNative({ source: p.source });
+    assert.deepStrictEqual(names(report, 'manifest'), ['uses-permission android.permission.CAMERA']);
+    assert.deepStrictEqual(names(report, 'component'), ['service .SyncService']);
+    assert.deepStrictEqual(names(report, 'dependency'), ['implementation androidx.core:core-ktx:1.12.0']);
+    assert.strictEqual(await read(p.target, 'android/app/build.gradle'), before);
+  });
+});
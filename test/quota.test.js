@@ -0,0 +1,115 @@
+// test/quota.test.js
+// Build quotas counted from the registry: running builds, the daily limits per user and per IP,
+// uploads that hold a reservation, and which limit is reported first.
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { BuildStore } = require('../build-store');
+const { BuildQuota, exceededLimit } = require('../quota');
+const { withTempDir } = require('./helpers/fixtures');
+
+const NOW = Date.parse('2026-06-01T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+const LIMITS = { concurrent: 2, daily: 4, ipDaily: 5, activeWindow: 2 * HOUR };
+
+function withBuilds(builds, fn) {
+  return withTempDir('quota', async function(dir) {
+    const store = new BuildStore(path.join(dir, 'builds.json'));
+    for (let i = 0; i < builds.length; i++) {
+      const b = builds[i];
+      await store.create({
+        build_id: 'b' + i,
+        status: b.status || 'building',
+        owner: b.uid ? { uid: b.uid } : undefined,
+        client_ip: b.ip || '10.0.0.1',
+        created_at: new Date(NOW - b.age).toISOString()
+      });
+    }
+    await fn(store);
+  });
+}
+
+test('only unfinished builds inside the active window count as running', async function() {
+  await withBuilds([
+    { uid: 'u1', age: HOUR },
+    { uid: 'u1', age: HOUR, status: 'success' },
+    { uid: 'u1', age: HOUR, status: 'failed' },
+    { uid: 'u1', age: 3 * HOUR },
+    { uid: 'u2', age: HOUR }
+  ], async function(store) {
+    const usage = await new BuildQuota(store, LIMITS).usage({ uid: 'u1' }, '10.0.0.9', NOW);
+    assert.deepStrictEqual(usage.concurrent_builds, { limit: 2, used: 1, remaining: 1, resets_at: null });
+    assert.strictEqual(usage.daily_builds.used, 4);
+    assert.strictEqual(usage.ip_daily_builds.used, 0);
+    assert.strictEqual(exceededLimit(usage, NOW).code, 'DAILY_QUOTA_EXCEEDED');
+  });
+});
+
+test('the daily limits only count the last 24 hours and reset with the oldest build', async function() {
+  await withBuilds([
+    { uid: 'u1', age: 25 * HOUR, status: 'success' },
+    { uid: 'u1', age: 20 * HOUR, status: 'success' },
+    { uid: 'u1', age: 5 * HOUR, status: 'success' },
+    { uid: 'u1', age: 4 * HOUR, status: 'success' },
+    { uid: 'u1', age: 3 * HOUR, status: 'success' }
+  ], async function(store) {
+    const usage = await new BuildQuota(store, LIMITS).usage({ uid: 'u1' }, null, NOW);
+    assert.deepStrictEqual(usage.daily_builds, {
+      limit: 4, used: 4, remaining: 0, resets_at: new Date(NOW + 4 * HOUR).toISOString()
+    });
+    assert.deepStrictEqual(exceededLimit(usage, NOW), {
+      code: 'DAILY_QUOTA_EXCEEDED', message: 'Daily build limit of 4 reached', retryAfter: 4 * 3600
+    });
+    // A request without an IP is not matched against builds that have one
+    assert.strictEqual(usage.ip_daily_builds.used, 0);
+  });
+});
+
+test('builds from one network count against it whoever submitted them', async function() {
+  const builds = [];
+  for (let i = 0; i < 5; i++) builds.push({ uid: 'u' + i, age: (10 - i) * HOUR, status: 'success', ip: '10.0.0.7' });
+  await withBuilds(builds, async function(store) {
+    const quota = new BuildQuota(store, LIMITS);
+    const usage = await quota.usage({ uid: 'newcomer' }, '10.0.0.7', NOW);
+    assert.strictEqual(usage.daily_builds.used, 0);
+    assert.strictEqual(usage.ip_daily_builds.remaining, 0);
+    const exceeded = exceededLimit(usage, NOW);
+    assert.strictEqual(exceeded.code, 'IP_QUOTA_EXCEEDED');
+    assert.strictEqual(exceeded.retryAfter, 14 * 3600);
+    assert.strictEqual(exceededLimit(await quota.usage({ uid: 'newcomer' }, '10.0.0.8', NOW), NOW), null);
+  });
+});
+
+test('uploads in progress hold a running slot until released once', async function() {
+  await withBuilds([{ uid: 'u1', age: HOUR }], async function(store) {
+    const quota = new BuildQuota(store, LIMITS);
+    assert.strictEqual(exceededLimit(await quota.usage({ uid: 'u1' }, null, NOW), NOW), null);
+
+    const release = quota.reserve('u1');
+    const other = quota.reserve('u2');
+    const usage = await quota.usage({ uid: 'u1' }, null, NOW);
+    assert.strictEqual(usage.concurrent_builds.used, 2);
+    assert.deepStrictEqual(exceededLimit(usage, NOW), {
+      code: 'TOO_MANY_BUILDS', message: 'You already have 2 builds running. Wait for one to finish.', retryAfter: 60
+    });
+
+    // Only the first call frees the slot
+    release();
+    release();
+    assert.strictEqual((await quota.usage({ uid: 'u1' }, null, NOW)).concurrent_builds.used, 1);
+    assert.strictEqual((await quota.usage({ uid: 'u2' }, null, NOW)).concurrent_builds.used, 1);
+    other();
+    assert.strictEqual(quota.pending.size, 0);
+  });
+});
+
+test('a limit of 0 turns that check off', async function() {
+  const builds = [];
+  for (let i = 0; i < 6; i++) builds.push({ uid: 'u1', age: HOUR });
+  await withBuilds(builds, async function(store) {
+    const usage = await new BuildQuota(store, { concurrent: 0, daily: 0, ipDaily: 0, activeWindow: 2 * HOUR }).usage({ uid: 'u1' }, '10.0.0.1', NOW);
+    assert.deepStrictEqual(usage.concurrent_builds, { limit: null, used: 6, remaining: null, resets_at: null });
+    assert.strictEqual(usage.daily_builds.remaining, null);
+    assert.strictEqual(exceededLimit(usage, NOW), null);
+  });
+});
@@ -0,0 +1,119 @@
+// test/safe-extract.test.js
+// Extraction limits on crafted archives: unsafe names, entries that lie about their size, and the
+// entry-count, total-size and compression-ratio limits.
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs').promises;
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { extractZip, copyUploadedFiles, normalizeEntryPath } = require('../safe-extract');
+const { withTempDir } = require('./helpers/fixtures');
+
+// Builds a ZIP from { name: content } and lets fields of one entry's central directory record be rewritten
+function buildZip(files, patch) {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(files)) zip.addFile(name, Buffer.from(content));
+  const buf = zip.toBuffer();
+  if (patch) {
+    for (let at = buf.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])); at !== -1; at = buf.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]), at + 4)) {
+      const nameLength = buf.readUInt16LE(at + 28);
+      if (buf.toString('utf8', at + 46, at + 46 + nameLength) !== patch.name) continue;
+      if (patch.crc !== undefined) buf.writeUInt32LE(patch.crc, at + 16);
+      if (patch.size !== undefined) buf.writeUInt32LE(patch.size, at + 24);
+    }
+  }
+  return buf;
+}
+
+function withArchive(buf, fn) {
+  return withTempDir('safe-extract', async function(dir) {
+    await fs.writeFile(path.join(dir, 'upload.zip'), buf);
+    await fn(path.join(dir, 'upload.zip'), path.join(dir, 'out'));
+  });
+}
+
+function reasons(result) {
+  return Object.fromEntries(result.rejected.map(function(r) { return [r.entry, r.reason]; }));
+}
+
+test('unsafe entry names are refused', function() {
+  assert.deepStrictEqual(normalizeEntryPath('lib//./main.dart'), { path: 'lib/main.dart' });
+  assert.deepStrictEqual(normalizeEntryPath('../etc/passwd'), { reason: 'path_traversal' });
+  assert.deepStrictEqual(normalizeEntryPath('lib/%2e%2e/%2e%2e/x'), { reason: 'path_traversal' });
+  assert.deepStrictEqual(normalizeEntryPath('lib\\..\\..\\x'), { reason: 'path_traversal' });
+  assert.deepStrictEqual(normalizeEntryPath('/etc/passwd'), { reason: 'absolute_path' });
+  assert.deepStrictEqual(normalizeEntryPath('C:/Windows/x'), { reason: 'absolute_path' });
+  assert.deepStrictEqual(normalizeEntryPath('a\0b'), { reason: 'malformed_name' });
+  assert.deepStrictEqual(normalizeEntryPath('./'), { reason: 'empty_name' });
+  assert.deepStrictEqual(normalizeEntryPath('assets/100%.png'), { path: 'assets/100%.png' });
+});
+
+test('a well-formed archive is extracted as is', async function() {
+  const files = { 'pubspec.yaml': 'name: demo\n', 'lib/main.dart': 'void main() {}\n', 'assets/data.txt': 'x'.repeat(5000), 'empty.txt': '' };
+  await withArchive(buildZip(files), async function(zipPath, dest) {
+    const result = await extractZip(zipPath, dest);
+    assert.deepStrictEqual(result.rejected, []);
+    assert.strictEqual(result.extracted, 4);
+    for (const [name, content] of Object.entries(files)) {
+      assert.strictEqual(await fs.readFile(path.join(dest, name), 'utf8'), content);
+    }
+  });
+});
+
+test('an entry that inflates past its declared size is cut off and removed', async function() {
+  const buf = buildZip({ 'lib/main.dart': 'void main() {}\n', 'bomb.bin': 'A'.repeat(2 * 1024 * 1024) }, { name: 'bomb.bin', size: 16 });
+  await withArchive(buf, async function(zipPath, dest) {
+    const result = await extractZip(zipPath, dest);
+    assert.deepStrictEqual(reasons(result), { 'bomb.bin': 'size_mismatch' });
+    assert.strictEqual(result.extracted, 1);
+    await assert.rejects(fs.stat(path.join(dest, 'bomb.bin')), { code: 'ENOENT' });
+  });
+});
+
+test('an entry that claims to be empty but carries data is refused', async function() {
+  const buf = buildZip({ 'hidden.bin': 'B'.repeat(64 * 1024) }, { name: 'hidden.bin', size: 0 });
+  await withArchive(buf, async function(zipPath, dest) {
+    const result = await extractZip(zipPath, dest);
+    assert.deepStrictEqual(reasons(result), { 'hidden.bin': 'size_mismatch' });
+    assert.strictEqual(result.extracted, 0);
+  });
+});
+
+test('an entry whose checksum does not match is refused', async function() {
+  const buf = buildZip({ 'lib/main.dart': 'void main() {}\n' }, { name: 'lib/main.dart', crc: 0x12345678 });
+  await withArchive(buf, async function(zipPath, dest) {
+    const result = await extractZip(zipPath, dest);
+    assert.deepStrictEqual(reasons(result), { 'lib/main.dart': 'corrupt' });
+    await assert.rejects(fs.stat(path.join(dest, 'lib/main.dart')), { code: 'ENOENT' });
+  });
+});
+
+test('archives over the entry, size or ratio limits are refused outright', async function() {
+  await withArchive(buildZip({ a: '1', b: '2', c: '3' }), async function(zipPath, dest) {
+    await assert.rejects(extractZip(zipPath, dest, { maxEntries: 2 }), { code: 'TOO_MANY_ENTRIES' });
+  });
+  await withArchive(buildZip({ a: 'x'.repeat(600), b: 'y'.repeat(600) }), async function(zipPath, dest) {
+    await assert.rejects(extractZip(zipPath, dest, { maxTotalSize: 1000 }), { code: 'ARCHIVE_TOO_LARGE' });
+  });
+  // Each entry stays under the ratio on its own; together they do not
+  const many = {};
+  for (let i = 0; i < 8; i++) many['f' + i] = 'z'.repeat(64 * 1024);
+  await withArchive(buildZip(many), async function(zipPath, dest) {
+    await assert.rejects(extractZip(zipPath, dest, { maxRatio: 50, ratioMinSize: 128 * 1024 }), { code: 'COMPRESSION_RATIO' });
+  });
+  await withArchive(buildZip({ 'big.bin': 'z'.repeat(2 * 1024 * 1024), 'ok.txt': 'ok' }), async function(zipPath, dest) {
+    const result = await extractZip(zipPath, dest, { maxRatio: 50, ratioMinSize: 1024 * 1024 });
+    assert.deepStrictEqual(reasons(result), { 'big.bin': 'compression_ratio' });
+  });
+});
+
+test('folder uploads are checked like archive entries', async function() {
+  await withTempDir('safe-extract', async function(dir) {
+    await fs.writeFile(path.join(dir, 'blob'), 'void main() {}\n');
+    const file = function(name) { return { originalname: name, path: path.join(dir, 'blob'), size: 15 }; };
+    const result = await copyUploadedFiles([file('lib/main.dart'), file('../escape.dart'), file('lib/main.dart')], path.join(dir, 'out'));
+    assert.strictEqual(result.extracted, 1);
+    assert.deepStrictEqual(result.rejected, [{ entry: '../escape.dart', reason: 'path_traversal' }, { entry: 'lib/main.dart', reason: 'duplicate' }]);
+    await assert.rejects(copyUploadedFiles([file('a'), file('b')], path.join(dir, 'out2'), { maxTotalSize: 20 }), { code: 'ARCHIVE_TOO_LARGE' });
+  });
+});
@@ -0,0 +1,113 @@
+// test/signing.test.js
+// Keystore inspection (PKCS12 and hand-built JKS files), sealed bundles and the per-package key store.
+const test = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { inspectKeystore, generateKeystore, sealSigningBundle, openSigningBundle, PackageKeyStore } = require('../signing');
+const { withTempDir } = require('./helpers/fixtures');
+
+function utf16(password) {
+  const bytes = Buffer.alloc(password.length * 2);
+  for (let i = 0; i < password.length; i++) bytes.writeUInt16BE(password.charCodeAt(i), i * 2);
+  return bytes;
+}
+
+// Sun's KeyProtector over `plain`, wrapped in EncryptedPrivateKeyInfo
+function protectKey(plain, password) {
+  const salt = crypto.randomBytes(20);
+  const stream = Buffer.alloc(plain.length);
+  let digest = salt;
+  for (let pos = 0; pos < plain.length; pos += 20) {
+    digest = crypto.createHash('sha1').update(utf16(password)).update(digest).digest();
+    digest.copy(stream, pos, 0, Math.min(20, plain.length - pos));
+  }
+  const cipherText = Buffer.from(plain.map(function(b, i) { return b ^ stream[i]; }));
+  const check = crypto.createHash('sha1').update(utf16(password)).update(plain).digest();
+  const asn1 = forge.asn1;
+  const info = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer('1.3.6.1.4.1.42.2.17.1.1').getBytes())
+    ]),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, Buffer.concat([salt, cipherText, check]).toString('binary'))
+  ]);
+  return Buffer.from(asn1.toDer(info).getBytes(), 'binary');
+}
+
+// A version 2 JKS file with one private key entry, signed with storePassword
+function buildJks(alias, protectedKey, cert, storePassword) {
+  const int = function(n) { const b = Buffer.alloc(4); b.writeUInt32BE(n); return b; };
+  const utf = function(s) { const b = Buffer.from(s, 'utf8'); const len = Buffer.alloc(2); len.writeUInt16BE(b.length); return Buffer.concat([len, b]); };
+  const body = Buffer.concat([
+    int(0xfeedfeed), int(2), int(1),
+    int(1), utf(alias), Buffer.alloc(8),
+    int(protectedKey.length), protectedKey,
+    int(cert ? 1 : 0), cert ? Buffer.concat([utf('X.509'), int(cert.length), cert]) : Buffer.alloc(0)
+  ]);
+  const digest = crypto.createHash('sha1').update(utf16(storePassword)).update('Mighty Aphrodite').update(body).digest();
+  return Buffer.concat([body, digest]);
+}
+
+test('a PKCS12 keystore is checked for password, alias and key password', function() {
+  const generated = generateKeystore('com.example.app');
+  const p12 = Buffer.from(generated.keystore, 'base64');
+  const password = generated.store_password;
+
+  const info = inspectKeystore(p12, { alias: 'RELEASE', storePassword: password });
+  assert.deepStrictEqual(info, { type: 'PKCS12', alias: 'release', aliases: ['release'], fingerprint: generated.fingerprint });
+
+  assert.throws(function() { inspectKeystore(p12, { alias: 'release', storePassword: 'wrong' }); }, { code: 'KEYSTORE_PASSWORD' });
+  assert.throws(function() { inspectKeystore(p12, { alias: 'upload', storePassword: password }); }, { code: 'KEYSTORE_ALIAS', details: { aliases: ['release'] } });
+  assert.throws(function() { inspectKeystore(p12, { alias: 'release', storePassword: password, keyPassword: 'other' }); }, { code: 'KEY_PASSWORD' });
+  assert.throws(function() { inspectKeystore(p12, { alias: 'release', storePassword: password + '\n' }); }, { code: 'KEYSTORE_FIELDS' });
+});
+
+test('a JKS keystore is checked for password, alias and key password', function() {
+  const cert = crypto.randomBytes(64);
+  const jks = buildJks('upload', protectKey(crypto.randomBytes(48), 'keypass'), cert, 'storepass');
+
+  const info = inspectKeystore(jks, { alias: 'Upload', storePassword: 'storepass', keyPassword: 'keypass' });
+  assert.strictEqual(info.type, 'JKS');
+  assert.strictEqual(info.alias, 'upload');
+  assert.strictEqual(info.fingerprint, crypto.createHash('sha256').update(cert).digest('hex').toUpperCase().match(/.{2}/g).join(':'));
+
+  assert.throws(function() { inspectKeystore(jks, { alias: 'upload', storePassword: 'nope', keyPassword: 'keypass' }); }, { code: 'KEYSTORE_PASSWORD' });
+  assert.throws(function() { inspectKeystore(jks, { alias: 'release', storePassword: 'storepass', keyPassword: 'keypass' }); }, { code: 'KEYSTORE_ALIAS' });
+  assert.throws(function() { inspectKeystore(jks, { alias: 'upload', storePassword: 'storepass', keyPassword: 'nope' }); }, { code: 'KEY_PASSWORD' });
+});
+
+test('malformed keystores are INVALID_KEYSTORE, not a crash', function() {
+  const options = { alias: 'upload', storePassword: 'storepass' };
+  const malformed = [
+    buildJks('upload', crypto.randomBytes(32), crypto.randomBytes(16), 'storepass'),
+    buildJks('upload', Buffer.from([0x30, 0x03, 0x02, 0x01, 0x00]), crypto.randomBytes(16), 'storepass'),
+    buildJks('upload', protectKey(Buffer.alloc(0), 'storepass').subarray(0, 30), crypto.randomBytes(16), 'storepass'),
+    buildJks('upload', protectKey(crypto.randomBytes(48), 'storepass'), null, 'storepass'),
+    Buffer.from([0xfe, 0xed, 0xfe, 0xed, 0, 0, 0, 2, 0, 0, 0, 1]),
+    Buffer.from([0xce, 0xce, 0xce, 0xce, 0, 0, 0, 2]),
+    Buffer.from('not a keystore')
+  ];
+  for (const buffer of malformed) {
+    assert.throws(function() { inspectKeystore(buffer, options); }, { code: 'INVALID_KEYSTORE' });
+  }
+});
+
+test('sealed bundles only open with their own key and fail when tampered with', function() {
+  const sealed = sealSigningBundle({ key_alias: 'release' }, 'master');
+  assert.deepStrictEqual(openSigningBundle(sealed, 'master'), { key_alias: 'release' });
+  assert.throws(function() { openSigningBundle(sealed, 'other'); });
+  const raw = Buffer.from(sealed, 'base64');
+  raw[raw.length - 1] ^= 1;
+  assert.throws(function() { openSigningBundle(raw.toString('base64'), 'master'); });
+});
+
+test('generated keys are kept per package and per owner', async function() {
+  await withTempDir('signing', async function(dir) {
+    const keys = new PackageKeyStore(dir, 'master');
+    const [first, concurrent] = await Promise.all([keys.getOrCreate('com.example.app', 'u1'), keys.getOrCreate('com.example.app', 'u1')]);
+    assert.strictEqual(first.fingerprint, concurrent.fingerprint);
+    assert.strictEqual((await new PackageKeyStore(dir, 'master').get('com.example.app', 'u1')).fingerprint, first.fingerprint);
+    assert.notStrictEqual((await keys.getOrCreate('com.example.app', 'u2')).fingerprint, first.fingerprint);
+    assert.strictEqual(await keys.get('com.example.app', '../u1'), null);
+  });
+});
@@ -0,0 +1,64 @@
+// test/storage.test.js
+// The local storage driver: configuration checked up front, signed download URLs and key confinement.
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { Readable } = require('stream');
+const { createStorage, createStorageFromEnv, LocalStorage } = require('../storage');
+const { withTempDir } = require('./helpers/fixtures');
+
+function withLocalStorage(fn) {
+  return withTempDir('storage', function(dir) {
+    return fn(new LocalStorage({ dir: dir, secret: 'signing-secret', urlTtl: 60000, baseUrl: 'https://builds.example.com/' }), dir);
+  });
+}
+
+test('local storage without a public base URL is refused before anything is written', async function() {
+  await withTempDir('storage', async function(dir) {
+    assert.throws(function() { new LocalStorage({ dir: dir, secret: 's', urlTtl: 1000 }); }, { code: 'STORAGE_MISCONFIGURED' });
+    assert.throws(function() { createStorageFromEnv({ STORAGE_DRIVER: 'local', STORAGE_SIGNING_SECRET: 's' }, { localDir: dir }); }, { code: 'STORAGE_MISCONFIGURED' });
+    assert.deepStrictEqual(await fs.readdir(dir), []);
+
+    const storage = createStorageFromEnv({ STORAGE_DRIVER: 'local', STORAGE_SIGNING_SECRET: 's', PUBLIC_BASE_URL: 'https://b.example.com' }, { localDir: dir });
+    assert.strictEqual(storage.name, 'local');
+  });
+});
+
+test('misconfigured or unknown drivers are refused', function() {
+  assert.throws(function() { createStorage({ driver: 'ftp' }); }, { code: 'STORAGE_MISCONFIGURED' });
+  assert.throws(function() { createStorage({ driver: 's3', s3: { bucket: 'b' } }); }, { code: 'STORAGE_MISCONFIGURED' });
+});
+
+test('stored files get a signed, expiring URL that only verifies for their key', async function() {
+  await withLocalStorage(async function(storage, dir) {
+    const stored = await storage.put('icons/app icon.png', Buffer.from('png'));
+    assert.strictEqual(stored.size, 3);
+    assert.strictEqual(await fs.readFile(path.join(dir, 'icons/app icon.png'), 'utf8'), 'png');
+
+    const url = new URL(stored.url);
+    assert.strictEqual(url.origin + url.pathname, 'https://builds.example.com/files/icons/app%20icon.png');
+    const expires = url.searchParams.get('expires');
+    const signature = url.searchParams.get('signature');
+    assert.strictEqual(storage.verify('icons/app icon.png', expires, signature), true);
+    assert.strictEqual(storage.verify('icons/other.png', expires, signature), false);
+    assert.strictEqual(storage.verify('icons/app icon.png', String(parseInt(expires) + 1), signature), false);
+    assert.strictEqual(storage.verify('icons/app icon.png', String(Math.floor(Date.now() / 1000) - 1), storage.sign('icons/app icon.png', Math.floor(Date.now() / 1000) - 1)), false);
+
+    // A per-call base URL still wins
+    assert.ok(storage.getUrl('icons/app icon.png', { baseUrl: 'https://other.example.com' }).startsWith('https://other.example.com/files/'));
+
+    await storage.put('sources/app.zip', Readable.from([Buffer.from('zip')]));
+    await storage.delete('sources/app.zip');
+    await storage.delete('sources/app.zip');
+    await assert.rejects(fs.stat(path.join(dir, 'sources/app.zip')), { code: 'ENOENT' });
+  });
+});
+
+test('keys cannot leave the storage directory', async function() {
+  await withLocalStorage(async function(storage) {
+    for (const key of ['../escape.png', '/etc/passwd', 'icons/../../escape', '']) {
+      await assert.rejects(storage.put(key, Buffer.from('x')), { code: 'INVALID_KEY' });
+    }
+  });
+});
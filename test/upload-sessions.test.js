@@ -0,0 +1,93 @@
+// test/upload-sessions.test.js
+// Resumable uploads: chunks that must start at the current offset and stay within their limit,
+// one chunk in flight per session, and the checksum check when an upload is finalized.
+const test = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { Readable, PassThrough } = require('stream');
+const { UploadSessionStore } = require('../upload-sessions');
+const { withTempDir } = require('./helpers/fixtures');
+
+const DATA = Buffer.from('PK\u0003\u0004 pretend this is a project archive');
+
+function sha256(buf) {
+  return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+function withSessions(options, fn) {
+  return withTempDir('upload-sessions', function(dir) {
+    return fn(new UploadSessionStore(dir, Object.assign({ ttl: 60000, maxChunkSize: 16 }, options)));
+  });
+}
+
+test('an upload resumes from the bytes already stored and finalizes once complete', async function() {
+  await withSessions({}, async function(sessions) {
+    let session = await sessions.create('u1', { filename: 'app.zip', size: DATA.length, sha256: sha256(DATA) });
+    assert.strictEqual(session.offset, 0);
+
+    session = await sessions.append(session, 0, Readable.from([DATA.subarray(0, 16)]));
+    assert.strictEqual(session.offset, 16);
+    await assert.rejects(sessions.finalize(session), { code: 'UPLOAD_INCOMPLETE', details: { offset: 16, size: DATA.length } });
+    await assert.rejects(sessions.append(session, 0, Readable.from([DATA.subarray(0, 16)])), { code: 'OFFSET_MISMATCH', details: { offset: 16 } });
+
+    for (let at = 16; at < DATA.length; at += 16) {
+      session = await sessions.append(await sessions.get(session.id), at, Readable.from([DATA.subarray(at, at + 16)]));
+    }
+    assert.strictEqual(session.offset, DATA.length);
+    await assert.rejects(sessions.append(session, session.offset, Readable.from([Buffer.from('x')])), { code: 'UPLOAD_COMPLETE' });
+
+    session = await sessions.finalize(session);
+    assert.ok(session.finalized_at);
+    assert.ok((await sessions.get(session.id)).finalized_at);
+    assert.deepStrictEqual(await fs.readFile(sessions.dataPath(session.id)), DATA);
+  });
+});
+
+test('a chunk past the chunk limit or the announced size is refused, and the upload resumes from what was stored', async function() {
+  await withSessions({}, async function(sessions) {
+    const session = await sessions.create('u1', { filename: 'app.zip', size: 20 });
+    await assert.rejects(sessions.append(session, 0, Readable.from([Buffer.alloc(10), Buffer.alloc(10)])), { code: 'CHUNK_TOO_LARGE', details: { limit: 16 } });
+    // Whether the first 10 bytes reached the disk before the stream was torn down depends on timing
+    const resumed = await sessions.get(session.id);
+    assert.ok(resumed.offset === 0 || resumed.offset === 10);
+    assert.strictEqual((await fs.stat(sessions.dataPath(session.id))).size, resumed.offset);
+
+    const remaining = 20 - resumed.offset;
+    await assert.rejects(sessions.append(resumed, resumed.offset, Readable.from([Buffer.alloc(Math.min(16, remaining) + 1)])), { code: 'CHUNK_TOO_LARGE' });
+    const next = await sessions.append(await sessions.get(session.id), resumed.offset, Readable.from([Buffer.alloc(Math.min(16, remaining))]));
+    assert.strictEqual(next.offset, resumed.offset + Math.min(16, remaining));
+  });
+});
+
+test('only one chunk per session is written at a time', async function() {
+  await withSessions({}, async function(sessions) {
+    const session = await sessions.create('u1', { filename: 'app.zip', size: 8 });
+    const slow = new PassThrough();
+    const first = sessions.append(session, 0, slow);
+    await assert.rejects(sessions.append(session, 0, Readable.from([Buffer.alloc(4)])), { code: 'UPLOAD_BUSY' });
+    slow.end(Buffer.alloc(4));
+    assert.strictEqual((await first).offset, 4);
+  });
+});
+
+test('data that does not match the announced checksum is discarded at finalize', async function() {
+  await withSessions({ maxChunkSize: 1024 }, async function(sessions) {
+    let session = await sessions.create('u1', { filename: 'app.zip', size: DATA.length, sha256: sha256(Buffer.from('something else')) });
+    session = await sessions.append(session, 0, Readable.from([DATA]));
+    await assert.rejects(sessions.finalize(session), { code: 'CHECKSUM_MISMATCH' });
+    assert.strictEqual(await sessions.get(session.id), null);
+    await assert.rejects(sessions.append(Object.assign({}, session, { finalized_at: 'x' }), 0, Readable.from([DATA])), { code: 'UPLOAD_FINALIZED' });
+  });
+});
+
+test('expired sessions and crafted IDs are not found', async function() {
+  await withSessions({ ttl: -1 }, async function(sessions) {
+    const session = await sessions.create('u1', { filename: 'app.zip', size: 4 });
+    assert.strictEqual(await sessions.get(session.id), null);
+    await assert.rejects(fs.stat(sessions.sessionDir(session.id)), { code: 'ENOENT' });
+    for (const id of ['../' + session.id, session.id.toUpperCase(), '__proto__', '']) {
+      assert.strictEqual(await sessions.get(id), null);
+    }
+  });
+});
@@ -0,0 +1,152 @@
+// upload-sessions.js
+// Resumable chunked uploads (a small tus-like protocol) for project ZIPs too big for one request.
+// Each session is a directory holding meta.json and the data received so far. The offset is the
+// data file's real size, so a chunk cut off mid-transfer keeps its bytes and the client resumes from there.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+const { hashFile } = require('./blob-store');
+
+const ID_PATTERN = /^[a-f0-9]{32}$/;
+
+function uploadError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+class UploadSessionStore {
+  // options: { ttl (ms since last activity), maxChunkSize (bytes per PUT) }
+  constructor(dir, options) {
+    this.dir = dir;
+    this.ttl = options.ttl;
+    this.maxChunkSize = options.maxChunkSize;
+    // Only one chunk per session may be in flight, otherwise appends could interleave
+    this.busy = new Set();
+  }
+
+  sessionDir(id) {
+    return path.join(this.dir, id);
+  }
+
+  dataPath(id) {
+    return path.join(this.sessionDir(id), 'data');
+  }
+
+  async writeMeta(session) {
+    const metaPath = path.join(this.sessionDir(session.id), 'meta.json');
+    const tmpPath = metaPath + '.' + process.pid + '.tmp';
+    await fs.writeFile(tmpPath, JSON.stringify(session, null, 2));
+    await fs.rename(tmpPath, metaPath);
+  }
+
+  async create(ownerId, file) {
+    const now = Date.now();
+    const session = {
+      id: crypto.randomBytes(16).toString('hex'),
+      owner: ownerId,
+      filename: file.filename,
+      size: file.size,
+      sha256: file.sha256 || null,
+      created_at: new Date(now).toISOString(),
+      expires_at: new Date(now + this.ttl).toISOString(),
+      finalized_at: null
+    };
+    await fs.mkdir(this.sessionDir(session.id), { recursive: true });
+    await fs.writeFile(this.dataPath(session.id), '');
+    await this.writeMeta(session);
+    return Object.assign({ offset: 0 }, session);
+  }
+
+  // Resolves to the session with its current offset, or null when unknown or expired
+  async get(id) {
+    if (!ID_PATTERN.test(String(id))) return null;
+    let session;
+    try {
+      session = JSON.parse(await fs.readFile(path.join(this.sessionDir(id), 'meta.json'), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error('[UploadSessions] Could not read session ' + id + ': ' + err.message);
+      return null;
+    }
+    if (Date.now() > new Date(session.expires_at).getTime()) {
+      await this.remove(id);
+      return null;
+    }
+    const stat = await fs.stat(this.dataPath(id));
+    return Object.assign({ offset: stat.size }, session);
+  }
+
+  // Appends one chunk read from `stream`, which must start exactly at the current offset.
+  // Resolves to the updated session; bytes received before a failure are kept.
+  async append(session, offset, stream) {
+    if (session.finalized_at) throw uploadError('UPLOAD_FINALIZED', 'Upload is already finalized');
+    if (session.offset === session.size) throw uploadError('UPLOAD_COMPLETE', 'All bytes were already received; finalize the upload');
+    if (offset !== session.offset) {
+      throw uploadError('OFFSET_MISMATCH', 'Chunk starts at ' + offset + ' but the upload is at ' + session.offset, { offset: session.offset });
+    }
+    if (this.busy.has(session.id)) throw uploadError('UPLOAD_BUSY', 'Another chunk for this upload is still being written');
+
+    this.busy.add(session.id);
+    const limit = Math.min(this.maxChunkSize, session.size - session.offset);
+    let received = 0;
+    const guard = new Transform({
+      transform: function(chunk, encoding, cb) {
+        received += chunk.length;
+        if (received > limit) {
+          return cb(uploadError('CHUNK_TOO_LARGE', 'Chunk exceeds ' + limit + ' bytes (chunk limit or remaining upload size)', { limit: limit }));
+        }
+        cb(null, chunk);
+      }
+    });
+
+    try {
+      await new Promise((resolve, reject) => {
+        pipeline(stream, guard, fsSync.createWriteStream(this.dataPath(session.id), { flags: 'a' }), function(err) {
+          if (err) reject(err); else resolve();
+        });
+      });
+    } finally {
+      this.busy.delete(session.id);
+      session.expires_at = new Date(Date.now() + this.ttl).toISOString();
+      await this.writeMeta(stripOffset(session));
+    }
+    return this.get(session.id);
+  }
+
+  // Marks a complete upload as ready to build, checking the checksum announced at init
+  async finalize(session) {
+    if (session.finalized_at) return session;
+    if (session.offset !== session.size) {
+      throw uploadError('UPLOAD_INCOMPLETE', 'Upload has ' + session.offset + ' of ' + session.size + ' bytes',
+        { offset: session.offset, size: session.size });
+    }
+    if (session.sha256) {
+      const actual = await hashFile(this.dataPath(session.id));
+      if (actual !== session.sha256) {
+        await this.remove(session.id);
+        throw uploadError('CHECKSUM_MISMATCH', 'Uploaded data does not match the announced SHA-256; start a new upload',
+          { expected: session.sha256, actual: actual });
+      }
+    }
+    session.finalized_at = new Date().toISOString();
+    await this.writeMeta(stripOffset(session));
+    return session;
+  }
+
+  async remove(id) {
+    if (!ID_PATTERN.test(String(id))) return;
+    await fs.rm(this.sessionDir(id), { recursive: true, force: true });
+  }
+}
+
+// offset is derived from the data file, never persisted
+function stripOffset(session) {
+  const copy = Object.assign({}, session);
+  delete copy.offset;
+  return copy;
+}
+
+module.exports = { UploadSessionStore };